@@ -1,5 +1,14 @@
 let isGameStopped = false;
 
+// server/shared.js の NAMED_CELL_TYPES と同じキー
+const NAMED_CELL_TYPE_KEYS = [
+  "capital",
+  "fortress",
+  "market",
+  "watchtower",
+  "shrine",
+];
+
 // Admin認証チェック
 async function checkAdminAuth() {
   try {
@@ -79,6 +88,16 @@ function switchTab(tabName) {
   } else if (tabName === "data") {
     document.querySelector(".tab-btn:nth-child(4)").classList.add("active");
     document.getElementById("dataTab").classList.add("active");
+    fetchTimelapseExports();
+  } else if (tabName === "schedule") {
+    document.querySelector(".tab-btn:nth-child(5)").classList.add("active");
+    document.getElementById("scheduleTab").classList.add("active");
+    fetchScheduledJobs();
+  } else if (tabName === "api") {
+    document.querySelector(".tab-btn:nth-child(6)").classList.add("active");
+    document.getElementById("apiTab").classList.add("active");
+    fetchApiKeys();
+    fetchWebhooks();
   }
 }
 
@@ -148,6 +167,13 @@ function updateUI(data) {
   document.getElementById("maxNamedTiles").value =
     ntSettings.maxNamedTiles ?? 50;
 
+  // ネームドマスの種類ごとの効果 (サーバー側で正規化済み)
+  Object.entries(data.namedCellTypeSettings || {}).forEach(([type, t]) => {
+    document.getElementById(`namedCellType_${type}_value`).value = t.value;
+    document.getElementById(`namedCellType_${type}_limit`).value =
+      t.maxPerFaction;
+  });
+
   // Core Tile Settings
   const ctSettings = data.coreTileSettings || {
     attackCostMultiplier: 1.5,
@@ -183,6 +209,42 @@ function updateUI(data) {
     mergerRankEl.value = mergerSettings.prohibitedRank ?? 0;
   }
 
+  // Terrain Settings
+  const terrainCosts = data.terrainSettings?.costModifiers || {};
+  document.getElementById("terrainCostMountain").value =
+    terrainCosts.mountain ?? 2;
+  document.getElementById("terrainCostForest").value = terrainCosts.forest ?? 1;
+  document.getElementById("terrainCostRoad").value = terrainCosts.road ?? -1;
+
+  // Season Settings
+  const season = data.seasonSettings || {};
+  document.getElementById("seasonName").value = season.name || "";
+  document.getElementById("seasonEndTime").value = season.endTime
+    ? toLocalDateTimeValue(season.endTime)
+    : "";
+  document.getElementById("seasonStatus").textContent =
+    `シーズン${season.seasonNumber ?? "-"}${season.name ? ` (${season.name})` : ""}` +
+    (season.endedAt ? " - 終了済み" : "");
+
+  // Scoring Settings
+  const scoring = data.scoringSettings || {};
+  document.getElementById("scoringType").value = scoring.type || "gradient";
+  document.getElementById("scoringNamedCellBonus").value =
+    scoring.namedCellBonus ?? 20;
+  document.getElementById("scoringMaxPoints").value = scoring.maxPoints ?? 10;
+  document.getElementById("scoringMinPoints").value = scoring.minPoints ?? 1;
+  document.getElementById("scoringGradientStep").value =
+    scoring.gradientStep ?? 10;
+  document.getElementById("scoringFlatPoints").value = scoring.flatPoints ?? 1;
+  document.getElementById("scoringBasePoints").value = scoring.basePoints ?? 1;
+  document.getElementById("scoringHotspots").value = (scoring.hotspots || [])
+    .map((h) => `${h.x},${h.y},${h.radius},${h.points}`)
+    .join("\n");
+  if (data.hasCustomPointMap !== undefined) {
+    document.getElementById("scoringPointMapStatus").textContent =
+      data.hasCustomPointMap ? "(アップロード済み)" : "(未アップロード)";
+  }
+
   document.getElementById("adminId").value = data.adminId || "";
 
   const accounts = data.accountSettings || {};
@@ -201,108 +263,247 @@ function updateUI(data) {
     breakTime.startTime || "01:00";
   document.getElementById("breakEndTime").value = breakTime.endTime || "06:00";
 
-  // スケジュールUIの更新
-  updateScheduleUI(data.scheduledAction);
+  // 宣戦布告設定の更新
+  const warDeclaration = data.warDeclarationSettings || {
+    enabled: false,
+    preparationHours: 6,
+  };
+  document.getElementById("warDeclarationEnabled").checked =
+    !!warDeclaration.enabled;
+  document.getElementById("warPreparationHours").value =
+    warDeclaration.preparationHours;
+
+  // 従属関係設定の更新
+  const vassal = data.vassalSettings || {
+    enabled: true,
+    defaultTributePercent: 10,
+    maxTributePercent: 50,
+  };
+  document.getElementById("vassalEnabled").checked = !!vassal.enabled;
+  document.getElementById("vassalDefaultTributePercent").value =
+    vassal.defaultTributePercent;
+  document.getElementById("vassalMaxTributePercent").value =
+    vassal.maxTributePercent;
+
+  // 戦場の霧設定の更新
+  const fogOfWar = data.fogOfWarSettings || {
+    enabled: false,
+    visionRadius: 10,
+  };
+  document.getElementById("fogOfWarEnabled").checked = !!fogOfWar.enabled;
+  document.getElementById("fogOfWarVisionRadius").value =
+    fogOfWar.visionRadius;
+
+  // 補給線設定の更新
+  const supplyLine = data.supplyLineSettings || {
+    enabled: false,
+    graceHours: 24,
+    mode: "overpaint",
+  };
+  document.getElementById("supplyLineEnabled").checked = !!supplyLine.enabled;
+  document.getElementById("supplyLineGraceHours").value =
+    supplyLine.graceHours;
+  document.getElementById("supplyLineMode").value = supplyLine.mode;
+
+  // 予約ジョブの概要を更新
+  fetchScheduledJobs();
 
   toggleApPostSettings();
 }
 
-function updateScheduleUI(action) {
-  const statusEl = document.getElementById("scheduleStatus");
-  const cancelBtn = document.getElementById("cancelScheduleBtn");
-  const scheduleBtn = document.getElementById("scheduleBtn");
-  const scheduleTimeInput = document.getElementById("scheduleTime");
-
-  if (action && action.time) {
-    const date = new Date(action.time);
-    const dateStr = date.toLocaleString("ja-JP", {
-      year: "numeric",
-      month: "2-digit",
-      day: "2-digit",
-      hour: "2-digit",
-      minute: "2-digit",
-    });
-    statusEl.innerHTML = `<b style="color: #2c3e50;">${action.type === "stop" ? "🛑 停止" : "🚀 開始"}</b> (${dateStr})`;
-    cancelBtn.style.display = "block";
-    scheduleBtn.style.display = "none";
-    scheduleTimeInput.disabled = true;
-    scheduleTimeInput.value = action.time.slice(0, 16); // YYYY-MM-DDTHH:mm
-  } else {
-    statusEl.textContent = "未設定";
-    cancelBtn.style.display = "none";
-    scheduleBtn.style.display = "block";
-    scheduleTimeInput.disabled = false;
-    scheduleBtn.textContent = isGameStopped ? "開始予約" : "停止予約";
+// ===== 予約ジョブ =====
+function formatDateTime(ms) {
+  return new Date(ms).toLocaleString("ja-JP", {
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function formatJobSchedule(job) {
+  if (job.schedule.mode === "cron") {
+    return `繰り返し (${escapeHtml(job.schedule.cron)})`;
   }
+  return `1回 (${formatDateTime(job.schedule.time)})`;
 }
 
-async function setSchedule() {
-  const timeValue = document.getElementById("scheduleTime").value;
+async function fetchScheduledJobs() {
+  try {
+    const res = await fetch("/api/admin/scheduled-jobs", {
+      credentials: "include",
+    });
+    const data = await res.json();
+    if (data.error) return;
+    renderScheduledJobs(data.jobs || [], data.types || {});
+  } catch (e) {
+    console.error(e);
+  }
+}
 
-  if (!timeValue) {
-    showNotify("予約時間を選択してください", true);
-    return;
+function renderScheduledJobs(jobs, types) {
+  // ヘッダーの概要表示
+  const statusEl = document.getElementById("scheduleStatus");
+  const upcoming = jobs
+    .filter((j) => j.nextRunAt)
+    .sort((a, b) => a.nextRunAt - b.nextRunAt);
+  if (upcoming.length > 0) {
+    statusEl.innerHTML = `<b style="color: #2c3e50;">${escapeHtml(upcoming[0].label)}</b> (${formatDateTime(upcoming[0].nextRunAt)}) ほか${upcoming.length - 1}件`;
+  } else {
+    statusEl.textContent = "未設定";
   }
 
-  const scheduledTime = new Date(timeValue).getTime();
-  if (scheduledTime <= Date.now()) {
-    showNotify("未来の時間を指定してください", true);
+  const listEl = document.getElementById("jobList");
+  if (jobs.length === 0) {
+    listEl.innerHTML =
+      '<p style="text-align: center; color: #999;">予約ジョブはありません</p>';
     return;
   }
 
-  const type = isGameStopped ? "start" : "stop";
-  if (
-    !confirm(
-      `ゲームを ${new Date(timeValue).toLocaleString()} に${type === "stop" ? "自動停止" : "自動開始"}するように予約しますか？`,
+  listEl.innerHTML = jobs
+    .map(
+      (job) => `
+        <div class="notice-item">
+          <div class="notice-info">
+            <h4>${escapeHtml(job.label)} <span class="job-type">${escapeHtml(types[job.type] || job.type)}</span></h4>
+            <div style="font-size: 0.9rem;">${formatJobSchedule(job)}${job.enabled ? "" : " - 停止中"}</div>
+            <div class="notice-date">
+              次回: ${job.nextRunAt ? formatDateTime(job.nextRunAt) : "-"}
+              ${job.lastRunAt ? ` / 前回: ${formatDateTime(job.lastRunAt)} ${escapeHtml(job.lastResult || "")}` : ""}
+            </div>
+          </div>
+          <div class="flex-row-center-gap">
+            <button class="action-btn" onclick="toggleScheduledJob('${job.id}', ${!job.enabled})">${job.enabled ? "停止" : "再開"}</button>
+            <button class="del-notice-btn" onclick="deleteScheduledJob('${job.id}')">削除</button>
+          </div>
+        </div>
+      `,
     )
-  )
-    return;
+    .join("");
+}
+
+// 種別・実行タイミングに応じて入力欄を切り替え
+function updateJobParamFields() {
+  const type = document.getElementById("jobType").value;
+  document.querySelectorAll(".job-params").forEach((el) => {
+    el.style.display = el.dataset.type === type ? "" : "none";
+  });
+  const isCron = document.getElementById("jobScheduleMode").value === "cron";
+  document.getElementById("jobTimeField").style.display = isCron ? "none" : "";
+  document.getElementById("jobCronField").style.display = isCron ? "" : "none";
+}
+
+function buildJobParams(type) {
+  if (type === "toggle_merge") {
+    const v = document.getElementById("jobMergeEnabled").value;
+    return { enabled: v === "toggle" ? null : v === "true" };
+  }
+  if (type === "ap_settings") {
+    const apSettings = {};
+    document
+      .getElementById("jobApSettings")
+      .value.split("\n")
+      .forEach((line) => {
+        const [key, value] = line.split("=").map((v) => v.trim());
+        if (key && value !== undefined) apSettings[key] = value;
+      });
+    return { apSettings };
+  }
+  if (type === "notice") {
+    return {
+      title: document.getElementById("jobNoticeTitle").value.trim(),
+      content: document.getElementById("jobNoticeContent").value.trim(),
+    };
+  }
+  if (type === "break_time") {
+    return {
+      enabled: document.getElementById("jobBreakEnabled").checked,
+      startTime: document.getElementById("jobBreakStart").value,
+      endTime: document.getElementById("jobBreakEnd").value,
+    };
+  }
+  return {};
+}
+
+async function addScheduledJob() {
+  const type = document.getElementById("jobType").value;
+  const mode = document.getElementById("jobScheduleMode").value;
+  let schedule;
+  if (mode === "cron") {
+    schedule = { mode, cron: document.getElementById("jobCron").value.trim() };
+  } else {
+    const timeValue = document.getElementById("jobTime").value;
+    if (!timeValue) {
+      showNotify("実行日時を選択してください", true);
+      return;
+    }
+    schedule = { mode, time: new Date(timeValue).toISOString() };
+  }
 
   try {
-    const res = await fetch("/api/admin/settings", {
+    const res = await fetch("/api/admin/scheduled-jobs", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       credentials: "include",
       body: JSON.stringify({
-        scheduledAction: {
-          type: type,
-          time: new Date(timeValue).toISOString(),
-        },
+        type,
+        label: document.getElementById("jobLabel").value.trim(),
+        schedule,
+        params: buildJobParams(type),
       }),
     });
     const data = await res.json();
     if (data.error) {
       showNotify(data.error, true);
     } else {
-      showNotify("スケジュールを予約しました");
-      updateUI(data);
+      showNotify("ジョブを追加しました");
+      document.getElementById("jobLabel").value = "";
+      fetchScheduledJobs();
+    }
+  } catch (e) {
+    showNotify("ジョブの追加に失敗しました", true);
+  }
+}
+
+async function toggleScheduledJob(id, enabled) {
+  try {
+    const res = await fetch("/api/admin/scheduled-jobs/toggle", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ id, enabled }),
+    });
+    const data = await res.json();
+    if (data.error) {
+      showNotify(data.error, true);
+    } else {
+      fetchScheduledJobs();
     }
   } catch (e) {
-    showNotify("予約に失敗しました", true);
+    showNotify("更新に失敗しました", true);
   }
 }
 
-async function cancelSchedule() {
-  if (!confirm("現在の予約スケジュールを取り消しますか？")) return;
+async function deleteScheduledJob(id) {
+  if (!confirm("この予約ジョブを削除しますか？")) return;
 
   try {
-    const res = await fetch("/api/admin/settings", {
+    const res = await fetch("/api/admin/scheduled-jobs/delete", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       credentials: "include",
-      body: JSON.stringify({
-        scheduledAction: { type: "cancel" },
-      }),
+      body: JSON.stringify({ id }),
     });
     const data = await res.json();
     if (data.error) {
       showNotify(data.error, true);
     } else {
-      showNotify("予約を取り消しました");
-      updateUI(data);
+      showNotify("予約ジョブを削除しました");
+      fetchScheduledJobs();
     }
   } catch (e) {
-    showNotify("取り消しに失敗しました", true);
+    showNotify("削除に失敗しました", true);
   }
 }
 
@@ -419,6 +620,65 @@ async function updateSettings() {
         10,
       ),
     },
+    namedCellTypeSettings: Object.fromEntries(
+      NAMED_CELL_TYPE_KEYS.map((type) => [
+        type,
+        {
+          value: parseInt(
+            document.getElementById(`namedCellType_${type}_value`).value,
+            10,
+          ),
+          maxPerFaction: parseInt(
+            document.getElementById(`namedCellType_${type}_limit`).value,
+            10,
+          ),
+        },
+      ]),
+    ),
+    terrainSettings: {
+      costModifiers: {
+        mountain: parseInt(
+          document.getElementById("terrainCostMountain").value,
+          10,
+        ),
+        forest: parseInt(document.getElementById("terrainCostForest").value, 10),
+        road: parseInt(document.getElementById("terrainCostRoad").value, 10),
+      },
+    },
+    seasonSettings: {
+      name: document.getElementById("seasonName").value.trim(),
+      endTime: document.getElementById("seasonEndTime").value
+        ? new Date(document.getElementById("seasonEndTime").value).toISOString()
+        : null,
+    },
+    scoringSettings: {
+      type: document.getElementById("scoringType").value,
+      namedCellBonus: parseInt(
+        document.getElementById("scoringNamedCellBonus").value,
+        10,
+      ),
+      maxPoints: parseInt(
+        document.getElementById("scoringMaxPoints").value,
+        10,
+      ),
+      minPoints: parseInt(
+        document.getElementById("scoringMinPoints").value,
+        10,
+      ),
+      gradientStep: parseInt(
+        document.getElementById("scoringGradientStep").value,
+        10,
+      ),
+      flatPoints: parseInt(
+        document.getElementById("scoringFlatPoints").value,
+        10,
+      ),
+      basePoints: parseInt(
+        document.getElementById("scoringBasePoints").value,
+        10,
+      ),
+      hotspots: parseHotspots(document.getElementById("scoringHotspots").value),
+    },
     mapImageSettings: {
       intervalMinutes:
         parseInt(document.getElementById("mapImageInterval").value, 10) || 1,
@@ -435,6 +695,37 @@ async function updateSettings() {
       startTime: document.getElementById("breakStartTime").value,
       endTime: document.getElementById("breakEndTime").value,
     },
+    warDeclarationSettings: {
+      enabled: document.getElementById("warDeclarationEnabled").checked,
+      preparationHours:
+        parseFloat(document.getElementById("warPreparationHours").value) || 0,
+    },
+    vassalSettings: {
+      enabled: document.getElementById("vassalEnabled").checked,
+      defaultTributePercent:
+        parseInt(
+          document.getElementById("vassalDefaultTributePercent").value,
+          10,
+        ) || 0,
+      maxTributePercent:
+        parseInt(document.getElementById("vassalMaxTributePercent").value, 10) ||
+        0,
+    },
+    fogOfWarSettings: {
+      enabled: document.getElementById("fogOfWarEnabled").checked,
+      visionRadius: parseInt(
+        document.getElementById("fogOfWarVisionRadius").value,
+        10,
+      ),
+    },
+    supplyLineSettings: {
+      enabled: document.getElementById("supplyLineEnabled").checked,
+      graceHours: parseInt(
+        document.getElementById("supplyLineGraceHours").value,
+        10,
+      ),
+      mode: document.getElementById("supplyLineMode").value,
+    },
     adminId: document.getElementById("adminId").value.trim(),
   };
 
@@ -481,6 +772,691 @@ async function toggleStatus() {
   }
 }
 
+// 地形の範囲適用
+async function applyTerrain() {
+  const type = parseInt(document.getElementById("terrainType").value, 10);
+  const body = {
+    type,
+    x1: parseInt(document.getElementById("terrainX1").value, 10),
+    y1: parseInt(document.getElementById("terrainY1").value, 10),
+    x2: parseInt(document.getElementById("terrainX2").value, 10),
+    y2: parseInt(document.getElementById("terrainY2").value, 10),
+  };
+  if ([body.x1, body.y1, body.x2, body.y2].some((v) => isNaN(v))) {
+    showNotify("範囲の座標を入力してください", true);
+    return;
+  }
+
+  try {
+    const res = await fetch("/api/admin/terrain", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (data.error) {
+      showNotify(data.error, true);
+    } else {
+      showNotify(`地形を更新しました (${data.changed}マス)`);
+    }
+  } catch (e) {
+    showNotify("地形の更新に失敗しました", true);
+  }
+}
+
+async function clearTerrain() {
+  if (!confirm("全ての地形を消去して平地に戻しますか？")) return;
+
+  try {
+    const res = await fetch("/api/admin/terrain/clear", {
+      method: "POST",
+      credentials: "include",
+    });
+    const data = await res.json();
+    if (data.error) {
+      showNotify(data.error, true);
+    } else {
+      showNotify("地形を消去しました");
+    }
+  } catch (e) {
+    showNotify("地形の消去に失敗しました", true);
+  }
+}
+
+// ホットスポット入力 ("x,y,半径,ポイント" の行) を配列に変換
+function parseHotspots(text) {
+  return text
+    .split("\n")
+    .map((line) => line.split(",").map((v) => parseInt(v.trim(), 10)))
+    .filter((v) => v.length === 4 && v.every((n) => !isNaN(n)))
+    .map(([x, y, radius, points]) => ({ x, y, radius, points }));
+}
+
+// カスタムポイントマップのアップロード (CSV はここでバイナリに変換して送信)
+async function uploadPointMap() {
+  const file = document.getElementById("scoringPointMapFile").files[0];
+  if (!file) {
+    showNotify("ファイルを選択してください", true);
+    return;
+  }
+
+  const mapSize =
+    parseInt(document.getElementById("mapSize").value, 10) || 500;
+  let bytes;
+  if (file.name.toLowerCase().endsWith(".csv")) {
+    const rows = (await file.text()).trim().split(/\r?\n/);
+    if (rows.length !== mapSize) {
+      showNotify(`CSVの行数が ${mapSize} ではありません`, true);
+      return;
+    }
+    bytes = new Uint8Array(mapSize * mapSize);
+    for (let y = 0; y < mapSize; y++) {
+      const cols = rows[y].split(",");
+      if (cols.length !== mapSize) {
+        showNotify(
+          `CSVの ${y + 1} 行目の列数が ${mapSize} ではありません`,
+          true,
+        );
+        return;
+      }
+      for (let x = 0; x < mapSize; x++) {
+        const v = parseInt(cols[x], 10);
+        bytes[y * mapSize + x] = isNaN(v)
+          ? 0
+          : Math.min(255, Math.max(0, v));
+      }
+    }
+  } else {
+    bytes = new Uint8Array(await file.arrayBuffer());
+  }
+
+  try {
+    const res = await fetch("/api/admin/scoring/point-map", {
+      method: "POST",
+      headers: { "Content-Type": "application/octet-stream" },
+      credentials: "include",
+      body: bytes,
+    });
+    const data = await res.json();
+    if (data.error) {
+      showNotify(data.error, true);
+    } else {
+      showNotify("ポイントマップをアップロードしました");
+      document.getElementById("scoringPointMapStatus").textContent =
+        "(アップロード済み)";
+    }
+  } catch (e) {
+    showNotify("ポイントマップのアップロードに失敗しました", true);
+  }
+}
+
+// ISO文字列を datetime-local 入力用 (ローカル時刻 YYYY-MM-DDTHH:mm) に変換
+function toLocalDateTimeValue(iso) {
+  const d = new Date(iso);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+async function endSeason() {
+  if (
+    !confirm(
+      "シーズンを今すぐ終了しますか？\nゲームが停止し、最終順位が殿堂に保存されます。",
+    )
+  )
+    return;
+
+  try {
+    const res = await fetch("/api/admin/season/end", {
+      method: "POST",
+      credentials: "include",
+    });
+    const data = await res.json();
+    if (data.error) {
+      showNotify(data.error, true);
+    } else {
+      showNotify(`シーズン${data.seasonNumber}を終了しました`);
+      fetchSettings();
+    }
+  } catch (e) {
+    showNotify("シーズンの終了に失敗しました", true);
+  }
+}
+
+async function startNewSeason() {
+  if (
+    !confirm(
+      "新シーズンを開始しますか？\nアカウント以外のマップ・勢力・外交データは削除されます。",
+    )
+  )
+    return;
+  const name = prompt("新シーズンの名前 (任意)", "") ?? "";
+
+  try {
+    const res = await fetch("/api/admin/season/new", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ name }),
+    });
+    const data = await res.json();
+    if (data.error) {
+      showNotify(data.error, true);
+    } else {
+      alert(data.message);
+      location.reload();
+    }
+  } catch (e) {
+    showNotify("新シーズンの開始に失敗しました", true);
+  }
+}
+
+function formatEventTime(ms) {
+  return new Date(ms).toLocaleString("ja-JP");
+}
+
+// datetime-local の値をミリ秒に変換 (空欄は null)
+function parseLocalDateTime(id) {
+  const value = document.getElementById(id).value;
+  return value ? new Date(value).getTime() : null;
+}
+
+async function fetchTileEvents() {
+  const params = new URLSearchParams();
+  const since = parseLocalDateTime("tileEventSince");
+  const until = parseLocalDateTime("tileEventUntil");
+  const playerId = document.getElementById("tileEventPlayerId").value.trim();
+  if (since) params.set("since", since);
+  if (until) params.set("until", until);
+  if (playerId) params.set("playerId", playerId);
+
+  try {
+    const res = await fetch(`/api/admin/tile-events?${params}`, {
+      credentials: "include",
+    });
+    const data = await res.json();
+    if (data.error) {
+      showNotify(data.error, true);
+      return;
+    }
+
+    document.getElementById("tileEventPainters").innerHTML =
+      data.painters.length > 0
+        ? "期間内の変更数: " +
+          data.painters
+            .map(
+              (p) =>
+                `${escapeHtml(p.playerName)} (<code>${escapeHtml(p.playerId)}</code>) ${p.count}件`,
+            )
+            .join(" / ")
+        : "";
+
+    const listEl = document.getElementById("tileEventList");
+    if (data.events.length === 0) {
+      listEl.innerHTML =
+        '<p style="text-align: center; color: #999;">該当する変更はありません</p>';
+      return;
+    }
+    listEl.innerHTML = data.events
+      .map(
+        (e) => `
+        <div class="notice-item">
+          <div class="notice-info">
+            <h4>(${e.x}, ${e.y}) <span class="job-type">${escapeHtml(data.types[e.type] || e.type)}</span></h4>
+            <div class="notice-date">
+              ${formatEventTime(e.ts)} / ${e.playerName ? escapeHtml(e.playerName) : "-"}
+            </div>
+          </div>
+          <button class="action-btn" onclick="setRollbackTime(${e.ts - 1})">この直前に戻す</button>
+        </div>
+      `,
+      )
+      .join("");
+  } catch (e) {
+    showNotify("履歴の取得に失敗しました", true);
+  }
+}
+
+function setRollbackTime(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, "0");
+  document.getElementById("rollbackTime").value =
+    `${toLocalDateTimeValue(d)}:${pad(d.getSeconds())}`;
+}
+
+async function rollbackTiles() {
+  const timestamp = parseLocalDateTime("rollbackTime");
+  if (!timestamp) {
+    showNotify("戻す時刻を指定してください", true);
+    return;
+  }
+  const playerId = document.getElementById("rollbackPlayerId").value.trim();
+  const target = playerId ? `プレイヤー ${playerId} の変更` : "全ての変更";
+  if (
+    !confirm(
+      `${formatEventTime(timestamp)} 以降の${target}を取り消しますか？\nロールバック自体も履歴に記録されます。`,
+    )
+  )
+    return;
+
+  try {
+    const res = await fetch("/api/admin/tile-events/rollback", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ timestamp, playerId: playerId || undefined }),
+    });
+    const data = await res.json();
+    if (data.error) {
+      showNotify(data.error, true);
+    } else {
+      showNotify(`${data.changedCount}マスをロールバックしました`);
+      fetchTileEvents();
+    }
+  } catch (e) {
+    showNotify("ロールバックに失敗しました", true);
+  }
+}
+
+async function rebuildMapFromEvents() {
+  if (
+    !confirm(
+      "イベントログから現在のマップを再構築しますか？\nマップデータが破損した場合の復旧用です。",
+    )
+  )
+    return;
+
+  try {
+    const res = await fetch("/api/admin/tile-events/rebuild", {
+      method: "POST",
+      credentials: "include",
+    });
+    const data = await res.json();
+    if (data.error) {
+      showNotify(data.error, true);
+    } else {
+      showNotify(`再構築しました (${data.changedCount}マスを修復)`);
+    }
+  } catch (e) {
+    showNotify("再構築に失敗しました", true);
+  }
+}
+
+const TIMELAPSE_JOB_STATUS_LABELS = {
+  running: "書き出し中",
+  done: "完了",
+  failed: "失敗",
+};
+let timelapsePollTimer = null;
+
+function formatFileSize(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+}
+
+async function fetchTimelapseExports() {
+  try {
+    const res = await fetch("/api/admin/timelapse-exports", {
+      credentials: "include",
+    });
+    const data = await res.json();
+    if (data.error) {
+      showNotify(data.error, true);
+      return;
+    }
+
+    document.getElementById("timelapseFrameInfo").textContent =
+      data.frameCount > 0
+        ? `保存済みスナップショット: ${data.frameCount}枚 (${formatEventTime(data.firstTimestamp)} 〜 ${formatEventTime(data.lastTimestamp)})`
+        : "保存済みスナップショットはありません";
+
+    document.getElementById("timelapseJobList").innerHTML = data.jobs
+      .map(
+        (job) => `
+        <div class="notice-item">
+          <div class="notice-info">
+            <h4>${escapeHtml(job.fileName)} <span class="job-type">${TIMELAPSE_JOB_STATUS_LABELS[job.status]}</span></h4>
+            <div class="notice-date">
+              ${formatEventTime(job.from)} 〜 ${formatEventTime(job.to)} / ${job.frameCount}フレーム
+              ${job.error ? ` / ${escapeHtml(job.error)}` : ""}
+            </div>
+          </div>
+        </div>
+      `,
+      )
+      .join("");
+
+    const listEl = document.getElementById("timelapseExportList");
+    listEl.innerHTML =
+      data.exports.length === 0
+        ? '<p style="text-align: center; color: #999;">書き出し済みのファイルはありません</p>'
+        : data.exports
+            .map(
+              (e) => `
+        <div class="notice-item">
+          <div class="notice-info">
+            <h4>${escapeHtml(e.name)}</h4>
+            <div class="notice-date">
+              ${formatEventTime(e.createdAt)} / ${formatFileSize(e.size)}
+            </div>
+          </div>
+          <div class="flex-row-center-gap">
+            <a class="action-btn" href="/map/timelapse/${encodeURIComponent(e.name)}?download=1">ダウンロード</a>
+            <button class="action-btn action-btn-danger" onclick="deleteTimelapseExport('${escapeHtml(e.name)}')">削除</button>
+          </div>
+        </div>
+      `,
+            )
+            .join("");
+
+    // 書き出し中のジョブがあれば完了まで定期的に更新
+    clearTimeout(timelapsePollTimer);
+    if (data.jobs.some((job) => job.status === "running")) {
+      timelapsePollTimer = setTimeout(fetchTimelapseExports, 3000);
+    }
+  } catch (e) {
+    showNotify("タイムラプス一覧の取得に失敗しました", true);
+  }
+}
+
+async function startTimelapseExport() {
+  const body = {
+    from: parseLocalDateTime("timelapseFrom") || undefined,
+    to: parseLocalDateTime("timelapseTo") || undefined,
+    format: document.getElementById("timelapseFormat").value,
+    scale: parseInt(document.getElementById("timelapseScale").value, 10),
+    step: parseInt(document.getElementById("timelapseStep").value, 10),
+    frameDelay: parseInt(
+      document.getElementById("timelapseFrameDelay").value,
+      10,
+    ),
+  };
+
+  try {
+    const res = await fetch("/api/admin/timelapse-exports", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (data.error) {
+      showNotify(data.error, true);
+    } else {
+      showNotify(`書き出しを開始しました (${data.job.frameCount}フレーム)`);
+      fetchTimelapseExports();
+    }
+  } catch (e) {
+    showNotify("書き出しの開始に失敗しました", true);
+  }
+}
+
+async function deleteTimelapseExport(name) {
+  if (!confirm(`${name} を削除しますか？`)) return;
+
+  try {
+    const res = await fetch(
+      `/api/admin/timelapse-exports/${encodeURIComponent(name)}`,
+      { method: "DELETE", credentials: "include" },
+    );
+    const data = await res.json();
+    if (data.error) {
+      showNotify(data.error, true);
+    } else {
+      showNotify("削除しました");
+      fetchTimelapseExports();
+    }
+  } catch (e) {
+    showNotify("削除に失敗しました", true);
+  }
+}
+
+async function fetchApiKeys() {
+  try {
+    const res = await fetch("/api/admin/api-keys", { credentials: "include" });
+    const data = await res.json();
+    if (data.error) {
+      showNotify(data.error, true);
+      return;
+    }
+
+    const listEl = document.getElementById("apiKeyList");
+    if (data.keys.length === 0) {
+      listEl.innerHTML = '<p class="list-empty">発行済みのキーはありません</p>';
+      return;
+    }
+    listEl.innerHTML = data.keys
+      .map(
+        (k) => `
+        <div class="notice-item">
+          <div class="notice-info">
+            <h4>${escapeHtml(k.name)} <code>${escapeHtml(k.prefix)}…</code> ${k.revokedAt ? '<span class="job-type">失効済み</span>' : ""}</h4>
+            <div class="notice-date">
+              ${formatEventTime(k.createdAt)} 発行 / ${k.rateLimit}回/分 / 累計 ${k.totalRequests}件
+              ${k.lastUsedAt ? ` / 最終利用 ${formatEventTime(k.lastUsedAt)}` : ""}
+            </div>
+          </div>
+          ${k.revokedAt ? "" : `<button class="action-btn action-btn-danger" onclick="revokeApiKey('${k.id}')">失効</button>`}
+        </div>
+      `,
+      )
+      .join("");
+  } catch (e) {
+    showNotify("API キー一覧の取得に失敗しました", true);
+  }
+}
+
+async function issueApiKey() {
+  const name = document.getElementById("apiKeyName").value.trim();
+  const rateLimit = parseInt(
+    document.getElementById("apiKeyRateLimit").value,
+    10,
+  );
+  if (!name) {
+    showNotify("名前を入力してください", true);
+    return;
+  }
+
+  try {
+    const res = await fetch("/api/admin/api-keys", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ name, rateLimit }),
+    });
+    const data = await res.json();
+    if (data.error) {
+      showNotify(data.error, true);
+      return;
+    }
+    document.getElementById("issuedApiKey").innerHTML =
+      `発行したキー (この画面を離れると再表示できません): <code>${escapeHtml(data.key)}</code>`;
+    document.getElementById("apiKeyName").value = "";
+    showNotify("API キーを発行しました");
+    fetchApiKeys();
+  } catch (e) {
+    showNotify("API キーの発行に失敗しました", true);
+  }
+}
+
+async function revokeApiKey(id) {
+  if (!confirm("この API キーを失効させますか？\nこの操作は取り消せません。"))
+    return;
+
+  try {
+    const res = await fetch(`/api/admin/api-keys/${id}/revoke`, {
+      method: "POST",
+      credentials: "include",
+    });
+    const data = await res.json();
+    if (data.error) {
+      showNotify(data.error, true);
+    } else {
+      showNotify("API キーを失効させました");
+      fetchApiKeys();
+    }
+  } catch (e) {
+    showNotify("API キーの失効に失敗しました", true);
+  }
+}
+
+// ===== Webhook =====
+
+const WEBHOOK_DELIVERY_STATUS_LABELS = {
+  pending: "再試行待ち",
+  success: "成功",
+  failed: "失敗",
+};
+
+async function fetchWebhooks() {
+  try {
+    const [hooksRes, deliveriesRes] = await Promise.all([
+      fetch("/api/admin/webhooks", { credentials: "include" }),
+      fetch("/api/admin/webhooks/deliveries", { credentials: "include" }),
+    ]);
+    const data = await hooksRes.json();
+    const deliveryData = await deliveriesRes.json();
+    if (data.error || deliveryData.error) {
+      showNotify(data.error || deliveryData.error, true);
+      return;
+    }
+
+    // イベントの選択肢 (初回のみ生成して選択状態を保持)
+    const eventsEl = document.getElementById("webhookEvents");
+    if (!eventsEl.children.length) {
+      eventsEl.innerHTML = Object.entries(data.events)
+        .map(
+          ([event, label]) => `
+          <div class="setting-item-row">
+            <input type="checkbox" class="checkbox-large" id="webhookEvent-${event}" value="${event}" checked />
+            <label for="webhookEvent-${event}" class="cursor-pointer">${label} <code>${event}</code></label>
+          </div>
+        `,
+        )
+        .join("");
+    }
+
+    const listEl = document.getElementById("webhookList");
+    if (data.webhooks.length === 0) {
+      listEl.innerHTML =
+        '<p class="list-empty">登録済みの Webhook はありません</p>';
+    } else {
+      listEl.innerHTML = data.webhooks
+        .map(
+          (h) => `
+        <div class="notice-item">
+          <div class="notice-info">
+            <h4><span class="job-type">${h.scope === "global" ? "全体" : escapeHtml(h.factionName)}</span> ${escapeHtml(h.url)}</h4>
+            <div class="notice-date">
+              ${formatEventTime(h.createdAt)} 登録 / ${h.events.map((e) => escapeHtml(data.events[e] || e)).join(", ")}
+            </div>
+          </div>
+          <button class="action-btn" onclick="testWebhook('${h.id}')">テスト送信</button>
+          <button class="action-btn action-btn-danger" onclick="deleteWebhook('${h.id}')">削除</button>
+        </div>
+      `,
+        )
+        .join("");
+    }
+
+    const urlById = Object.fromEntries(data.webhooks.map((h) => [h.id, h.url]));
+    const logEl = document.getElementById("webhookDeliveryList");
+    if (deliveryData.deliveries.length === 0) {
+      logEl.innerHTML = '<p class="list-empty">送信履歴はありません</p>';
+      return;
+    }
+    logEl.innerHTML = deliveryData.deliveries
+      .map(
+        (d) => `
+        <div class="notice-item">
+          <div class="notice-info">
+            <h4><span class="job-type">${WEBHOOK_DELIVERY_STATUS_LABELS[d.status] || d.status}</span> ${escapeHtml(d.event)} → ${escapeHtml(urlById[d.webhookId] || "(削除済み)")}</h4>
+            <div class="notice-date">
+              ${formatEventTime(d.createdAt)} / 試行 ${d.attempts}回
+              ${d.lastStatusCode ? ` / HTTP ${d.lastStatusCode}` : ""}
+              ${d.lastError ? ` / ${escapeHtml(d.lastError)}` : ""}
+              ${d.status === "pending" && d.nextAttemptAt ? ` / 次回 ${formatEventTime(d.nextAttemptAt)}` : ""}
+            </div>
+          </div>
+        </div>
+      `,
+      )
+      .join("");
+  } catch (e) {
+    showNotify("Webhook 一覧の取得に失敗しました", true);
+  }
+}
+
+async function createWebhook() {
+  const url = document.getElementById("webhookUrl").value.trim();
+  const events = Array.from(
+    document.querySelectorAll("#webhookEvents input:checked"),
+  ).map((el) => el.value);
+  if (!url) {
+    showNotify("URL を入力してください", true);
+    return;
+  }
+
+  try {
+    const res = await fetch("/api/admin/webhooks", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ url, events }),
+    });
+    const data = await res.json();
+    if (data.error) {
+      showNotify(data.error, true);
+      return;
+    }
+    document.getElementById("createdWebhookSecret").innerHTML =
+      `署名用シークレット (この画面を離れると再表示できません): <code>${escapeHtml(data.secret)}</code>`;
+    document.getElementById("webhookUrl").value = "";
+    showNotify("Webhook を登録しました");
+    fetchWebhooks();
+  } catch (e) {
+    showNotify("Webhook の登録に失敗しました", true);
+  }
+}
+
+async function testWebhook(id) {
+  try {
+    const res = await fetch(`/api/admin/webhooks/${id}/test`, {
+      method: "POST",
+      credentials: "include",
+    });
+    const data = await res.json();
+    if (data.error) {
+      showNotify(data.error, true);
+      return;
+    }
+    showNotify("テスト送信しました");
+    // 初回の送信結果が記録されるのを待ってから再読込
+    setTimeout(fetchWebhooks, 2000);
+  } catch (e) {
+    showNotify("テスト送信に失敗しました", true);
+  }
+}
+
+async function deleteWebhook(id) {
+  if (!confirm("この Webhook を削除しますか？")) return;
+
+  try {
+    const res = await fetch(`/api/admin/webhooks/${id}`, {
+      method: "DELETE",
+      credentials: "include",
+    });
+    const data = await res.json();
+    if (data.error) {
+      showNotify(data.error, true);
+    } else {
+      showNotify("Webhook を削除しました");
+      fetchWebhooks();
+    }
+  } catch (e) {
+    showNotify("Webhook の削除に失敗しました", true);
+  }
+}
+
 async function resetData() {
   if (
     !confirm("本当に全データをリセットしますか？\nこの操作は取り消せません。")
@@ -652,3 +1628,4 @@ function escapeHtml(text) {
 
 // 初期読み込み
 fetchSettings();
+updateJobParamFields();
@@ -1,10 +1,11 @@
-import React, { useCallback, useEffect, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import AccountModal from './components/AccountModal';
 import AlliancePanel from './components/AlliancePanel';
 import AuthModal from './components/AuthModal';
 import CreateFactionModal from './components/CreateFactionModal';
 import FactionDetailsModal from './components/FactionDetailsModal';
 import GameMap from './components/GameMap';
+import JoinApplicationModal from './components/JoinApplicationModal';
 import Leaderboard from './components/Leaderboard';
 import LoadingOverlay from './components/LoadingOverlay';
 import NoticeModal from './components/NoticeModal';
@@ -18,7 +19,11 @@ import useMapWorkerPool from './hooks/useMapWorkerPool';
 import useNotifications from './hooks/useNotifications';
 import useSettings from './hooks/useSettings';
 import { useWorldState } from './hooks/useWorldState';
+import { useFrontLines } from './hooks/useFrontLines';
+import useSupplyLines from './hooks/useSupplyLines';
+import useStructures from './hooks/useStructures';
 import socket from './socket';
+import { getNamedCellTypeInfo, NAMED_CELL_TYPES } from './utils/namedCellTypes';
 
 // プレミアムトースト通知コンポーネント (メモ化して不要な再レンダリング防止)
 const NotificationStack = React.memo(({ notifications, onRemove }) => {
@@ -99,7 +104,8 @@ function App() {
     showFactionNames, setShowFactionNames,
 
     mapColorMode, setMapColorMode,
-    showSpecialBorder, setShowSpecialBorder
+    showSpecialBorder, setShowSpecialBorder,
+    showFrontLines, setShowFrontLines
   } = useSettings();
 
   const {
@@ -134,6 +140,8 @@ function App() {
   const [showAccountModal, setShowAccountModal] = useState(false);
   const [playerNames, setPlayerNames] = useState({});
   const [namedCells, setNamedCells] = useState({});
+  const [terrain, setTerrain] = useState(null); // [NEW] 地形レイヤー (Uint8Array)
+  const [scoring, setScoring] = useState(null); // [NEW] スコアリングプロファイル { profile, pointMap }
   const [mapMode, setMapMode] = useState('normal');
   const [connected, setConnected] = useState(false);
   const [showCreateFaction, setShowCreateFaction] = useState(false);
@@ -144,6 +152,7 @@ function App() {
   const [factionSortBy, setFactionSortBy] = useState('score');
   const [pendingOrigin, setPendingOrigin] = useState(null);
   const [joiningFaction, setJoiningFaction] = useState(null);
+  const [applyingFaction, setApplyingFaction] = useState(null); // 加入申請書を記入中の勢力
   const [showTimelapse, setShowTimelapse] = useState(false);
   const [activityLog, setActivityLog] = useState([]);
   const [showMemberFactionId, setShowMemberFactionId] = useState(null);
@@ -453,6 +462,33 @@ function App() {
     setMapJumpCoord({ x, y, timestamp: Date.now() });
   }, []);
 
+  // 戦争の前線をマップに表示 (center: 前線の中心付近のマス)
+  const [warFrontWarId, setWarFrontWarId] = useState(null);
+  const handleShowWarFront = useCallback((warId, center) => {
+    setWarFrontWarId(warId);
+    if (center) handleJumpTo(center.x, center.y);
+  }, [handleJumpTo]);
+  const warFrontWar = warFrontWarId ? wars?.[warFrontWarId] : null;
+
+  // 交戦中の勢力同士の前線 (全戦争表示 or 選択中の戦争のみ)
+  const frontLines = useFrontLines(mapWorkerPool, sharedData, wars, worldVersion);
+  const supplyLines = useSupplyLines();
+  const structures = useStructures();
+  const frontLineEdges = useMemo(() => {
+    if (warFrontWar) return frontLines.edges.filter(e => e.warIds.includes(warFrontWar.id));
+    return showFrontLines ? frontLines.edges : null;
+  }, [frontLines, warFrontWar, showFrontLines]);
+
+  // 直近の塗りが最も多い前線へ移動
+  const handleJumpToHottestFront = useCallback(() => {
+    const hottest = frontLines.hottest;
+    if (!hottest) {
+      addNotification("直近30分に戦闘のあった前線はありません", "前線");
+      return;
+    }
+    handleShowWarFront(hottest.warId, hottest);
+  }, [frontLines, handleShowWarFront, addNotification]);
+
   // 併合・同盟要請の同期 (再接続・リロード対策)
   useEffect(() => {
     if (!playerData?.factionId || !factions[playerData.factionId]) {
@@ -649,8 +685,34 @@ function App() {
       .then(data => setNamedCells(data.namedCells || {}))
       .catch(e => console.error("Named cells fetch error:", e));
 
+    fetchTerrain();
+    fetchScoring();
+
   }, [authStatus.authenticated]);
 
+  // [NEW] 地形レイヤー取得 (1タイル1バイト)
+  const fetchTerrain = useCallback(() => {
+    fetch('/api/map/terrain', { credentials: 'include' })
+      .then(res => res.ok ? res.arrayBuffer() : Promise.reject('Status: ' + res.status))
+      .then(buffer => setTerrain(new Uint8Array(buffer)))
+      .catch(e => console.error("Terrain fetch error:", e));
+  }, []);
+
+  // [NEW] スコアリングプロファイル取得 (custom の場合はポイントマップも取得)
+  const fetchScoring = useCallback(() => {
+    fetch('/api/scoring', { credentials: 'include' })
+      .then(res => res.ok ? res.json() : Promise.reject('Status: ' + res.status))
+      .then(data => {
+        if (data.profile?.type === 'custom' && data.hasCustomPointMap) {
+          return fetch('/api/scoring/point-map', { credentials: 'include' })
+            .then(res => res.ok ? res.arrayBuffer() : Promise.reject('Status: ' + res.status))
+            .then(buffer => setScoring({ profile: data.profile, pointMap: new Uint8Array(buffer) }));
+        }
+        setScoring({ profile: data.profile, pointMap: null });
+      })
+      .catch(e => console.error("Scoring fetch error:", e));
+  }, []);
+
   const fetchNotices = useCallback(() => {
     fetch('/api/notices', { credentials: 'include' })
       .then(res => res.ok ? res.json() : Promise.reject('Status: ' + res.status))
@@ -853,6 +915,8 @@ function App() {
         isMergeEnabled: newSettings.isMergeEnabled,
         isGameStopped: newSettings.isGameStopped,
         mergerSettings: newSettings.mergerSettings, // [NEW] added for consistency
+        namedCellTypeSettings: newSettings.namedCellTypeSettings,
+        fogOfWarEnabled: newSettings.fogOfWarEnabled ?? prev.fogOfWarEnabled,
       }));
       // 設定変更後に勢力情報を再取得して、UI上のコスト表示などを最新化する
       fetchFactions();
@@ -1139,6 +1203,28 @@ function App() {
       });
     });
 
+    // [NEW] 地形
+    socket.on('terrain:updated', () => {
+      fetchTerrain();
+    });
+
+    // [NEW] スコアリングプロファイル変更
+    socket.on('scoring:updated', () => {
+      fetchScoring();
+    });
+
+    // [NEW] 管理者によるロールバック・再構築 (マップ全体を再取得)
+    socket.on('map:reloaded', () => {
+      mapWorkerPool.sendTask('LOAD_MAP_DATA_BINARY', {
+          url: '/api/map/binary',
+          sab: sharedData.sab
+      })
+      .then(({ playerNames: workerNames, playerList, factionsList }) => {
+          importMappings({ factionsList, playerList, playerNames: workerNames });
+      })
+      .catch(e => console.error("Map reload error:", e));
+    });
+
     // 同盟
     socket.on('alliance:created', ({ allianceId, alliance }) => {
       setAlliances(prev => ({ ...prev, [allianceId]: alliance }));
@@ -1542,6 +1628,12 @@ function App() {
         }
     });
 
+    // チャットでメンションされたときの通知
+    socket.on('chat:mention', (data) => {
+        const where = data.channel.startsWith('alliance:') ? '同盟チャット' : '勢力チャット';
+        addNotification(`${data.senderName} さん (${where}): ${data.content}`, 'メンション');
+    });
+
     // 停戦関連のリアルタイム更新
     socket.on('truce:established', () => {
         fetchFactions();
@@ -1826,12 +1918,28 @@ function App() {
         if (!name || !name.trim()) return;
     }
 
+    // 種類の選択 (番号入力)。物見櫓は戦場の霧が有効な間のみ
+    const typeKeys = Object.keys(NAMED_CELL_TYPES).filter(
+        key => authStatus.fogOfWarEnabled || !NAMED_CELL_TYPES[key].requiresFogOfWar
+    );
+    const typeList = typeKeys.map((key, i) => {
+        const info = getNamedCellTypeInfo(key, authStatus.namedCellTypeSettings);
+        return `${i + 1}. ${info.icon} ${info.name}: ${info.description}`;
+    }).join('\n');
+    const typeInput = window.prompt(`ネームドマスの種類を番号で選んでください\n${typeList}`, '1');
+    if (typeInput === null) return;
+    const type = typeKeys[Number(typeInput) - 1];
+    if (!type) {
+        alert('種類の番号が正しくありません');
+        return;
+    }
+
     try {
       const res = await fetch('/api/tiles/named/create', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         credentials: 'include',
-        body: JSON.stringify({ x: t.x, y: t.y, name })
+        body: JSON.stringify({ x: t.x, y: t.y, name, type })
       });
 
       if (res.status === 401 || res.status === 403) {
@@ -1850,7 +1958,7 @@ function App() {
     } catch(e) {
         alert("エラーが発生しました: " + e.message);
     }
-  }, [selectedTiles, handleAuthError]);
+  }, [selectedTiles, handleAuthError, authStatus.namedCellTypeSettings, authStatus.fogOfWarEnabled]);
 
   // ネームドマス名前変更
   const handleRenameNamedTile = useCallback(async (tileKey, newName) => {
@@ -2241,14 +2349,23 @@ function App() {
   };
 
   // 勢力参加
-  const handleJoinFaction = async (factionId) => {
+  const handleJoinFaction = async (factionId, answers = null) => {
     if (isProcessingJoin) return;
+
+    // 承認制で質問が設定されている勢力は、先に申請書を記入する
+    const target = factions[factionId];
+    if (!answers && target?.joinPolicy === 'approval' && target.joinQuestionnaire?.length > 0) {
+      setApplyingFaction({ ...target, id: factionId });
+      return;
+    }
     setIsProcessingJoin(true);
 
     try {
       const res = await fetch(`/api/factions/${factionId}/join`, {
         method: 'POST',
-        credentials: 'include'
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ answers: answers || [] })
       });
       const data = await res.json();
 
@@ -2570,12 +2687,12 @@ function App() {
       }
   }, []);
 
-  const handleTruceRequest = useCallback(async (targetFid, expiresAt) => {
+  const handleTruceRequest = useCallback(async (targetFid, expiresAt, dmzWidth = 0) => {
       try {
           const res = await fetch('/api/truces/request', {
               method: 'POST',
               headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ targetFactionId: targetFid, expiresAt })
+              body: JSON.stringify({ targetFactionId: targetFid, expiresAt, dmzWidth })
           });
           const data = await res.json();
           if (data.error) return { error: data.error };
@@ -2700,6 +2817,58 @@ function App() {
                 .catch(() => alert('通信エラー'));
             }
             break;
+        case 'peace:accept':
+        case 'peace:reject': {
+            const accept = actionKey === 'peace:accept';
+            if (!window.confirm(accept
+                ? "講和条件を承認しますか？\n承認すると条件がただちに履行され、戦争が終結します。"
+                : "講和提案を拒否しますか？")) break;
+            const { warId, proposalId } = actionData || {};
+            if (!warId || !proposalId) return;
+            fetch(`/api/wars/${warId}/peace/respond`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ proposalId, accept })
+            })
+            .then(res => res.json())
+            .then(data => {
+                if (data.success) {
+                    alert(data.message);
+                    setShowNoticePopup(false);
+                }
+                else alert(data.error || 'エラーが発生しました');
+                if (accept) fetchFactions();
+            })
+            .catch(() => alert('通信エラー'));
+            break;
+        }
+        case 'vassal:accept':
+        case 'vassal:reject': {
+            const accept = actionKey === 'vassal:accept';
+            if (!window.confirm(accept
+                ? "従属関係の提案を承認しますか？\n従属国は独自に開戦できず、日次ボーナスのたびに共有APの一部を宗主国へ貢納します。"
+                : "従属関係の提案を拒否しますか？")) break;
+            const proposalId = actionData?.proposalId;
+            if (!proposalId) return;
+            fetch('/api/vassalage/respond', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ proposalId, accept })
+            })
+            .then(res => res.json())
+            .then(data => {
+                if (data.success) {
+                    alert(data.message);
+                    setShowNoticePopup(false);
+                }
+                else alert(data.error || 'エラーが発生しました');
+                if (accept) fetchFactions();
+            })
+            .catch(() => alert('通信エラー'));
+            break;
+        }
         case 'approve':
         case 'reject':
         case 'accept': // Legacy fallback
@@ -2767,6 +2936,8 @@ function App() {
           // Season 2 Props
           showNamedTileNames={showNamedTileNames}
           namedCells={namedCells}
+          terrain={terrain}
+          scoring={scoring}
           brushToggleMode={brushToggleMode}
           alliances={alliances}
           showFactionNames={showFactionNames}
@@ -2785,8 +2956,41 @@ function App() {
           onZoomChange={setZoomLevel} // [NEW] ズームレベル更新
           workerPool={mapWorkerPool} // [NEW] 共有WorkerPool
           mapSize={mapSize} // [NEW] Pass mapSize prop
+          frontLineEdges={frontLineEdges}
+          truces={truces}
+          supplyLines={supplyLines}
+          structures={structures}
         />
 
+        {/* 前線表示中バナー */}
+        {warFrontWar && (
+          <div style={{
+            position: 'absolute',
+            top: '10px',
+            left: '50%',
+            transform: 'translateX(-50%)',
+            zIndex: 1500,
+            background: 'rgba(20, 20, 30, 0.85)',
+            border: '1px solid #ffaa00',
+            borderRadius: '16px',
+            padding: '4px 12px',
+            color: '#fff',
+            fontSize: '0.8rem',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px'
+          }}>
+            <span>⚔️ 前線を表示中: {factions[warFrontWar.attackerSide.leaderId]?.name || '攻撃側'} vs {factions[warFrontWar.defenderSide.leaderId]?.name || '防衛側'}</span>
+            <button
+              onClick={() => setWarFrontWarId(null)}
+              style={{ background: 'transparent', border: 'none', color: '#aaa', cursor: 'pointer' }}
+              title="前線表示を解除"
+            >
+              ✖
+            </button>
+          </div>
+        )}
+
         {/* マップモード切り替えボタン & オプション */}
         <div className="map-controls-group">
             {/* Menu Toggle */}
@@ -2839,6 +3043,16 @@ function App() {
            >
              {brushToggleMode ? '🪥' : '🖊️'}
            </button>
+
+           {frontLines.edges.length > 0 && (
+             <button
+               className="map-mini-btn"
+               onClick={handleJumpToHottestFront}
+               title="最も激しい前線へ移動"
+             >
+               🔥
+             </button>
+           )}
         </div>
 
         {/* マップオプションカード */}
@@ -2912,6 +3126,16 @@ function App() {
                 </div>
               </div>
 
+              <div
+                className={`premium-toggle ${showFrontLines ? 'active' : ''}`}
+                onClick={() => setShowFrontLines(!showFrontLines)}
+              >
+                <span className="premium-toggle-label">戦争の前線を表示</span>
+                <div className="premium-toggle-switch">
+                  <div className="premium-toggle-knob"></div>
+                </div>
+              </div>
+
               <div
                 className={`premium-toggle ${showLeaderboard ? 'active' : ''}`}
                 onClick={() => {
@@ -3056,14 +3280,17 @@ function App() {
         isMergeEnabled={authStatus.isMergeEnabled ?? true}
         mergerSettings={authStatus.mergerSettings} // [NEW] Pass settings
         namedTileSettings={authStatus.namedTileSettings} // [NEW]
+        namedCellTypeSettings={authStatus.namedCellTypeSettings}
         apSettings={authStatus.apSettings} // [NEW] 設定渡し
         gardenRefillCost={authStatus.gardenRefillCost || 30}
         gardenRefillAmount={authStatus.gardenRefillAmount || 50}
         className={isSidebarOpen ? 'open' : ''}
         onClose={() => setIsSidebarOpen(false)}
         onJumpTo={handleJumpTo}
+        onShowWarFront={handleShowWarFront}
         onAutoSelect={handleAutoSelect}
         namedCells={namedCells}
+        structures={structures}
         showNamedTileNames={showNamedTileNames}
         onToggleNamedTileNames={() => setShowNamedTileNames(prev => !prev)}
         // Season 2 Props
@@ -3198,6 +3425,17 @@ function App() {
         </div>
       )}
 
+      {applyingFaction && (
+        <JoinApplicationModal
+          faction={applyingFaction}
+          onSubmit={(answers) => {
+            handleJoinFaction(applyingFaction.id, answers);
+            setApplyingFaction(null);
+          }}
+          onClose={() => setApplyingFaction(null)}
+        />
+      )}
+
       {/* 勢力詳細ポップアップ (New Component) */}
       {showMemberFactionId && (
         <FactionDetailsModal
@@ -3208,6 +3446,7 @@ function App() {
             truces={truces}
             wars={wars}
             apSettings={authStatus.apSettings} // [NEW] 追加
+            onShowWarFront={handleShowWarFront}
             onClose={() => setShowMemberFactionId(null)}
             onJoinFaction={handleJoinFaction}
             onKickMember={(pid) => {
@@ -3248,6 +3487,7 @@ function App() {
           showFactionNames={showFactionNames}
           allianceDisplayMode={allianceDisplayMode}
           workerPool={mapWorkerPool}
+          scoring={scoring}
         />
       )}
 
@@ -1,5 +1,7 @@
 import { memo, useEffect, useState } from 'react';
 import { createPortal } from 'react-dom';
+import AllianceTreasuryPanel from './AllianceTreasuryPanel';
+import { ALLIANCE_ROLES, getAllianceRole, hasAlliancePermission } from '../utils/allianceRoles';
 
 function AlliancePanel({
   onClose,
@@ -38,6 +40,7 @@ function AlliancePanel({
   const [selectedTrucePartner, setSelectedTrucePartner] = useState('');
   const [selectedInviteFaction, setSelectedInviteFaction] = useState('');
   const [selectedTruceDuration, setSelectedTruceDuration] = useState(1);
+  const [selectedTruceDmzWidth, setSelectedTruceDmzWidth] = useState(0);
 
   const calculateExpiry = (hours) => {
     const now = new Date();
@@ -82,7 +85,30 @@ function AlliancePanel({
   const myAlliance = alliances[myAllianceId];
   const isLeader = myFaction?.kingId === playerData?.id;
   const isAllianceLeader = myAlliance?.leaderId === myFactionId;
-  const canDiplomacy = isLeader || !!playerData?.permissions?.canDiplomacy || !!playerData?.permissions?.canRequestTruce;
+  const canDiplomacy = isLeader || !!playerData?.permissions?.canDiplomacy;
+  const canManageTruces = isLeader || !!playerData?.permissions?.canManageTruces;
+  // 同盟役職による権限 (盟主は全権限)
+  const canManageAllianceMembers = canDiplomacy && hasAlliancePermission(myAlliance, myFactionId, 'manageMembers');
+  const canCallToArms = canDiplomacy && hasAlliancePermission(myAlliance, myFactionId, 'callToArms');
+
+  const handleAssignRole = async (factionId, role) => {
+    setIsProcessing(true);
+    try {
+      const res = await fetch('/api/alliances/roles', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ factionId, role: role || null })
+      });
+      const data = await res.json();
+      alert(data.error || data.message);
+    } catch (e) {
+      console.error(e);
+      alert("エラーが発生しました");
+    } finally {
+      setIsProcessing(false);
+    }
+  };
 
   useEffect(() => {
     if (myAlliance) {
@@ -320,8 +346,16 @@ function AlliancePanel({
                     </div>
                  </div>
 
-             {/* Alliance Invitation (Leader) */}
-             {isAllianceLeader && canDiplomacy && (
+             {/* Alliance Treasury */}
+             <AllianceTreasuryPanel
+                 alliance={myAlliance}
+                 factions={factions}
+                 myFactionId={myFactionId}
+                 canDiplomacy={canDiplomacy}
+             />
+
+             {/* Alliance Invitation (Leader / Marshal) */}
+             {canManageAllianceMembers && (
                  <div className="premium-card bg-emerald-500 bg-opacity-5 border-emerald-500 border-opacity-20 shadow-lg shadow-emerald-500/5 w-full min-w-0">
                      <h4 className="font-bold text-emerald-400 text-xs mb-4 uppercase tracking-widest flex items-center gap-2">
                         <span>✨</span>
@@ -415,7 +449,7 @@ function AlliancePanel({
             )}
 
             {/* Pending Requests */}
-            {isAllianceLeader && canDiplomacy && myAlliance.pendingRequests && myAlliance.pendingRequests.length > 0 && (
+            {canManageAllianceMembers && myAlliance.pendingRequests && myAlliance.pendingRequests.length > 0 && (
                 <div className="premium-card bg-yellow-500 bg-opacity-5 border-yellow-500 border-opacity-20 animate-pulse-glow">
                     <h4 className="font-bold text-yellow-500 text-xs mb-3 uppercase tracking-widest flex items-center gap-2">
                         ⚠️ 加盟申請 ({myAlliance.pendingRequests.length})
@@ -465,17 +499,19 @@ function AlliancePanel({
                                     </div>
 
                                     <div className="flex flex-col gap-3">
-                                        {/* Call to Arms */}
-                                        <button
-                                            onClick={() => {
-                                                if (confirm("同盟メンバー全員に参戦を呼びかけますか？")) {
-                                                    handleAction(onCallToArms, war.id);
-                                                }
-                                            }}
-                                            className="w-full py-3 bg-red-600 hover:bg-red-500 text-white border border-red-500 border-opacity-30 rounded-lg text-xs font-bold transition-all shadow-lg shadow-red-600/20"
-                                        >
-                                            📢 全員へ参戦要請 (Call to Arms)
-                                        </button>
+                                        {/* Call to Arms (Leader / Marshal) */}
+                                        {canCallToArms && (
+                                            <button
+                                                onClick={() => {
+                                                    if (confirm("同盟メンバー全員に参戦を呼びかけますか？")) {
+                                                        handleAction(onCallToArms, war.id);
+                                                    }
+                                                }}
+                                                className="w-full py-3 bg-red-600 hover:bg-red-500 text-white border border-red-500 border-opacity-30 rounded-lg text-xs font-bold transition-all shadow-lg shadow-red-600/20"
+                                            >
+                                                📢 全員へ参戦要請 (Call to Arms)
+                                            </button>
+                                        )}
 
                                         {/* Propose to individual (Dropdown) */}
                                         <div className="flex w-full">
@@ -531,6 +567,7 @@ function AlliancePanel({
                         const mFaction = factions[mid];
                         const isMe = mid === myFactionId;
                         const isMemberLeader = mid === myAlliance.leaderId;
+                        const memberRole = getAllianceRole(myAlliance, mid);
 
                         return (
                             <div key={mid} className="relative bg-[#1e1e1e] rounded-xl overflow-hidden shadow-md hover:shadow-xl transition-all duration-300 group border border-white/5">
@@ -554,12 +591,30 @@ function AlliancePanel({
                                                     {mFaction?.name}
                                                 </button>
                                                 {isMemberLeader && <span title="盟主" className="text-yellow-400 text-xs drop-shadow-sm flex-shrink-0">👑</span>}
+                                                {ALLIANCE_ROLES[memberRole] && (
+                                                    <span className="text-[10px] text-amber-300 bg-amber-500/10 px-1.5 py-0.5 rounded flex-shrink-0">
+                                                        {ALLIANCE_ROLES[memberRole].label}
+                                                    </span>
+                                                )}
                                             </div>
+                                            {isAllianceLeader && canDiplomacy && !isMemberLeader && (
+                                                <select
+                                                    className="input text-xs mt-1 py-1 px-2 bg-black/40 border-white/10 rounded"
+                                                    value={myAlliance.roles?.[mid] || ''}
+                                                    disabled={isProcessing}
+                                                    onChange={(e) => handleAssignRole(mid, e.target.value)}
+                                                >
+                                                    <option value="">役職なし</option>
+                                                    {Object.entries(ALLIANCE_ROLES).map(([key, r]) => (
+                                                        <option key={key} value={key}>{r.label}</option>
+                                                    ))}
+                                                </select>
+                                            )}
                                         </div>
                                     </div>
 
                                     {/* Action Buttons */}
-                                    {isAllianceLeader && canDiplomacy && mid !== myFactionId && (
+                                    {canManageAllianceMembers && mid !== myFactionId && !isMemberLeader && (
                                          <div className="absolute top-3 right-3 opacity-0 group-hover:opacity-100 transition-opacity">
                                             <button
                                                 onClick={() => {
@@ -633,7 +688,7 @@ function AlliancePanel({
     return (
         <div className="space-y-6 px-1 flex-1">
             {/* 停戦要請リスト (受信) */}
-            {canDiplomacy && myFaction.truceRequestsReceived && myFaction.truceRequestsReceived.length > 0 && (
+            {canManageTruces && myFaction.truceRequestsReceived && myFaction.truceRequestsReceived.length > 0 && (
                 <div className="premium-card bg-green-500 bg-opacity-5 border-green-500 border-opacity-20 animate-pulse-glow">
                     <h4 className="font-bold text-green-500 text-xs mb-3 uppercase tracking-widest flex items-center gap-2">
                         <span>📩</span> 停戦要請（受信）
@@ -642,6 +697,7 @@ function AlliancePanel({
                         {myFaction.truceRequestsReceived.map(entry => {
                             const fid = typeof entry === 'object' ? entry.id : entry;
                             const expiresAt = typeof entry === 'object' ? entry.expiresAt : null;
+                            const dmzWidth = typeof entry === 'object' ? entry.dmzWidth || 0 : 0;
                             return (
                             <div key={fid} className="flex flex-col bg-white bg-opacity-5 p-4 rounded-xl border border-white border-opacity-10 gap-3">
                                 <span className="font-bold text-lg">{factions[fid]?.name || fid}</span>
@@ -654,6 +710,11 @@ function AlliancePanel({
                                         期限: デフォルト (12時間)
                                     </div>
                                 )}
+                                {dmzWidth > 0 && (
+                                    <div className="text-xs text-yellow-300">
+                                        🚧 非武装地帯: 国境から幅 {dmzWidth} マス (停戦中は双方とも塗装不可)
+                                    </div>
+                                )}
                                 <div className="flex flex-col gap-2 w-full mt-1">
                                     <button
                                         onClick={() => {
@@ -698,6 +759,11 @@ function AlliancePanel({
                                 <div className="text-sm bg-black bg-opacity-40 px-3 py-2 rounded-lg text-green-400 font-mono border border-green-500/30 w-full text-center">
                                     残り {hoursLeft}時間
                                 </div>
+                                {t.dmz && (
+                                    <div className="text-xs text-yellow-300">
+                                        🚧 非武装地帯: 幅 {t.dmz.width} マス ({t.dmz.tiles.length} マス)
+                                    </div>
+                                )}
                             </div>
                         );
                     })}
@@ -705,7 +771,7 @@ function AlliancePanel({
             </div>
 
             {/* 新規停戦申請 (復旧 & レスポンシブ化) */}
-            {canDiplomacy && (
+            {canManageTruces && (
                 <div className="mt-8 pt-6 border-t border-white border-opacity-10">
                     <h4 className="font-bold text-sm mb-4 text-gray-400 uppercase tracking-widest flex items-center gap-2">
                         <span>🕊️</span> 新規停戦申請
@@ -734,6 +800,17 @@ function AlliancePanel({
                             <option value="12">{getDurationLabel(12)}</option>
                             <option value="24">{getDurationLabel(24)}</option>
                         </select>
+                        <select
+                            className="input w-full text-base sm:text-sm py-3 px-4 bg-black bg-opacity-40 border border-white border-opacity-20 rounded-xl focus:border-green-500 focus:ring-1 focus:ring-green-500 transition-all appearance-none cursor-pointer"
+                            value={selectedTruceDmzWidth}
+                            onChange={(e) => setSelectedTruceDmzWidth(Number(e.target.value))}
+                            style={{ backgroundImage: 'none' }}
+                        >
+                            <option value="0">非武装地帯なし</option>
+                            <option value="1">非武装地帯: 国境から幅 1 マス</option>
+                            <option value="2">非武装地帯: 国境から幅 2 マス</option>
+                            <option value="3">非武装地帯: 国境から幅 3 マス</option>
+                        </select>
                         <button
                             className={`btn w-full px-6 py-3 rounded-xl font-bold shadow-lg transition-all transform hover:-translate-y-0.5 ${
                                 !selectedTrucePartner || isProcessing
@@ -744,9 +821,11 @@ function AlliancePanel({
                             onClick={() => {
                                 const partner = factions[selectedTrucePartner];
                                 const expiry = calculateExpiry(selectedTruceDuration);
-                                if (confirm(`勢力「${partner?.name}」に停戦を申し込みますか？\n期限: ${expiry.toLocaleString()} まで`)) {
-                                    handleAction(onRequestTruce, selectedTrucePartner, expiry.toISOString());
+                                const dmzText = selectedTruceDmzWidth > 0 ? `\n非武装地帯: 国境から幅 ${selectedTruceDmzWidth} マス` : '';
+                                if (confirm(`勢力「${partner?.name}」に停戦を申し込みますか？\n期限: ${expiry.toLocaleString()} まで${dmzText}`)) {
+                                    handleAction(onRequestTruce, selectedTrucePartner, expiry.toISOString(), selectedTruceDmzWidth);
                                     setSelectedTrucePartner('');
+                                    setSelectedTruceDmzWidth(0);
                                 }
                             }}
                         >
@@ -0,0 +1,161 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ALLIANCE_ROLES, hasAlliancePermission } from '../utils/allianceRoles';
+
+const LEDGER_PAGE_SIZE = 20;
+
+// 同盟タブの金庫欄: 残高・寄付・引き出し (盟主・財務官) と入出金履歴
+const AllianceTreasuryPanel = ({ alliance, factions, myFactionId, canDiplomacy }) => {
+    const [ledger, setLedger] = useState([]);
+    const [showAll, setShowAll] = useState(false);
+    const [donateAmount, setDonateAmount] = useState('');
+    const [withdrawAmount, setWithdrawAmount] = useState('');
+    const [withdrawTarget, setWithdrawTarget] = useState(myFactionId);
+    const [busy, setBusy] = useState(false);
+
+    const loadLedger = useCallback(async () => {
+        try {
+            const res = await fetch(`/api/alliances/${alliance.id}/treasury`, { credentials: 'include' });
+            const data = await res.json();
+            if (data.success) setLedger(data.ledger);
+        } catch (e) {
+            console.error("Alliance treasury fetch error:", e);
+        }
+    }, [alliance.id]);
+
+    // 残高が変わるたびに履歴を取り直す
+    useEffect(() => {
+        loadLedger();
+    }, [loadLedger, alliance.treasury]);
+
+    const canWithdraw = canDiplomacy && hasAlliancePermission(alliance, myFactionId, 'withdrawTreasury');
+    const mySharedAP = factions[myFactionId]?.sharedAP || 0;
+    const getName = (fid, fallback) => factions[fid]?.name || fallback || fid;
+
+    const post = async (url, body) => {
+        setBusy(true);
+        try {
+            const res = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify(body)
+            });
+            const data = await res.json();
+            alert(data.error || data.message);
+            return !!data.success;
+        } catch (e) {
+            console.error("Alliance treasury request error:", e);
+            alert('通信エラー');
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleDonate = async () => {
+        const amount = Number(donateAmount);
+        if (!window.confirm(`勢力の共有APから同盟金庫へ ${amount} AP を寄付しますか？`)) return;
+        if (await post('/api/alliances/treasury/donate', { amount })) setDonateAmount('');
+    };
+
+    const handleWithdraw = async () => {
+        const amount = Number(withdrawAmount);
+        if (!window.confirm(`同盟金庫から勢力「${getName(withdrawTarget)}」の共有APへ ${amount} AP を引き出しますか？`)) return;
+        if (await post('/api/alliances/treasury/withdraw', { amount, targetFactionId: withdrawTarget })) setWithdrawAmount('');
+    };
+
+    const visibleLedger = showAll ? ledger : ledger.slice(0, LEDGER_PAGE_SIZE);
+
+    return (
+        <div className="premium-card bg-amber-500 bg-opacity-5 border-amber-500 border-opacity-20 w-full min-w-0">
+            <h4 className="font-bold text-amber-400 text-xs mb-4 uppercase tracking-widest flex items-center justify-between gap-2">
+                <span>💰 同盟金庫</span>
+                <span className="text-lg font-mono text-amber-300">{alliance.treasury || 0} AP</span>
+            </h4>
+
+            {canDiplomacy && (
+                <div className="flex flex-col gap-2 mb-4">
+                    <div className="flex gap-2">
+                        <input
+                            type="number"
+                            min={1}
+                            className="input flex-1 min-w-0 text-sm py-2 px-3 bg-black/40 border-white/10 rounded-lg"
+                            placeholder={`寄付するAP (共有AP: ${mySharedAP})`}
+                            value={donateAmount}
+                            onChange={(e) => setDonateAmount(e.target.value)}
+                        />
+                        <button
+                            className="btn px-4 py-2 text-sm bg-amber-600 hover:bg-amber-500 text-white rounded-lg font-bold disabled:opacity-50"
+                            disabled={busy || !(Number(donateAmount) >= 1)}
+                            onClick={handleDonate}
+                        >
+                            寄付
+                        </button>
+                    </div>
+                    {canWithdraw && (
+                        <div className="flex gap-2">
+                            <select
+                                className="input flex-1 min-w-0 text-sm py-2 px-3 bg-black/40 border-white/10 rounded-lg"
+                                value={withdrawTarget}
+                                onChange={(e) => setWithdrawTarget(e.target.value)}
+                            >
+                                {alliance.members.map(mid => (
+                                    <option key={mid} value={mid}>{getName(mid)}</option>
+                                ))}
+                            </select>
+                            <input
+                                type="number"
+                                min={1}
+                                className="input w-24 text-sm py-2 px-3 bg-black/40 border-white/10 rounded-lg"
+                                placeholder="AP"
+                                value={withdrawAmount}
+                                onChange={(e) => setWithdrawAmount(e.target.value)}
+                            />
+                            <button
+                                className="btn px-4 py-2 text-sm bg-blue-600 hover:bg-blue-500 text-white rounded-lg font-bold disabled:opacity-50"
+                                disabled={busy || !(Number(withdrawAmount) >= 1)}
+                                onClick={handleWithdraw}
+                            >
+                                引き出し
+                            </button>
+                        </div>
+                    )}
+                    <div className="text-[10px] text-gray-500">
+                        寄付は勢力の共有APから行います。引き出しは盟主と{ALLIANCE_ROLES.treasurer.label}のみが行え、引き出し先の共有AP上限を超える分は金庫に残ります。
+                    </div>
+                </div>
+            )}
+
+            <div className="text-xs text-gray-400 mb-2">入出金履歴</div>
+            {ledger.length === 0 && <div className="text-xs text-gray-500 italic">記録なし</div>}
+            <div className="space-y-1">
+                {visibleLedger.map((entry, i) => (
+                    <div key={i} className="flex justify-between gap-2 text-xs bg-black/30 px-2 py-1.5 rounded">
+                        <span className="min-w-0 truncate">
+                            {entry.type === 'donate' ? (
+                                <span className="text-green-400">＋{entry.amount}</span>
+                            ) : (
+                                <span className="text-red-400">－{entry.amount}</span>
+                            )}
+                            {' '}
+                            {entry.type === 'donate'
+                                ? `${getName(entry.factionId, entry.factionName)} が寄付`
+                                : `${getName(entry.factionId, entry.factionName)} → ${getName(entry.targetFactionId, entry.targetFactionName)}`}
+                            <span className="text-gray-500"> ({entry.playerName})</span>
+                        </span>
+                        <span className="text-gray-500 flex-shrink-0">
+                            残高 {entry.balance} ・ {new Date(entry.at).toLocaleString()}
+                        </span>
+                    </div>
+                ))}
+            </div>
+            {ledger.length > LEDGER_PAGE_SIZE && (
+                <button className="btn w-full mt-2 text-xs py-1" onClick={() => setShowAll(!showAll)}>
+                    {showAll ? '折りたたむ' : `すべて表示 (${ledger.length}件)`}
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default AllianceTreasuryPanel;
@@ -0,0 +1,234 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import socket from '../socket';
+
+const MAX_LENGTH = 500;
+
+// 本文中の @表示名 を強調表示
+const renderContent = (content) => content.split(/(@[^\s@]+)/g).map((part, i) => (
+    part.startsWith('@')
+        ? <span key={i} style={{ color: '#38bdf8', fontWeight: 'bold' }}>{part}</span>
+        : part
+));
+
+// 勢力チャット / 同盟チャット
+const FactionChatModal = ({ onClose, playerData, allianceName }) => {
+    const factionId = playerData.factionId;
+    const [channelType, setChannelType] = useState('faction'); // 'faction' | 'alliance'
+    const [channel, setChannel] = useState(null);
+    const [messages, setMessages] = useState([]);
+    const [nextBefore, setNextBefore] = useState(null);
+    const [canPost, setCanPost] = useState(false);
+    const [input, setInput] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [sending, setSending] = useState(false);
+    const listRef = useRef(null);
+    const stickToBottom = useRef(true);
+
+    const fetchMessages = useCallback(async (before = null) => {
+        const params = new URLSearchParams({ channel: channelType });
+        if (before) params.set('before', before);
+        const res = await fetch(`/api/factions/${factionId}/chat?${params}`, { credentials: 'include' });
+        const data = await res.json();
+        if (data.error) throw new Error(data.error);
+        return data;
+    }, [factionId, channelType]);
+
+    // チャンネル切替時に最新ページを読み込む
+    useEffect(() => {
+        setLoading(true);
+        setError(null);
+        setMessages([]);
+        setChannel(null);
+        fetchMessages()
+            .then(data => {
+                setChannel(data.channel);
+                setMessages(data.messages);
+                setNextBefore(data.nextBefore);
+                setCanPost(data.canPost);
+                stickToBottom.current = true;
+            })
+            .catch(e => setError(e.message))
+            .finally(() => setLoading(false));
+    }, [fetchMessages]);
+
+    // リアルタイム受信 (サーバー側でブロック中の相手からは届かない)
+    useEffect(() => {
+        if (!channel) return;
+        const onMessage = (message) => {
+            if (message.channel !== channel) return;
+            setMessages(prev => prev.some(m => m.id === message.id) ? prev : [...prev, message]);
+        };
+        socket.on('chat:message', onMessage);
+        return () => socket.off('chat:message', onMessage);
+    }, [channel]);
+
+    useEffect(() => {
+        const el = listRef.current;
+        if (el && stickToBottom.current) el.scrollTop = el.scrollHeight;
+    }, [messages]);
+
+    const handleScroll = () => {
+        const el = listRef.current;
+        stickToBottom.current = el.scrollHeight - el.scrollTop - el.clientHeight < 40;
+    };
+
+    const loadOlder = async () => {
+        try {
+            const data = await fetchMessages(nextBefore);
+            const el = listRef.current;
+            const prevHeight = el.scrollHeight;
+            stickToBottom.current = false;
+            setMessages(prev => [...data.messages, ...prev]);
+            setNextBefore(data.nextBefore);
+            // 読み込み前の表示位置を維持
+            requestAnimationFrame(() => {
+                el.scrollTop = el.scrollHeight - prevHeight;
+            });
+        } catch (e) {
+            alert(e.message);
+        }
+    };
+
+    const handleSend = async () => {
+        const content = input.trim();
+        if (!content || sending) return;
+        setSending(true);
+        try {
+            const res = await fetch(`/api/factions/${factionId}/chat`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ channel: channelType, content })
+            });
+            const data = await res.json();
+            if (data.error) {
+                alert(data.error);
+                return;
+            }
+            stickToBottom.current = true;
+            setMessages(prev => prev.some(m => m.id === data.message.id) ? prev : [...prev, data.message]);
+            setInput('');
+        } catch (e) {
+            console.error("Chat send error:", e);
+        } finally {
+            setSending(false);
+        }
+    };
+
+    const tabStyle = (type) => ({
+        flex: 1,
+        padding: '8px',
+        cursor: 'pointer',
+        textAlign: 'center',
+        fontSize: '0.85rem',
+        borderBottom: channelType === type ? '2px solid #38bdf8' : '2px solid transparent',
+        color: channelType === type ? '#fff' : '#aaa',
+        fontWeight: channelType === type ? 'bold' : 'normal'
+    });
+
+    return (
+        <div className="modal-overlay" onClick={onClose} style={{ zIndex: 4000 }}>
+            <div
+                className="modal-content"
+                onClick={e => e.stopPropagation()}
+                style={{
+                    width: '90%',
+                    maxWidth: '520px',
+                    height: '80dvh',
+                    display: 'flex',
+                    flexDirection: 'column',
+                    background: 'rgba(20, 20, 30, 0.95)',
+                    border: '1px solid #38bdf8',
+                    borderRadius: '12px',
+                    padding: '16px',
+                    color: '#fff'
+                }}
+            >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                    <h3 style={{ margin: 0, color: '#38bdf8' }}>💬 チャット</h3>
+                    <button onClick={onClose} style={{ background: 'transparent', border: 'none', color: '#aaa', fontSize: '1.5rem', cursor: 'pointer' }}>×</button>
+                </div>
+
+                <div style={{ display: 'flex', borderBottom: '1px solid rgba(255, 255, 255, 0.1)', marginBottom: '8px' }}>
+                    <div style={tabStyle('faction')} onClick={() => setChannelType('faction')}>🏰 勢力</div>
+                    <div style={tabStyle('alliance')} onClick={() => setChannelType('alliance')}>
+                        🛡️ 同盟{allianceName ? ` (${allianceName})` : ''}
+                    </div>
+                </div>
+
+                <div
+                    ref={listRef}
+                    onScroll={handleScroll}
+                    style={{ flex: 1, overflowY: 'auto', padding: '4px', background: 'rgba(0, 0, 0, 0.2)', borderRadius: '8px' }}
+                >
+                    {loading ? (
+                        <div style={{ textAlign: 'center', padding: '20px' }}>Loading...</div>
+                    ) : error ? (
+                        <div style={{ color: '#aaa', padding: '20px', textAlign: 'center' }}>{error}</div>
+                    ) : (
+                        <>
+                            {nextBefore && (
+                                <button className="btn" onClick={loadOlder} style={{ width: '100%', fontSize: '0.75rem', marginBottom: '6px' }}>
+                                    さらに古いメッセージを読み込む
+                                </button>
+                            )}
+                            {messages.length === 0 && (
+                                <div style={{ color: '#888', padding: '20px', textAlign: 'center', fontSize: '0.85rem' }}>まだメッセージはありません</div>
+                            )}
+                            {messages.map(m => {
+                                const mentioned = m.mentions?.includes(playerData.id);
+                                return (
+                                    <div key={m.id} style={{
+                                        padding: '6px 8px',
+                                        marginBottom: '4px',
+                                        borderRadius: '6px',
+                                        background: mentioned ? 'rgba(56, 189, 248, 0.15)' : 'transparent',
+                                        borderLeft: mentioned ? '3px solid #38bdf8' : '3px solid transparent'
+                                    }}>
+                                        <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', fontSize: '0.75rem' }}>
+                                            <span style={{ fontWeight: 'bold', color: m.senderId === playerData.id ? '#4ade80' : '#ddd' }}>{m.senderName}</span>
+                                            <span style={{ color: '#777' }}>{new Date(m.createdAt).toLocaleString('ja-JP')}</span>
+                                        </div>
+                                        <div style={{ fontSize: '0.85rem', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>{renderContent(m.content)}</div>
+                                    </div>
+                                );
+                            })}
+                        </>
+                    )}
+                </div>
+
+                {!loading && !error && (
+                    canPost ? (
+                        <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+                            <textarea
+                                className="input"
+                                value={input}
+                                onChange={(e) => setInput(e.target.value)}
+                                onKeyDown={(e) => {
+                                    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+                                        e.preventDefault();
+                                        handleSend();
+                                    }
+                                }}
+                                maxLength={MAX_LENGTH}
+                                rows={2}
+                                placeholder="メッセージ (@表示名 でメンション, Shift+Enter で改行)"
+                                style={{ flex: 1, resize: 'none', fontSize: '0.85rem' }}
+                            />
+                            <button className="btn btn-primary" onClick={handleSend} disabled={!input.trim() || sending} style={{ fontSize: '0.8rem' }}>
+                                送信
+                            </button>
+                        </div>
+                    ) : (
+                        <div style={{ marginTop: '8px', fontSize: '0.75rem', color: '#888', textAlign: 'center' }}>
+                            このチャンネルへの投稿権限がありません
+                        </div>
+                    )
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default FactionChatModal;
@@ -1,6 +1,8 @@
 import { memo, useState } from 'react';
 import { createPortal } from 'react-dom';
 import WarCard from './WarCard';
+import WarDeclarationPanel from './WarDeclarationPanel';
+import VassalagePanel from './VassalagePanel';
 
 const FactionDetailsModal = ({
   factionId,
@@ -16,6 +18,7 @@ const FactionDetailsModal = ({
   onTruceRequest,
   onAllianceInvite,
   onSendMessage,
+  onShowWarFront,
   apSettings = {}
 }) => {
   const [activeTab, setActiveTab] = useState('members'); // members, diplomacy, wars
@@ -101,6 +104,19 @@ const FactionDetailsModal = ({
       );
   };
 
+  // 勢力主 or 役職の権限
+  const playerHasPermission = (permissionKey) => {
+    const myFaction = factions[playerData?.factionId];
+    if (!myFaction) return false;
+    if (myFaction.kingId === playerData.id) return true;
+    const roleId = myFaction.memberRoles?.[playerData.id];
+    return !!myFaction.roles?.find(r => r.id === roleId)?.permissions?.[permissionKey];
+  };
+  // 従属国は独自に開戦できず、宗主国と従属国の間でも開戦できない
+  const myOverlordId = factions[playerData?.factionId]?.overlordId;
+  const isVassalageBlocked = (!!myOverlordId && !!factions[myOverlordId]) || faction.overlordId === playerData?.factionId;
+  const playerCanDeclareWar = playerHasPermission('canDeclareWar') && !isVassalageBlocked;
+
   const checkWarWith = (fid1, fid2) => {
     if (!wars) return false;
     const f1 = String(fid1);
@@ -145,6 +161,7 @@ const FactionDetailsModal = ({
                     <h2 style={{ margin: 0, fontSize: '1.4rem', lineHeight: 1.2 }}>{faction.name}</h2>
                     <div style={{ fontSize: '0.8rem', color: '#aaa', display: 'flex', gap: '8px', marginTop: '4px' }}>
                         {faction.allianceId && <span style={{ color: '#66aaff' }}>🛡️ {contentHelpers.getAllianceName(faction.allianceId)} (同盟)</span>}
+                        {factions[faction.overlordId] && <span style={{ color: '#fbbf24' }}>👑 {contentHelpers.getFactionName(faction.overlordId)} の従属国</span>}
                     </div>
                 </div>
              </div>
@@ -288,6 +305,14 @@ const FactionDetailsModal = ({
                         )}
                     </div>
 
+                    {/* Vassalage Section */}
+                    <VassalagePanel
+                        factionId={factionId}
+                        factions={factions}
+                        myFactionId={playerData?.factionId}
+                        canDiplomacy={playerHasPermission('canDiplomacy')}
+                    />
+
                     {/* Truces Section */}
                     <div>
                         <h4 style={{ margin: '0 0 10px 0', borderBottom: '1px solid #444', paddingBottom: '4px' }}>🤝 停戦協定</h4>
@@ -322,6 +347,13 @@ const FactionDetailsModal = ({
                                     📩 同盟招待
                                 </button>
                             )}
+                            <WarDeclarationPanel
+                                myFactionId={playerData.factionId}
+                                targetFactionId={factionId}
+                                targetName={faction.name}
+                                canDeclareWar={playerCanDeclareWar && !(faction.allianceId && faction.allianceId === factions[playerData.factionId]?.allianceId)}
+                                isAtWar={checkWarWith(playerData.factionId, factionId)}
+                            />
                         </div>
                     )}
                 </div>
@@ -378,6 +410,10 @@ const FactionDetailsModal = ({
                             war={war}
                             factions={factions}
                             currentFactionId={playerData?.factionId} // Highlight user's side
+                            onShowFrontLine={onShowWarFront && ((warId, center) => {
+                                onShowWarFront(warId, center);
+                                onClose();
+                            })}
                         />
                     )) : (
                         <div style={{ padding: '20px', textAlign: 'center', color: '#aaa', fontStyle: 'italic' }}>
@@ -0,0 +1,221 @@
+import { useCallback, useEffect, useState } from 'react';
+
+const STATUS_LABELS = {
+    pending: { label: '再試行待ち', color: '#facc15' },
+    success: { label: '成功', color: '#4ade80' },
+    failed: { label: '失敗', color: '#f87171' }
+};
+
+// 勢力の Webhook 管理 (勢力主のみ)
+// 自勢力が関わる外交・マップイベントを外部チャット等に送信する
+const FactionWebhookModal = ({ onClose, factionId }) => {
+    const [webhooks, setWebhooks] = useState([]);
+    const [deliveries, setDeliveries] = useState([]);
+    const [events, setEvents] = useState({});
+    const [url, setUrl] = useState('');
+    const [selectedEvents, setSelectedEvents] = useState(null);
+    const [createdSecret, setCreatedSecret] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    const fetchWebhooks = useCallback(async () => {
+        try {
+            const res = await fetch(`/api/factions/${factionId}/webhooks`, { credentials: 'include' });
+            const data = await res.json();
+            if (data.error) {
+                alert(data.error);
+                return;
+            }
+            setWebhooks(data.webhooks);
+            setDeliveries(data.deliveries);
+            setEvents(data.events);
+            setSelectedEvents(prev => prev ?? Object.keys(data.events));
+        } catch (e) {
+            console.error("Webhook fetch error:", e);
+        } finally {
+            setLoading(false);
+        }
+    }, [factionId]);
+
+    useEffect(() => {
+        fetchWebhooks();
+    }, [fetchWebhooks]);
+
+    const toggleEvent = (event) => {
+        setSelectedEvents(prev => prev.includes(event) ? prev.filter(e => e !== event) : [...prev, event]);
+    };
+
+    const handleCreate = async () => {
+        if (!url.trim()) return;
+        try {
+            const res = await fetch(`/api/factions/${factionId}/webhooks`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ url: url.trim(), events: selectedEvents })
+            });
+            const data = await res.json();
+            if (data.error) {
+                alert(data.error);
+                return;
+            }
+            setCreatedSecret(data.secret);
+            setUrl('');
+            fetchWebhooks();
+        } catch (e) {
+            console.error("Webhook create error:", e);
+        }
+    };
+
+    const handleTest = async (webhookId) => {
+        try {
+            const res = await fetch(`/api/factions/${factionId}/webhooks/${webhookId}/test`, {
+                method: 'POST',
+                credentials: 'include'
+            });
+            const data = await res.json();
+            if (data.error) {
+                alert(data.error);
+                return;
+            }
+            // 初回の送信結果が記録されるのを待ってから再読込
+            setTimeout(fetchWebhooks, 2000);
+        } catch (e) {
+            console.error("Webhook test error:", e);
+        }
+    };
+
+    const handleDelete = async (webhookId) => {
+        if (!window.confirm('この Webhook を削除しますか？')) return;
+        try {
+            const res = await fetch(`/api/factions/${factionId}/webhooks/${webhookId}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+            const data = await res.json();
+            if (data.error) {
+                alert(data.error);
+                return;
+            }
+            fetchWebhooks();
+        } catch (e) {
+            console.error("Webhook delete error:", e);
+        }
+    };
+
+    const urlById = Object.fromEntries(webhooks.map(h => [h.id, h.url]));
+    const sectionTitle = { fontSize: '0.85rem', color: '#ccc', margin: '16px 0 6px' };
+    const rowStyle = {
+        padding: '8px',
+        background: 'rgba(255, 255, 255, 0.05)',
+        borderRadius: '6px',
+        marginBottom: '6px',
+        fontSize: '0.8rem'
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose} style={{ zIndex: 4000 }}>
+            <div
+                className="modal-content"
+                onClick={e => e.stopPropagation()}
+                style={{
+                    width: '90%',
+                    maxWidth: '520px',
+                    maxHeight: '85dvh',
+                    overflowY: 'auto',
+                    background: 'rgba(20, 20, 30, 0.95)',
+                    border: '1px solid #38bdf8',
+                    borderRadius: '12px',
+                    padding: '20px',
+                    color: '#fff'
+                }}
+            >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+                    <h3 style={{ margin: 0, color: '#38bdf8' }}>📮 Webhook 通知</h3>
+                    <button onClick={onClose} style={{ background: 'transparent', border: 'none', color: '#aaa', fontSize: '1.5rem', cursor: 'pointer' }}>×</button>
+                </div>
+                <p style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', margin: 0 }}>
+                    自勢力が関わる開戦・停戦・同盟・滅亡などのイベントを、指定した URL に署名付き JSON で送信します。
+                </p>
+
+                {loading ? (
+                    <div style={{ textAlign: 'center', padding: '20px' }}>Loading...</div>
+                ) : (
+                    <>
+                        <div style={sectionTitle}>新規登録</div>
+                        <input
+                            type="text"
+                            className="input"
+                            placeholder="https://example.com/hooks/..."
+                            value={url}
+                            onChange={(e) => setUrl(e.target.value)}
+                            style={{ width: '100%', marginBottom: '6px' }}
+                        />
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 12px', marginBottom: '8px' }}>
+                            {Object.entries(events).map(([event, label]) => (
+                                <label key={event} style={{ fontSize: '0.75rem', display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={selectedEvents?.includes(event) || false}
+                                        onChange={() => toggleEvent(event)}
+                                    />
+                                    {label}
+                                </label>
+                            ))}
+                        </div>
+                        <button
+                            className="btn btn-primary"
+                            onClick={handleCreate}
+                            disabled={!url.trim() || !selectedEvents?.length}
+                            style={{ width: '100%', fontSize: '0.8rem' }}
+                        >
+                            登録
+                        </button>
+                        {createdSecret && (
+                            <div style={{ ...rowStyle, marginTop: '8px', border: '1px solid rgba(56, 189, 248, 0.4)' }}>
+                                署名用シークレット (再表示できません):
+                                <div style={{ fontFamily: 'monospace', wordBreak: 'break-all', marginTop: '4px' }}>{createdSecret}</div>
+                            </div>
+                        )}
+
+                        <div style={sectionTitle}>登録済み</div>
+                        {webhooks.length === 0 ? (
+                            <div style={{ fontSize: '0.8rem', color: '#888' }}>登録済みの Webhook はありません</div>
+                        ) : webhooks.map(h => (
+                            <div key={h.id} style={rowStyle}>
+                                <div style={{ wordBreak: 'break-all', fontWeight: 'bold' }}>{h.url}</div>
+                                <div style={{ color: '#aaa', margin: '2px 0 6px' }}>
+                                    {h.events.map(e => events[e] || e).join(', ')}
+                                </div>
+                                <div style={{ display: 'flex', gap: '4px' }}>
+                                    <button className="btn btn-blue" onClick={() => handleTest(h.id)} style={{ flex: 1, fontSize: '0.75rem' }}>テスト送信</button>
+                                    <button className="btn" onClick={() => handleDelete(h.id)} style={{ flex: 1, fontSize: '0.75rem', backgroundColor: '#ef4444', color: 'white', border: 'none' }}>削除</button>
+                                </div>
+                            </div>
+                        ))}
+
+                        <div style={sectionTitle}>送信ログ</div>
+                        {deliveries.length === 0 ? (
+                            <div style={{ fontSize: '0.8rem', color: '#888' }}>送信履歴はありません</div>
+                        ) : deliveries.map(d => {
+                            const status = STATUS_LABELS[d.status] || { label: d.status, color: '#aaa' };
+                            return (
+                                <div key={d.id} style={rowStyle}>
+                                    <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+                                        <span><span style={{ color: status.color }}>{status.label}</span> {events[d.event] || d.event}</span>
+                                        <span style={{ color: '#888' }}>{new Date(d.createdAt).toLocaleString('ja-JP')}</span>
+                                    </div>
+                                    <div style={{ color: '#888', wordBreak: 'break-all' }}>
+                                        {urlById[d.webhookId] || '(削除済み)'} / 試行 {d.attempts}回
+                                        {d.lastError && ` / ${d.lastError}`}
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default FactionWebhookModal;
@@ -1,14 +1,31 @@
 import { memo, useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { createPortal } from 'react-dom';
 import { useMultiRenderWorker } from '../hooks/useMultiRenderWorker';
+import { getStructureTypeInfo, STRUCTURE_TYPES } from '../utils/structureTypes';
+import { getTilePoints } from '../utils/scoring';
+
+// ポイント計算は utils/scoring.js に移動 (既存の import 元を維持するため再エクスポート)
+export { MAX_POINTS, MIN_POINTS, GRADIENT_STEP, NAMED_CELL_BONUS, getTilePoints } from '../utils/scoring';
 
 // [REMOVED] Hardcoded MAP_SIZE = 500
 const TILE_SIZE = 16;
 const VIEWPORT_PADDING = 50;
-export const MAX_POINTS = 10;
-export const MIN_POINTS = 1;
-export const GRADIENT_STEP = 10;
-export const NAMED_CELL_BONUS = 20;
+
+// 地形タイプ (server/shared.js の TERRAIN_TYPES と対応)
+export const TERRAIN_TYPES = {
+  0: { key: 'plain', name: '平地', passable: true },
+  1: { key: 'water', name: '水域', passable: false },
+  2: { key: 'mountain', name: '山岳', passable: true },
+  3: { key: 'forest', name: '森林', passable: true },
+  4: { key: 'road', name: '道路', passable: true },
+};
+
+const getTerrainName = (terrain, x, y, mapSize) => {
+  if (!terrain || x < 0 || x >= mapSize || y < 0 || y >= mapSize) return null;
+  const type = terrain[y * mapSize + x];
+  if (!type || !TERRAIN_TYPES[type]) return null;
+  return TERRAIN_TYPES[type].name;
+};
 
 // Helper to get special tile range
 const getSpecialTileRange = (mapSize) => {
@@ -24,32 +41,6 @@ const isSpecialTile = (x, y, mapSize) => {
   return x >= min && x <= max && y >= min && y <= max;
 };
 
-// グラデーションポイント計算
-export const getTilePoints = (x, y, mapSize, namedCells = null) => {
-  let basePoints;
-  const { min, max } = getSpecialTileRange(mapSize);
-
-  if (x >= min && x <= max && y >= min && y <= max) {
-    basePoints = MAX_POINTS;
-  } else {
-    const distX = x < min ? min - x : x > max ? x - max : 0;
-    const distY = y < min ? min - y : y > max ? y - max : 0;
-    const distance = Math.max(distX, distY);
-    const reduction = Math.floor((distance - 1) / GRADIENT_STEP);
-    basePoints = Math.max(MIN_POINTS, 9 - reduction);
-  }
-
-  // ネームドセルボーナス
-  if (namedCells) {
-    const key = `${x}_${y}`;
-    if (namedCells[key]) {
-      basePoints += NAMED_CELL_BONUS;
-    }
-  }
-
-  return basePoints;
-};
-
 // クライアント側支配チェック
 const checkClientDomination = (cx, cy, level, factionId, getTileFunc, mapSize) => {
     const radius = level;
@@ -80,6 +71,8 @@ function GameMap({
   showFactionNames = true,
   showAllianceNames = true,
   namedCells = {},
+  terrain = null, // [NEW] 地形レイヤー (Uint8Array)
+  scoring = null, // [NEW] スコアリングプロファイル { profile, pointMap }
   brushToggleMode = false,
   allianceDisplayMode = false,
   onShowFactionDetails = null,
@@ -100,6 +93,10 @@ function GameMap({
   version,
   mapSize = 500, // [NEW] Accept mapSize prop
   tiles = {}, // [BACKWARD COMPAT] Support legacy tiles object (e.g. for timelapse)
+  frontLineEdges = null, // [NEW] 表示する前線の辺 (useFrontLines で計算)
+  truces = {}, // 停戦協定 (非武装地帯の描画用)
+  supplyLines = null, // 補給線が途絶したマス (useSupplyLines)
+  structures = {}, // 設置物 (useStructures)
 }) {
 
 
@@ -216,6 +213,63 @@ function GameMap({
     setDebouncedTileData(tileData || tiles);
   }, [tileData, tiles]);
 
+  // 有効な停戦協定の非武装地帯 (Uint8Array, index = y * mapSize + x)
+  const dmz = useMemo(() => {
+    const now = Date.now();
+    const active = Object.values(truces || {}).filter(t =>
+      t.dmz?.tiles?.length > 0 && new Date(t.expiresAt).getTime() > now
+    );
+    if (active.length === 0) return null;
+    const view = new Uint8Array(mapSize * mapSize);
+    active.forEach(t => {
+      t.dmz.tiles.forEach(key => {
+        const [x, y] = key.split('_').map(Number);
+        if (x >= 0 && x < mapSize && y >= 0 && y < mapSize) view[y * mapSize + x] = 1;
+      });
+    });
+    return view;
+  }, [truces, mapSize]);
+
+  // 補給線が途絶したマス (Uint8Array, index = y * mapSize + x)
+  const cutOff = useMemo(() => {
+    const keys = Object.keys(supplyLines?.tiles || {});
+    if (keys.length === 0) return null;
+    const view = new Uint8Array(mapSize * mapSize);
+    keys.forEach(key => {
+      const [x, y] = key.split('_').map(Number);
+      if (x >= 0 && x < mapSize && y >= 0 && y < mapSize) view[y * mapSize + x] = 1;
+    });
+    return view;
+  }, [supplyLines, mapSize]);
+
+  // 補給線が途絶したマスの説明 (減衰までの残り時間)
+  const getCutOffLabel = (x, y) => {
+    const entry = supplyLines?.tiles?.[`${x}_${y}`];
+    if (!entry) return null;
+    const remainingMs = entry.since + supplyLines.graceHours * 3600000 - Date.now();
+    return `✂️ 補給線が途絶 (中核から孤立・あと約${Math.max(0, Math.ceil(remainingMs / 3600000))}時間で減衰)`;
+  };
+
+  // 設置物 (Uint8Array, index = y * mapSize + x, 値 = 種類の id)
+  const structureMap = useMemo(() => {
+    const keys = Object.keys(structures || {});
+    if (keys.length === 0) return null;
+    const view = new Uint8Array(mapSize * mapSize);
+    keys.forEach(key => {
+      const [x, y] = key.split('_').map(Number);
+      const id = STRUCTURE_TYPES[structures[key].type]?.id;
+      if (id && x >= 0 && x < mapSize && y >= 0 && y < mapSize) view[y * mapSize + x] = id;
+    });
+    return view;
+  }, [structures, mapSize]);
+
+  // 設置物の説明 (アイコン・名前・効果)
+  const getStructureLabel = (x, y) => {
+    const info = getStructureTypeInfo(structures?.[`${x}_${y}`]?.type);
+    if (!info) return null;
+    return `${info.icon} ${info.name} (${info.description})`;
+  };
+
   const {
       initWorkers,
       updateTiles: updateWorkerTiles,
@@ -234,7 +288,11 @@ function GameMap({
           mapColorMode,
           mapVersion, // Pass version to worker
           mapSize // [FIX] Pass mapSize to worker
-      }
+      },
+      terrain,
+      dmz,
+      cutOff,
+      structureMap
   );
 
   // Canvas Refs for multi-layer are managed inside container
@@ -296,7 +354,7 @@ function GameMap({
     lastRenderTimeRef.current = now;
 
     renderAllWorkers(viewport, width, height);
-  }, [viewport, canvasDimensions, workerReady, renderAllWorkers]);
+  }, [viewport, canvasDimensions, workerReady, renderAllWorkers, terrain, dmz, cutOff, structureMap]);
 
   // ... (zoom logic)
 
@@ -845,6 +903,26 @@ function GameMap({
         ctx.restore();
     }
 
+    // 4. 戦争の前線 (交戦中の勢力同士が接する辺)
+    if (frontLineEdges && frontLineEdges.length > 0 && viewport.zoom > 0.1) {
+        ctx.save();
+        ctx.beginPath();
+        frontLineEdges.forEach(e => {
+            // 画面外エッジの簡易カリング
+            if (e.x2 < startX || e.x1 > endX + 1 || e.y2 < startY || e.y1 > endY + 1) return;
+            ctx.moveTo(centerX + (e.x1 - viewport.x) * tileSize, centerY + (e.y1 - viewport.y) * tileSize);
+            ctx.lineTo(centerX + (e.x2 - viewport.x) * tileSize, centerY + (e.y2 - viewport.y) * tileSize);
+        });
+        ctx.lineCap = 'round';
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.lineWidth = 5;
+        ctx.stroke();
+        ctx.strokeStyle = '#ffaa00';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        ctx.restore();
+    }
+
     // 勢力名/同盟名ラベル描画 (共通ロジック：重なり回避あり)
     // 条件: showFactionNames（またはshowAllianceNames）がオンの場合
     const shouldDrawLabels = showFactionNames;
@@ -857,6 +935,9 @@ function GameMap({
 
       const labels = [];
       ctx.font = 'bold 12px sans-serif';
+      const overlordIds = new Set(
+        Object.values(factions).filter(f => f?.overlordId && factions[f.overlordId]).map(f => f.overlordId)
+      );
 
       Object.entries(factionCenters).forEach(([id, center]) => {
         const faction = factions[id];
@@ -865,9 +946,14 @@ function GameMap({
         let name = faction.name;
 
         // 同盟モードなら同盟名を使用、非同盟はスキップ
+        // 従属国は宗主国の同盟名 (宗主国が同盟未加盟なら宗主国名) を表示する
         if (mapColorMode === 'alliance') {
-            if (faction.allianceId && alliances[faction.allianceId]) {
-                name = alliances[faction.allianceId].name;
+            const groupId = factions[faction.overlordId] ? faction.overlordId : id;
+            const group = factions[groupId];
+            if (group.allianceId && alliances[group.allianceId]) {
+                name = alliances[group.allianceId].name;
+            } else if (overlordIds.has(groupId)) {
+                name = group.name;
             } else {
                 // return; // 非同盟は表示しない -> 黒塗りなのでラベルも非表示でOK
                 return;
@@ -980,7 +1066,7 @@ function GameMap({
       labelRegionsRef.current = [];
     }
 
-  }, [viewport, version, factions, selectedTiles, hoverTile, activeFactionId, activeFactionEdges, tilePopup, mapColorMode, blinkAlpha, namedCells, factionCenters, alliances, playerFactionId, showAllianceNames, showFactionNames, showSpecialBorder, canvasDimensions]);
+  }, [viewport, version, factions, selectedTiles, hoverTile, activeFactionId, activeFactionEdges, tilePopup, mapColorMode, blinkAlpha, namedCells, factionCenters, alliances, playerFactionId, showAllianceNames, showFactionNames, showSpecialBorder, canvasDimensions, frontLineEdges]);
 
 
 
@@ -1591,7 +1677,11 @@ function GameMap({
             }}
           >
             <div>座標: ({hoverTile.x}, {hoverTile.y})</div>
-            <div>ポイント: {getTilePoints(hoverTile.x, hoverTile.y, mapSize, namedCells)}pt</div>
+            <div>ポイント: {getTilePoints(hoverTile.x, hoverTile.y, mapSize, namedCells, scoring)}pt</div>
+            {getTerrainName(terrain, hoverTile.x, hoverTile.y, mapSize) && <div>地形: {getTerrainName(terrain, hoverTile.x, hoverTile.y, mapSize)}</div>}
+            {dmz?.[hoverTile.y * mapSize + hoverTile.x] === 1 && <div>🚧 非武装地帯 (停戦中)</div>}
+            {getCutOffLabel(hoverTile.x, hoverTile.y) && <div>{getCutOffLabel(hoverTile.x, hoverTile.y)}</div>}
+            {getStructureLabel(hoverTile.x, hoverTile.y) && <div>{getStructureLabel(hoverTile.x, hoverTile.y)}</div>}
             {factionName && <div>勢力: {factionName}</div>}
             {painterName && painterName !== 'Unknown' && <div>塗った人: {painterName}</div>}
            </div>
@@ -1636,7 +1726,19 @@ function GameMap({
           >
             <div className="popup-inner">
               <div className="popup-coords">座標: ({tilePopup.x}, {tilePopup.y})</div>
-              <div className="popup-detail highlight-points">ポイント: {getTilePoints(tilePopup.x, tilePopup.y, mapSize, namedCells)}pt</div>
+              <div className="popup-detail highlight-points">ポイント: {getTilePoints(tilePopup.x, tilePopup.y, mapSize, namedCells, scoring)}pt</div>
+              {getTerrainName(terrain, tilePopup.x, tilePopup.y, mapSize) && (
+                <div className="popup-detail">地形: {getTerrainName(terrain, tilePopup.x, tilePopup.y, mapSize)}</div>
+              )}
+              {dmz?.[tilePopup.y * mapSize + tilePopup.x] === 1 && (
+                <div className="popup-detail">🚧 非武装地帯 (停戦中)</div>
+              )}
+              {getCutOffLabel(tilePopup.x, tilePopup.y) && (
+                <div className="popup-detail">{getCutOffLabel(tilePopup.x, tilePopup.y)}</div>
+              )}
+              {getStructureLabel(tilePopup.x, tilePopup.y) && (
+                <div className="popup-detail">{getStructureLabel(tilePopup.x, tilePopup.y)}</div>
+              )}
               {tilePopup.factionName && (
                 <div
                   className="popup-detail clickable-faction"
@@ -0,0 +1,211 @@
+import { useEffect, useState } from 'react';
+
+// 殿堂: 終了したシーズンの最終結果 (読み取り専用)
+const HallOfFameModal = ({ onClose }) => {
+  const [seasons, setSeasons] = useState([]);
+  const [current, setCurrent] = useState(null);
+  const [selected, setSelected] = useState(null); // シーズン番号
+  const [archive, setArchive] = useState(null);
+  const [activeTab, setActiveTab] = useState('factions');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetch('/api/seasons', { credentials: 'include' })
+      .then(res => res.ok ? res.json() : Promise.reject('Status: ' + res.status))
+      .then(data => {
+        setSeasons(data.seasons || []);
+        setCurrent(data.current || null);
+        if (data.seasons?.length > 0) setSelected(data.seasons[0].seasonNumber);
+      })
+      .catch(e => console.error("Seasons fetch error:", e))
+      .finally(() => setLoading(false));
+  }, []);
+
+  useEffect(() => {
+    if (selected === null) return;
+    setArchive(null);
+    fetch(`/api/seasons/${selected}`, { credentials: 'include' })
+      .then(res => res.ok ? res.json() : Promise.reject('Status: ' + res.status))
+      .then(data => setArchive(data))
+      .catch(e => console.error("Season archive fetch error:", e));
+  }, [selected]);
+
+  const getSeasonLabel = (s) => s.name ? `シーズン${s.seasonNumber}「${s.name}」` : `シーズン${s.seasonNumber}`;
+
+  const tabStyle = (tabName) => ({
+    padding: '10px 20px',
+    cursor: 'pointer',
+    borderBottom: activeTab === tabName ? '2px solid #facc15' : '2px solid transparent',
+    color: activeTab === tabName ? '#fff' : '#aaa',
+    fontWeight: activeTab === tabName ? 'bold' : 'normal',
+    transition: 'all 0.3s'
+  });
+
+  const rowStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    padding: '8px 12px',
+    borderBottom: '1px solid rgba(255, 255, 255, 0.05)'
+  };
+
+  const rankBadge = (rank) => (
+    <span style={{ width: '36px', fontWeight: 'bold', color: rank <= 3 ? '#facc15' : '#aaa' }}>
+      {rank === 1 ? '🥇' : rank === 2 ? '🥈' : rank === 3 ? '🥉' : `${rank}位`}
+    </span>
+  );
+
+  const colorDot = (color) => (
+    <span style={{ width: '12px', height: '12px', borderRadius: '50%', background: color || '#ccc', flexShrink: 0 }} />
+  );
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      width: '100vw',
+      height: '100vh',
+      background: 'rgba(0, 0, 0, 0.6)',
+      backdropFilter: 'blur(5px)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 9000
+    }} onClick={onClose}>
+      <div style={{
+        width: '90%',
+        maxWidth: '800px',
+        maxHeight: '85dvh',
+        background: 'rgba(20, 20, 30, 0.85)',
+        border: '1px solid rgba(255, 255, 255, 0.1)',
+        borderRadius: '12px',
+        boxShadow: '0 0 30px rgba(250, 204, 21, 0.1)',
+        display: 'flex',
+        flexDirection: 'column',
+        backdropFilter: 'blur(10px)',
+        color: '#fff',
+        animation: 'fadeIn 0.3s ease-out'
+      }} onClick={e => e.stopPropagation()}>
+
+        {/* Header */}
+        <div style={{
+          padding: '20px',
+          borderBottom: '1px solid rgba(255, 255, 255, 0.1)',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          gap: '12px'
+        }}>
+          <h2 style={{
+            margin: 0,
+            fontSize: '1.5rem',
+            background: 'linear-gradient(45deg, #facc15, #f97316)',
+            WebkitBackgroundClip: 'text',
+            WebkitTextFillColor: 'transparent'
+          }}>
+            🏆 殿堂
+          </h2>
+          {seasons.length > 0 && (
+            <select
+              value={selected ?? ''}
+              onChange={(e) => setSelected(parseInt(e.target.value, 10))}
+              style={{
+                background: 'rgba(255,255,255,0.05)',
+                border: '1px solid rgba(255,255,255,0.1)',
+                color: '#fff',
+                fontSize: '0.85rem',
+                padding: '4px 8px',
+                borderRadius: '6px',
+                marginRight: '40px'
+              }}
+            >
+              {seasons.map(s => (
+                <option key={s.seasonNumber} value={s.seasonNumber} style={{color: 'black'}}>{getSeasonLabel(s)}</option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        <button onClick={onClose} className="premium-close-btn" title="閉じる">✖</button>
+
+        {loading ? (
+          <div style={{ textAlign: 'center', padding: '20px' }}>Loading...</div>
+        ) : seasons.length === 0 ? (
+          <div style={{ color: '#aaa', padding: '20px' }}>
+            まだ終了したシーズンはありません。
+            {current?.endTime && (
+              <div style={{ marginTop: '8px' }}>
+                現在のシーズンは {new Date(current.endTime).toLocaleString('ja-JP')} に終了予定です。
+              </div>
+            )}
+          </div>
+        ) : (
+          <>
+            <div style={{ display: 'flex', flexWrap: 'wrap', borderBottom: '1px solid rgba(255, 255, 255, 0.1)', background: 'rgba(0,0,0,0.2)' }}>
+              <div style={tabStyle('factions')} onClick={() => setActiveTab('factions')}>🏰 勢力</div>
+              <div style={tabStyle('alliances')} onClick={() => setActiveTab('alliances')}>🛡️ 同盟</div>
+              <div style={tabStyle('painters')} onClick={() => setActiveTab('painters')}>🖌️ 塗装者</div>
+              <div style={tabStyle('map')} onClick={() => setActiveTab('map')}>🗺️ 最終マップ</div>
+            </div>
+
+            <div style={{ flex: 1, overflowY: 'auto', padding: '20px', background: 'rgba(0, 0, 0, 0.2)', borderRadius: '0 0 12px 12px' }}>
+              {!archive ? (
+                <div style={{ textAlign: 'center' }}>Loading...</div>
+              ) : (
+                <>
+                  <div style={{ fontSize: '0.8rem', color: '#aaa', marginBottom: '12px' }}>
+                    {getSeasonLabel(archive)} - {new Date(archive.endedAt).toLocaleString('ja-JP')} 終了
+                  </div>
+
+                  {activeTab === 'factions' && archive.factions.map(f => (
+                    <div key={f.id} style={rowStyle}>
+                      {rankBadge(f.rank)}
+                      {colorDot(f.color)}
+                      <span style={{ flex: 1, fontWeight: 'bold' }}>{f.name}</span>
+                      <span style={{ fontSize: '0.75rem', color: '#aaa' }}>👑 {f.kingName} / 👥 {f.memberCount} / 🧱 {f.tileCount}</span>
+                      <span style={{ width: '90px', textAlign: 'right' }}>{f.totalPoints.toLocaleString()} pts</span>
+                    </div>
+                  ))}
+
+                  {activeTab === 'alliances' && (archive.alliances.length === 0
+                    ? <div style={{ color: '#aaa' }}>同盟はありませんでした。</div>
+                    : archive.alliances.map(a => (
+                      <div key={a.id} style={rowStyle}>
+                        {rankBadge(a.rank)}
+                        {colorDot(a.color)}
+                        <span style={{ flex: 1 }}>
+                          <div style={{ fontWeight: 'bold' }}>{a.name}</div>
+                          <div style={{ fontSize: '0.75rem', color: '#aaa' }}>{a.memberNames.join(', ')}</div>
+                        </span>
+                        <span style={{ width: '90px', textAlign: 'right' }}>{a.totalPoints.toLocaleString()} pts</span>
+                      </div>
+                    )))}
+
+                  {activeTab === 'painters' && archive.topPainters.map(p => (
+                    <div key={p.rank} style={rowStyle}>
+                      {rankBadge(p.rank)}
+                      <span style={{ flex: 1, fontWeight: 'bold' }}>{p.name}</span>
+                      <span style={{ fontSize: '0.75rem', color: '#aaa' }}>{p.factionName || '無所属'}</span>
+                      <span style={{ width: '90px', textAlign: 'right' }}>{p.tileCount.toLocaleString()} マス</span>
+                    </div>
+                  ))}
+
+                  {activeTab === 'map' && (
+                    <img
+                      src={`/api/seasons/${archive.seasonNumber}/image?mode=faction_full`}
+                      alt={`${getSeasonLabel(archive)} 最終マップ`}
+                      style={{ width: '100%', borderRadius: '8px', imageRendering: 'pixelated' }}
+                    />
+                  )}
+                </>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HallOfFameModal;
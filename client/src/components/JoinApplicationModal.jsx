@@ -0,0 +1,62 @@
+import { useState } from 'react';
+
+const MAX_ANSWER_LENGTH = 300; // サーバーの JOIN_ANSWER_MAX_LENGTH と同じ値
+
+// 承認制の勢力への加入申請書 (勢力が定めた質問への回答)
+const JoinApplicationModal = ({ faction, onSubmit, onClose }) => {
+    const questions = faction.joinQuestionnaire || [];
+    const [answers, setAnswers] = useState(questions.map(() => ''));
+
+    const isComplete = answers.every(a => a.trim().length > 0);
+
+    return (
+        <div className="modal-overlay" onClick={onClose} style={{ zIndex: 4000 }}>
+            <div
+                className="modal-content"
+                onClick={e => e.stopPropagation()}
+                style={{
+                    width: '90%',
+                    maxWidth: '440px',
+                    maxHeight: '85dvh',
+                    overflowY: 'auto',
+                    background: 'rgba(20, 20, 30, 0.95)',
+                    border: `1px solid ${faction.color || '#4ade80'}`,
+                    borderRadius: '12px',
+                    padding: '16px',
+                    color: '#fff'
+                }}
+            >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+                    <h3 style={{ margin: 0 }}>📝 {faction.name} への加入申請</h3>
+                    <button onClick={onClose} style={{ background: 'transparent', border: 'none', color: '#aaa', fontSize: '1.5rem', cursor: 'pointer' }}>×</button>
+                </div>
+                <div style={{ fontSize: '0.75rem', color: '#aaa', marginBottom: '10px' }}>
+                    以下の質問に回答してください。回答は勢力の承認担当者のみが閲覧できます。
+                </div>
+
+                {questions.map((question, i) => (
+                    <label key={i} style={{ display: 'block', marginBottom: '10px', fontSize: '0.8rem' }}>
+                        <div style={{ marginBottom: '4px' }}>Q{i + 1}. {question}</div>
+                        <textarea
+                            className="input"
+                            rows={3}
+                            maxLength={MAX_ANSWER_LENGTH}
+                            value={answers[i]}
+                            onChange={(e) => setAnswers(answers.map((a, j) => (j === i ? e.target.value : a)))}
+                            style={{ width: '100%', fontSize: '0.8rem', resize: 'vertical' }}
+                        />
+                    </label>
+                ))}
+
+                <div style={{ display: 'flex', gap: '6px' }}>
+                    <button className="btn btn-primary" disabled={!isComplete} onClick={() => onSubmit(answers)} style={{ flex: 1 }}>
+                        加入申請を送る
+                    </button>
+                    <button className="btn" onClick={onClose}>キャンセル</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default JoinApplicationModal;
@@ -0,0 +1,213 @@
+import { useCallback, useEffect, useState } from 'react';
+
+const MAX_QUESTIONS = 5; // サーバーの JOIN_QUESTIONNAIRE_MAX_QUESTIONS と同じ値
+const MAX_QUESTION_LENGTH = 100;
+
+const APPROVAL_MODE_LABELS = {
+    officer: '承認権限を持つメンバーが単独で決定',
+    vote: '承認権限を持つメンバーの過半数の投票で決定'
+};
+
+const sectionStyle = {
+    background: 'rgba(0, 0, 0, 0.2)',
+    borderRadius: '8px',
+    padding: '10px',
+    marginBottom: '10px'
+};
+
+const smallButtonStyle = { fontSize: '0.7rem', padding: '2px 8px' };
+
+// 審査中の加入申請 (回答・投票状況) と、申請書の質問・承認方式の設定
+const JoinApplicationsModal = ({ factionId, faction, currentPlayerId, socket, onClose }) => {
+    const [applications, setApplications] = useState([]);
+    const [activeMode, setActiveMode] = useState(faction?.joinApprovalMode || 'officer'); // 保存済みの承認方式
+    const [approvalMode, setApprovalMode] = useState(faction?.joinApprovalMode || 'officer'); // 編集中の承認方式
+    const [questions, setQuestions] = useState(faction?.joinQuestionnaire || []);
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const load = useCallback(async () => {
+        try {
+            const res = await fetch(`/api/factions/${factionId}/applications`, { credentials: 'include' });
+            const data = await res.json();
+            if (data.error) {
+                setError(data.error);
+                return;
+            }
+            setApplications(data.applications);
+            setActiveMode(data.approvalMode);
+            setError(null);
+        } catch (e) {
+            console.error("Join applications fetch error:", e);
+            setError('通信エラー');
+        }
+    }, [factionId]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    // 他のメンバーの投票・新規申請・期限切れで再取得する
+    useEffect(() => {
+        if (!socket) return;
+        const handleUpdated = (data) => {
+            if (data.factionId === factionId) load();
+        };
+        socket.on('faction:joinApplicationsUpdated', handleUpdated);
+        return () => socket.off('faction:joinApplicationsUpdated', handleUpdated);
+    }, [socket, factionId, load]);
+
+    const post = async (url, body) => {
+        setBusy(true);
+        try {
+            const res = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify(body)
+            });
+            const data = await res.json();
+            alert(data.error || data.message || '保存しました');
+            return data;
+        } catch (e) {
+            console.error("Join applications request error:", e);
+            alert('通信エラー');
+            return null;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleRespond = async (application, action) => {
+        const label = action === 'approve' ? '承認' : '拒否';
+        const verb = activeMode === 'vote' ? `${label}に投票` : label;
+        if (!window.confirm(`${application.playerName} の加入申請を${verb}しますか？`)) return;
+        await post(`/api/factions/${factionId}/applications/${application.id}/respond`, { action });
+        load();
+    };
+
+    const handleSaveSettings = async () => {
+        const data = await post(`/api/factions/${factionId}/join-questionnaire`, {
+            questions: questions.map(q => q.trim()).filter(q => q.length > 0),
+            approvalMode
+        });
+        if (!data?.success) return;
+        setQuestions(data.questionnaire);
+        load();
+    };
+
+    const updateQuestion = (index, value) => {
+        setQuestions(questions.map((q, i) => (i === index ? value : q)));
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose} style={{ zIndex: 4000 }}>
+            <div
+                className="modal-content"
+                onClick={e => e.stopPropagation()}
+                style={{
+                    width: '90%',
+                    maxWidth: '480px',
+                    maxHeight: '85dvh',
+                    overflowY: 'auto',
+                    background: 'rgba(20, 20, 30, 0.95)',
+                    border: '1px solid #4ade80',
+                    borderRadius: '12px',
+                    padding: '16px',
+                    color: '#fff'
+                }}
+            >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+                    <h3 style={{ margin: 0, color: '#4ade80' }}>📝 加入申請</h3>
+                    <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                        <button className="btn" style={{ fontSize: '0.7rem' }} onClick={load}>🔄</button>
+                        <button onClick={onClose} style={{ background: 'transparent', border: 'none', color: '#aaa', fontSize: '1.5rem', cursor: 'pointer' }}>×</button>
+                    </div>
+                </div>
+
+                {error && <div style={{ color: '#f87171', marginBottom: '10px' }}>{error}</div>}
+
+                {/* Pending applications */}
+                <div style={sectionStyle}>
+                    <div style={{ fontSize: '0.8rem', color: '#ccc', marginBottom: '6px' }}>審査中 ({applications.length})</div>
+                    {applications.length === 0 && <div style={{ fontSize: '0.75rem', color: '#666' }}>審査中の加入申請はありません</div>}
+                    {applications.map(application => {
+                        const myVote = application.votes?.[currentPlayerId];
+                        return (
+                            <div key={application.id} style={{ borderTop: '1px solid rgba(255,255,255,0.1)', padding: '6px 0', fontSize: '0.75rem' }}>
+                                <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+                                    <b>{application.playerName}</b>
+                                    <span style={{ color: '#888' }}>期限 {new Date(application.expiresAt).toLocaleString()}</span>
+                                </div>
+                                {application.answers.map((a, i) => (
+                                    <div key={i} style={{ marginTop: '4px' }}>
+                                        <div style={{ color: '#aaa' }}>Q. {a.question}</div>
+                                        <div style={{ whiteSpace: 'pre-wrap' }}>A. {a.answer}</div>
+                                    </div>
+                                ))}
+                                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '6px', gap: '8px' }}>
+                                    <span style={{ color: '#aaa' }}>
+                                        {activeMode === 'vote' && (
+                                            <>
+                                                賛成 {application.tally.approve} / 反対 {application.tally.reject}
+                                                <span style={{ color: '#666' }}> (確定に {application.tally.required} 票)</span>
+                                                {myVote && <span> ・ あなたは{myVote === 'approve' ? '賛成' : '反対'}済み</span>}
+                                            </>
+                                        )}
+                                    </span>
+                                    <div style={{ display: 'flex', gap: '4px', flexShrink: 0 }}>
+                                        <button className="btn btn-primary" disabled={busy} onClick={() => handleRespond(application, 'approve')} style={smallButtonStyle}>
+                                            {activeMode === 'vote' ? '賛成' : '承認'}
+                                        </button>
+                                        <button className="btn btn-danger" disabled={busy} onClick={() => handleRespond(application, 'reject')} style={smallButtonStyle}>
+                                            {activeMode === 'vote' ? '反対' : '拒否'}
+                                        </button>
+                                    </div>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+
+                {/* Questionnaire settings */}
+                <div style={sectionStyle}>
+                    <div style={{ fontSize: '0.8rem', color: '#ccc', marginBottom: '6px' }}>申請書の設定</div>
+                    <label style={{ display: 'block', fontSize: '0.75rem', color: '#aaa', marginBottom: '6px' }}>
+                        承認方式
+                        <select className="input" value={approvalMode} onChange={(e) => setApprovalMode(e.target.value)} style={{ width: '100%', fontSize: '0.8rem', marginTop: '2px' }}>
+                            {Object.entries(APPROVAL_MODE_LABELS).map(([mode, label]) => (
+                                <option key={mode} value={mode}>{label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <div style={{ fontSize: '0.75rem', color: '#aaa', marginBottom: '2px' }}>質問 (最大{MAX_QUESTIONS}個)</div>
+                    {questions.map((q, i) => (
+                        <div key={i} style={{ display: 'flex', gap: '4px', marginBottom: '4px' }}>
+                            <input
+                                type="text"
+                                className="input"
+                                value={q}
+                                maxLength={MAX_QUESTION_LENGTH}
+                                placeholder={`質問 ${i + 1}`}
+                                onChange={(e) => updateQuestion(i, e.target.value)}
+                                style={{ flex: 1, minWidth: 0, fontSize: '0.8rem' }}
+                            />
+                            <button className="btn" onClick={() => setQuestions(questions.filter((_, j) => j !== i))} style={smallButtonStyle}>削除</button>
+                        </div>
+                    ))}
+                    {questions.length < MAX_QUESTIONS && (
+                        <button className="btn" onClick={() => setQuestions([...questions, ''])} style={{ ...smallButtonStyle, marginBottom: '6px' }}>＋ 質問を追加</button>
+                    )}
+                    <div style={{ fontSize: '0.7rem', color: '#888', marginBottom: '6px' }}>
+                        承認制の勢力に加入を申請するプレイヤーは、これらの質問に回答します。申請は72時間以内に決定されないと失効します。
+                    </div>
+                    <button className="btn btn-primary" disabled={busy} onClick={handleSaveSettings} style={{ width: '100%', fontSize: '0.8rem' }}>
+                        保存
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default JoinApplicationsModal;
@@ -1,4 +1,4 @@
-import { memo } from 'react';
+import { Fragment, memo } from 'react';
 
 // ... (imports)
 
@@ -34,8 +34,8 @@ function Leaderboard({ items, onHover, activeFactionId }) {
                         };
 
                         return (
+                          <Fragment key={item.id}>
                           <div
-                              key={item.id}
                               title={item.name} /* フルネームツールチップ */
                               onMouseEnter={() => onHover && onHover(item.id)}
                               onMouseLeave={() => onHover && onHover(null)}
@@ -92,6 +92,48 @@ function Leaderboard({ items, onHover, activeFactionId }) {
                                 {item.count}
                             </div>
                         </div>
+                        {/* 従属国 (宗主国の下にまとめて表示) */}
+                        {item.vassals?.map((vassal) => (
+                            <div
+                                key={vassal.id}
+                                title={`${vassal.name} (${item.name} の従属国)`}
+                                onMouseEnter={() => onHover && onHover(vassal.id)}
+                                onMouseLeave={() => onHover && onHover(null)}
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    if (onHover) onHover(vassal.id);
+                                }}
+                                style={{
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    fontSize: '0.75rem',
+                                    padding: '2px 8px 2px 20px',
+                                    borderRadius: '4px',
+                                    background: activeFactionId === vassal.id ? 'rgba(255, 255, 255, 0.2)' : 'transparent',
+                                    cursor: 'pointer'
+                                }}
+                            >
+                                <div style={{ width: '16px', color: '#64748b', marginRight: '4px' }}>└</div>
+                                <div
+                                    style={{
+                                        width: '10px',
+                                        height: '10px',
+                                        borderRadius: '50%',
+                                        background: vassal.color,
+                                        marginRight: '6px',
+                                        border: '1px solid rgba(255,255,255,0.3)',
+                                        flexShrink: 0
+                                    }}
+                                />
+                                <div style={{ flex: 1, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                                    {vassal.name}
+                                </div>
+                                <div style={{ color: '#ccc', marginLeft: '8px', flexShrink: 0 }}>
+                                    {vassal.count}
+                                </div>
+                            </div>
+                        ))}
+                        </Fragment>
                       );
                   })}
               </div>
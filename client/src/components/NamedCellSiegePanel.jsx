@@ -0,0 +1,158 @@
+import { useEffect, useState } from 'react';
+import { getNamedCellTypeInfo } from '../utils/namedCellTypes';
+
+// サーバーの NAMED_CELL_* 定数と同じ値
+const GARRISON_MAX = 100;
+const INITIAL_GARRISON = 50;
+const ATTACK_COST = 7;
+const REINFORCE_MAX_PER_ACTION = 50;
+
+const SIDE_COLORS = { attackers: '#f87171', defenders: '#60a5fa' };
+const SIDE_LABELS = { attackers: '攻撃側', defenders: '防衛側' };
+
+const formatRemaining = (ms) => {
+    const totalMinutes = Math.max(0, Math.ceil(ms / 60000));
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}時間${minutes}分` : `${minutes}分`;
+};
+
+// 選択中のネームドマスの種類・守備兵力と包囲戦の状況 (進捗・両陣営の貢献者)、攻撃・補強
+const NamedCellSiegePanel = ({ tileKey, namedCell, factions, playerData, namedCellTypeSettings }) => {
+    const [reinforceAmount, setReinforceAmount] = useState('10');
+    const [busy, setBusy] = useState(false);
+    const [now, setNow] = useState(Date.now());
+
+    const siege = namedCell.siege;
+    const typeInfo = getNamedCellTypeInfo(namedCell.type, namedCellTypeSettings);
+
+    // 包囲が解けるまでの残り時間を更新する
+    useEffect(() => {
+        if (!siege) return;
+        const timer = setInterval(() => setNow(Date.now()), 30 * 1000);
+        return () => clearInterval(timer);
+    }, [siege]);
+
+    const garrison = typeof namedCell.garrison === 'number' ? namedCell.garrison : INITIAL_GARRISON;
+    const isOwnFaction = !!playerData?.factionId && playerData.factionId === namedCell.factionId;
+    const canAttack = !!playerData?.factionId && !isOwnFaction;
+    const ownerFaction = factions?.[namedCell.factionId];
+    const myCooldownAt = siege?.attackers?.[playerData?.id]?.lastAt;
+
+    const post = async (action, body) => {
+        setBusy(true);
+        try {
+            const res = await fetch(`/api/named-cells/${tileKey}/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify(body)
+            });
+            const data = await res.json();
+            alert(data.error || data.message);
+        } catch (e) {
+            console.error("Named cell siege request error:", e);
+            alert('通信エラー');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleAttack = () => {
+        if (!window.confirm(`ネームドマス「${namedCell.name}」を攻撃しますか？ (${ATTACK_COST} AP)`)) return;
+        post('attack', {});
+    };
+
+    const handleReinforce = () => {
+        const amount = Number(reinforceAmount);
+        if (!window.confirm(`${amount} AP を消費して守備兵力を補強しますか？`)) return;
+        post('reinforce', { amount });
+    };
+
+    const renderContributors = (side) => {
+        const entries = Object.entries(siege?.[side] || {}).sort((a, b) => b[1].amount - a[1].amount);
+        return (
+            <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ color: SIDE_COLORS[side], marginBottom: '2px' }}>{SIDE_LABELS[side]}</div>
+                {entries.length === 0 && <div style={{ color: '#666' }}>なし</div>}
+                {entries.map(([pid, c]) => (
+                    <div key={pid} style={{ display: 'flex', justifyContent: 'space-between', gap: '4px' }}>
+                        <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                            <span style={{ color: factions?.[c.factionId]?.color || '#888' }}>■</span> {c.name}
+                        </span>
+                        <span style={{ color: '#aaa', flexShrink: 0 }}>{c.amount} ({c.actions}回)</span>
+                    </div>
+                ))}
+            </div>
+        );
+    };
+
+    return (
+        <div style={{ marginTop: '12px', padding: '10px', background: 'rgba(239, 68, 68, 0.08)', border: `1px solid ${siege ? 'rgba(239, 68, 68, 0.5)' : 'rgba(255, 255, 255, 0.15)'}`, borderRadius: '6px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.8rem', marginBottom: '6px' }}>
+                <span style={{ fontWeight: 'bold' }}>🏰 {namedCell.name}</span>
+                <span style={{ color: ownerFaction?.color || '#aaa' }}>{ownerFaction?.name || '無所属'}</span>
+            </div>
+
+            {/* Type */}
+            <div style={{ fontSize: '0.7rem', color: typeInfo ? '#fbbf24' : '#888', marginBottom: '6px' }}>
+                {typeInfo ? `${typeInfo.icon} ${typeInfo.name}: ${typeInfo.description}` : '種類なし (効果なし)'}
+            </div>
+
+            {/* Garrison */}
+            <div style={{ fontSize: '0.75rem', color: '#ccc', marginBottom: '2px' }}>守備兵力 {garrison} / {GARRISON_MAX}</div>
+            <div style={{ height: '8px', background: 'rgba(255,255,255,0.1)', borderRadius: '4px', overflow: 'hidden', marginBottom: '6px' }}>
+                <div style={{ width: `${(garrison / GARRISON_MAX) * 100}%`, height: '100%', background: garrison <= GARRISON_MAX * 0.25 ? '#ef4444' : '#60a5fa', transition: 'width 0.3s' }} />
+            </div>
+
+            {/* Siege */}
+            {siege ? (
+                <div style={{ fontSize: '0.7rem', marginBottom: '6px' }}>
+                    <div style={{ color: '#f87171', marginBottom: '4px' }}>
+                        ⚔️ 包囲中{siege.isBesieged && ' (全周囲を包囲)'}
+                        <span style={{ color: '#888' }}>
+                            {' '}・ {new Date(siege.startedAt).toLocaleString()} から ・ 攻撃がなければあと {formatRemaining(siege.expiresAt - now)} で解除
+                        </span>
+                    </div>
+                    <div style={{ display: 'flex', gap: '10px' }}>
+                        {renderContributors('attackers')}
+                        {renderContributors('defenders')}
+                    </div>
+                </div>
+            ) : (
+                <div style={{ fontSize: '0.7rem', color: '#888', marginBottom: '6px' }}>包囲されていません</div>
+            )}
+
+            {/* Actions */}
+            {canAttack && (
+                <button className="btn btn-danger" disabled={busy} onClick={handleAttack} style={{ width: '100%', fontSize: '0.8rem' }}>
+                    ⚔️ 攻撃 ({ATTACK_COST} AP)
+                    {myCooldownAt && <span style={{ fontSize: '0.7rem', opacity: 0.8 }}> ・ 前回 {new Date(myCooldownAt).toLocaleTimeString()}</span>}
+                </button>
+            )}
+            {isOwnFaction && (
+                <div style={{ display: 'flex', gap: '4px' }}>
+                    <input
+                        type="number"
+                        className="input"
+                        min={1}
+                        max={REINFORCE_MAX_PER_ACTION}
+                        value={reinforceAmount}
+                        onChange={(e) => setReinforceAmount(e.target.value)}
+                        style={{ width: '70px', fontSize: '0.8rem' }}
+                    />
+                    <button
+                        className="btn btn-primary"
+                        disabled={busy || garrison >= GARRISON_MAX || !(Number(reinforceAmount) >= 1)}
+                        onClick={handleReinforce}
+                        style={{ flex: 1, fontSize: '0.8rem' }}
+                    >
+                        🛡️ AP で補強 (1 AP = 1)
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NamedCellSiegePanel;
@@ -1,11 +1,19 @@
 
-const PermissionsModal = ({ onClose, permissions, roleName }) => {
+const PermissionsModal = ({ onClose, permissions, roleName, dailyLimit = 0 }) => {
     // 権限リストの定義 (キーと表示名)
     const PERMISSION_LABELS = {
         canManageSettings: "基本設定",
+        canChangeColor: "カラー変更",
         canUseSharedAp: "共有AP利用",
         canDiplomacy: "外交",
+        canManageTruces: "停戦",
+        canCedeTerritory: "領土割譲",
+        canMerge: "併合",
+        canManageNotices: "通知管理",
         canDeclareWar: "開戦",
+        canChat: "勢力チャット",
+        canAllianceChat: "同盟チャット",
+        canApproveJoins: "加入承認",
         canManageMembers: "人事"
     };
 
@@ -31,9 +39,12 @@ const PermissionsModal = ({ onClose, permissions, roleName }) => {
 
                 <div style={{ marginBottom: '16px', fontSize: '0.95rem', color: '#ccc' }}>
                     現在の役職: <span style={{ fontWeight: 'bold', color: '#fff' }}>{roleName}</span>
+                    <div style={{ fontSize: '0.8rem', marginTop: '4px' }}>
+                        共有APの利用上限 (自動消費・引き出しの合計): {dailyLimit === Infinity ? '無制限' : dailyLimit > 0 ? `1日 ${dailyLimit} AP` : 'なし'}
+                    </div>
                 </div>
 
-                <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', maxHeight: '50dvh', overflowY: 'auto' }}>
                     {Object.entries(PERMISSION_LABELS).map(([key, label]) => {
                         const hasPerm = permissions && permissions[key];
                         return (
@@ -1,21 +1,81 @@
-import { memo, useEffect, useState } from 'react';
+import { memo, useCallback, useEffect, useState } from 'react';
 import { createPortal } from 'react-dom';
+import { getRoleSharedApDailyLimit, resolveRolePermissions } from '../utils/rolePermissions';
 import './RoleSettingsModal.css';
 
 const PERMISSION_LABELS = {
   canManageSettings: "基本設定",
+  canChangeColor: "カラー変更",
   canUseSharedAp: "共有AP利用",
   canDiplomacy: "外交",
+  canManageTruces: "停戦",
+  canCedeTerritory: "領土割譲",
+  canMerge: "併合",
+  canManageNotices: "通知管理",
   canDeclareWar: "開戦",
+  canChat: "勢力チャット",
+  canAllianceChat: "同盟チャット",
+  canApproveJoins: "加入承認",
   canManageMembers: "⚠人事"
 };
 
+// 監査ログの変更項目名 (権限以外)
+const AUDIT_FIELD_LABELS = {
+  name: "名前",
+  rank: "序列",
+  sharedApWithdrawLimit: "共有AP引き出し上限 (旧形式)",
+  'sharedApQuota.dailyLimit': "共有AP利用上限 (1日)",
+  'sharedApQuota.maxPerAction': "共有AP利用上限 (1回)",
+  'sharedApQuota.cooldownMinutes': "共有AP再利用間隔 (分)",
+  role: "役職"
+};
+
+// 共有APの利用制限 (0 は無制限)
+const QUOTA_FIELDS = [
+  { key: 'dailyLimit', label: '1日の上限 (AP)' },
+  { key: 'maxPerAction', label: '1回の上限 (AP)' },
+  { key: 'cooldownMinutes', label: '再利用間隔 (分)' }
+];
+const EMPTY_QUOTA = { dailyLimit: 0, maxPerAction: 0, cooldownMinutes: 0 };
+
+const formatAuditValue = (value) => {
+  if (value === true) return 'ON';
+  if (value === false) return 'OFF';
+  if (value === null || value === undefined || value === '') return 'なし';
+  return String(value);
+};
+
+const describeAuditEntry = (entry) => {
+  switch (entry.type) {
+    case 'create': return `役職「${entry.roleName}」を作成`;
+    case 'update': return `役職「${entry.roleName}」を変更`;
+    case 'delete': return `役職「${entry.roleName}」を削除`;
+    case 'assign': return `${entry.memberName} の役職を変更`;
+    case 'king_role': return '勢力主の役職名を変更';
+    default: return entry.type;
+  }
+};
+
+// 新規作成時の初期値 (サーバーの DEFAULT_PERMISSIONS で true のもの)
+const DEFAULT_ROLE_PERMISSIONS = { canChat: true };
+
+const getInitialPermissions = () =>
+  Object.keys(PERMISSION_LABELS).reduce((acc, key) => ({ ...acc, [key]: !!DEFAULT_ROLE_PERMISSIONS[key] }), {});
+
 const PERMISSION_DESCRIPTIONS = {
-  canManageSettings: "勢力名・色の変更、ネームドマスの作成・破壊、およびマス消しができます。",
-  canManageMembers: "役職の管理やメンバーの役職変更ができます。他人の権限を変更できる強力な権限のため、付与には注意が必要です。",
-  canDiplomacy: "同盟申請、停戦申請、およびそれらの承認・破棄ができます。",
-  canUseSharedAp: "自身のAPが不足した際、不足分を共有APから自動で消費して行動できます。",
-  canDeclareWar: "戦争状態にない他勢力の領土を攻撃し、即座に戦争を開始できます。権限がない場合、非交戦勢力の領土への上書きは制限されます。"
+  canManageSettings: "勢力名の変更、ネームドマスの作成・破壊、およびマス消しができます。",
+  canChangeColor: "勢力カラーと、領土のマスの個別カラーを変更できます。",
+  canManageMembers: "役職の管理やメンバーの役職変更ができます。他人の権限を変更できる強力な権限のため、付与には注意が必要です。自分が持たない権限は他の役職に付与できません。",
+  canApproveJoins: "加入申請の承認・拒否と、加入ポリシー (自由参加/承認制/募集停止) の変更ができます。",
+  canDiplomacy: "同盟の申請・承認・脱退や、従属関係の提案などができます。",
+  canManageTruces: "停戦の申請と、受信した停戦要請の承認・拒否ができます。",
+  canCedeTerritory: "領土割譲の提案と、受信した割譲提案への回答ができます。",
+  canMerge: "勢力併合の申請・取り消しと、受信した併合要請への回答ができます。",
+  canManageNotices: "外交メッセージの閲覧と、対応権限が指定されていない通知への対応ができます。",
+  canUseSharedAp: "自身のAPが不足した際、不足分を共有APから自動で消費して行動できます。共有APを自分のAPへ引き出すこともできます。",
+  canDeclareWar: "開戦事由を示して他勢力に宣戦布告できます (準備期間の後に開戦)。宣戦布告が無効な設定の場合は、非交戦勢力の領土を攻撃して即座に戦争を開始できます。",
+  canChat: "勢力チャットに投稿できます。閲覧は権限がなくても可能です。",
+  canAllianceChat: "同盟チャット (加盟勢力全体) に投稿できます。閲覧は権限がなくても可能です。"
 };
 
 function RoleSettingsModal({
@@ -32,16 +92,19 @@ function RoleSettingsModal({
   onAssignRole = () => {},
   currentPlayerId
 }) {
-  const [activeTab, setActiveTab] = useState('roles'); // 'roles' | 'members'
+  const [activeTab, setActiveTab] = useState('roles'); // 'roles' | 'members' | 'audit'
 
   // Roles Tab State
   const [editingRole, setEditingRole] = useState(null); // null means creating new
   const [kingName, setKingName] = useState(kingRoleName || '勢力主');
   const [name, setName] = useState('');
   const [rank, setRank] = useState(2);
-  const [permissions, setPermissions] = useState(
-    Object.keys(PERMISSION_LABELS).reduce((acc, key) => ({ ...acc, [key]: false }), {})
-  );
+  const [permissions, setPermissions] = useState(getInitialPermissions);
+  const [quota, setQuota] = useState(EMPTY_QUOTA);
+
+  // 変更履歴
+  const [auditLog, setAuditLog] = useState([]);
+  const [auditError, setAuditError] = useState(null);
 
   const [isProcessing, setIsProcessing] = useState(false);
   const [hoveredPerm, setHoveredPerm] = useState(null);
@@ -54,7 +117,8 @@ function RoleSettingsModal({
     setEditingRole(null);
     setName('');
     setRank(2);
-    setPermissions(Object.keys(PERMISSION_LABELS).reduce((acc, key) => ({ ...acc, [key]: false }), {}));
+    setPermissions(getInitialPermissions());
+    setQuota(EMPTY_QUOTA);
   };
 
   // 編集モード開始
@@ -62,9 +126,10 @@ function RoleSettingsModal({
     setEditingRole(role);
     setName(role.name);
     setRank(role.rank || 2);
+    setQuota({ ...EMPTY_QUOTA, ...(role.sharedApQuota || {}), dailyLimit: getRoleSharedApDailyLimit(role) });
 
     // 以前の権限キーとの互換性マッピングも含める
-    const newPerms = { ...role.permissions };
+    const newPerms = resolveRolePermissions(role.permissions);
     if (newPerms.canEditSettings) newPerms.canManageSettings = true;
     if (newPerms.canManageAlliance || newPerms.canRequestTruce) newPerms.canDiplomacy = true;
     // canManageRoles があれば canManageMembers を有効に
@@ -77,7 +142,7 @@ function RoleSettingsModal({
     // UI用のstateに反映
     const nextPermissions = {};
     Object.keys(PERMISSION_LABELS).forEach(key => {
-        nextPermissions[key] = !!newPerms[key];
+        nextPermissions[key] = !!(newPerms[key] ?? DEFAULT_ROLE_PERMISSIONS[key]);
     });
     setPermissions(nextPermissions);
   };
@@ -97,11 +162,11 @@ function RoleSettingsModal({
     setIsProcessing(true);
     try {
       if (editingRole) {
-        await onUpdateRole(factionId, editingRole.id, { name, rank: parseInt(rank), permissions });
+        await onUpdateRole(factionId, editingRole.id, { name, rank: parseInt(rank), permissions, sharedApQuota: quota });
         // 保存後も編集モードを維持する (resetFormしない)
         alert("更新しました");
       } else {
-        await onCreateRole(factionId, { name, rank: parseInt(rank), permissions });
+        await onCreateRole(factionId, { name, rank: parseInt(rank), permissions, sharedApQuota: quota });
         resetForm(); // 新規作成時はリセットでOK
         alert("作成しました");
       }
@@ -145,6 +210,26 @@ function RoleSettingsModal({
     resetForm();
   }, []);
 
+  const loadAudit = useCallback(async () => {
+    try {
+      const res = await fetch(`/api/factions/${factionId}/roles/audit`, { credentials: 'include' });
+      const data = await res.json();
+      if (data.error) {
+        setAuditError(data.error);
+        return;
+      }
+      setAuditLog(data.audit);
+      setAuditError(null);
+    } catch (e) {
+      console.error("Role audit fetch error:", e);
+      setAuditError('通信エラー');
+    }
+  }, [factionId]);
+
+  useEffect(() => {
+    if (activeTab === 'audit') loadAudit();
+  }, [activeTab, loadAudit]);
+
   // 自分のランクを取得
     const getMyRank = () => {
         // 勢力主なら最強(1相当)
@@ -164,6 +249,11 @@ function RoleSettingsModal({
     };
   const myRank = getMyRank();
 
+  // 自分が持たない権限は変更できない (勢力主は全権限)
+  const myRole = roles.find(r => r.id === memberRoles[currentPlayerId]);
+  const myPermissions = myRank === 1 ? null : resolveRolePermissions(myRole?.permissions);
+  const canTogglePermission = (key) => !myPermissions || !!myPermissions[key];
+
   return createPortal(
     <div className="role-modal-overlay">
       <div className="role-modal-container">
@@ -188,6 +278,12 @@ function RoleSettingsModal({
                 >
                     メンバー割り当て
                 </button>
+                <button
+                    onClick={() => setActiveTab('audit')}
+                    className={`role-tab ${activeTab === 'audit' ? 'active' : ''}`}
+                >
+                    変更履歴
+                </button>
             </div>
 
             <button onClick={onClose} className="role-modal-close" title="閉じる">✖</button>
@@ -233,7 +329,7 @@ function RoleSettingsModal({
                                         <div className="role-rank-badge">{role.rank}</div>
                                         <div className="role-name">
                                             {role.name}
-                                            <div style={{fontSize: '0.65rem', opacity: 0.5}}>{Object.keys(PERMISSION_LABELS).filter(k => role.permissions?.[k]).length} 権限</div>
+                                            <div style={{fontSize: '0.65rem', opacity: 0.5}}>{Object.keys(PERMISSION_LABELS).filter(k => resolveRolePermissions(role.permissions)[k]).length} 権限</div>
                                         </div>
                                     </div>
                                     {/* 削除ボタンもランク制限 */}
@@ -347,9 +443,10 @@ function RoleSettingsModal({
                                                         <div
                                                           key={key}
                                                           className={`permission-item ${permissions[key] ? 'active' : ''}`}
-                                                          onClick={() => setPermissions(prev => ({ ...prev, [key]: !prev[key] }))}
+                                                          onClick={() => canTogglePermission(key) && setPermissions(prev => ({ ...prev, [key]: !prev[key] }))}
                                                           onMouseEnter={() => setHoveredPerm(key)}
                                                           onMouseLeave={() => setHoveredPerm(null)}
+                                                          style={canTogglePermission(key) ? undefined : { opacity: 0.4, cursor: 'not-allowed' }}
                                                         >
                                                             <span
                                                                 className="perm-label"
@@ -373,6 +470,28 @@ function RoleSettingsModal({
                                                 )}
                                             </div>
 
+                                            <div className="form-group">
+                                                <label className="form-label">共有APの利用制限 (自動消費・引き出し)</label>
+                                                <div className="grid-2">
+                                                    {QUOTA_FIELDS.map(({ key, label }) => (
+                                                        <div key={key}>
+                                                            <span style={{fontSize: '0.75rem', color:'#94a3b8'}}>{label}</span>
+                                                            <input
+                                                                type="number"
+                                                                className="form-input"
+                                                                value={quota[key]}
+                                                                onChange={(e) => setQuota(prev => ({ ...prev, [key]: Number(e.target.value) || 0 }))}
+                                                                min="0"
+                                                                disabled={myRank !== 1} // 勢力主のみ変更可
+                                                            />
+                                                        </div>
+                                                    ))}
+                                                </div>
+                                                <span style={{fontSize: '0.7rem', color:'#6b7280'}}>
+                                                    0 の項目は無制限。AP不足時の自動消費と自分のAPへの引き出しの合計を制限します。1日の上限が 0 の役職は引き出しできません (勢力主のみ設定可)
+                                                </span>
+                                            </div>
+
                                             <div className="modal-actions">
                                                 {editingRole && (
                                                     <button onClick={resetForm} className="btn-cancel">
@@ -524,6 +643,40 @@ function RoleSettingsModal({
                 </div>
             )}
 
+            {/* --- AUDIT TAB --- */}
+            {activeTab === 'audit' && (
+                <div className="role-main-panel custom-scrollbar">
+                    <div className="panel-card" style={{maxWidth: '100%'}}>
+                        <div style={{display:'flex', justifyContent:'space-between', alignItems:'center', marginBottom:'20px'}}>
+                            <h3>役職の変更履歴</h3>
+                            <button onClick={loadAudit} className="add-role-btn">🔄 更新</button>
+                        </div>
+
+                        {auditError && <div style={{color: '#ef4444', fontSize: '0.85rem'}}>{auditError}</div>}
+                        {!auditError && auditLog.length === 0 && (
+                            <div style={{color: '#6b7280', fontSize: '0.85rem'}}>記録なし</div>
+                        )}
+                        {auditLog.map((entry, i) => (
+                            <div key={i} style={{padding: '10px 0', borderBottom: '1px solid rgba(255,255,255,0.05)', fontSize: '0.85rem'}}>
+                                <div style={{display:'flex', justifyContent:'space-between', gap: '8px'}}>
+                                    <span>
+                                        <b>{entry.actorName}</b> が{describeAuditEntry(entry)}
+                                    </span>
+                                    <span style={{color: '#6b7280', fontSize: '0.75rem', flexShrink: 0}}>
+                                        {new Date(entry.at).toLocaleString()}
+                                    </span>
+                                </div>
+                                {(entry.changes || []).map((change, j) => (
+                                    <div key={j} style={{color: '#94a3b8', fontSize: '0.75rem', marginLeft: '12px'}}>
+                                        {PERMISSION_LABELS[change.key] || AUDIT_FIELD_LABELS[change.key] || change.key}: {formatAuditValue(change.from)} → {formatAuditValue(change.to)}
+                                    </div>
+                                ))}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
         </div>
       </div>
     </div>,
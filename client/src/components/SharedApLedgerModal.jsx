@@ -0,0 +1,128 @@
+import { useCallback, useEffect, useState } from 'react';
+
+const ACTION_LABELS = {
+    paint: '塗装',
+    message: '外交メッセージ',
+    named_tile_create: 'ネームドマス作成',
+    named_cell_create: 'ネームドマス作成',
+    named_cell_attack: 'ネームドマス攻撃',
+    named_cell_reinforce: 'ネームドマス補強',
+    structure_build: '設置物の建設',
+    withdraw: '引き出し'
+};
+
+const sectionStyle = {
+    background: 'rgba(0, 0, 0, 0.2)',
+    borderRadius: '8px',
+    padding: '10px',
+    marginBottom: '10px'
+};
+
+const formatQuota = (quota) => {
+    if (!quota) return '制限なし';
+    const parts = [];
+    if (quota.dailyLimit > 0) parts.push(`1日 ${quota.dailyLimit} AP`);
+    if (quota.maxPerAction > 0) parts.push(`1回 ${quota.maxPerAction} AP`);
+    if (quota.cooldownMinutes > 0) parts.push(`間隔 ${quota.cooldownMinutes} 分`);
+    return parts.length > 0 ? parts.join(' / ') : '制限なし';
+};
+
+// 共有APの利用履歴 (誰が何にどれだけ使ったか) と本日の利用量
+const SharedApLedgerModal = ({ factionId, faction, onClose }) => {
+    const [ledger, setLedger] = useState([]);
+    const [usage, setUsage] = useState({});
+    const [error, setError] = useState(null);
+
+    const load = useCallback(async () => {
+        try {
+            const res = await fetch(`/api/factions/${factionId}/shared-ap/ledger`, { credentials: 'include' });
+            const data = await res.json();
+            if (data.error) {
+                setError(data.error);
+                return;
+            }
+            setLedger(data.ledger);
+            setUsage(data.usage);
+            setError(null);
+        } catch (e) {
+            console.error("Shared AP ledger fetch error:", e);
+            setError('通信エラー');
+        }
+    }, [factionId]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const memberName = (pid, fallback) =>
+        faction?.members?.find(m => (m.id || m) === pid)?.displayName || fallback || pid;
+    const activeUsers = Object.entries(usage).filter(([, u]) => u.today > 0 || u.quota);
+
+    return (
+        <div className="modal-overlay" onClick={onClose} style={{ zIndex: 4000 }}>
+            <div
+                className="modal-content"
+                onClick={e => e.stopPropagation()}
+                style={{
+                    width: '90%',
+                    maxWidth: '480px',
+                    maxHeight: '85dvh',
+                    overflowY: 'auto',
+                    background: 'rgba(20, 20, 30, 0.95)',
+                    border: '1px solid #60a5fa',
+                    borderRadius: '12px',
+                    padding: '16px',
+                    color: '#fff'
+                }}
+            >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+                    <h3 style={{ margin: 0, color: '#60a5fa' }}>📒 共有APの利用履歴</h3>
+                    <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                        <button className="btn" style={{ fontSize: '0.7rem' }} onClick={load}>🔄</button>
+                        <button onClick={onClose} style={{ background: 'transparent', border: 'none', color: '#aaa', fontSize: '1.5rem', cursor: 'pointer' }}>×</button>
+                    </div>
+                </div>
+
+                {error && <div style={{ color: '#f87171', marginBottom: '10px' }}>{error}</div>}
+
+                {/* Today's usage */}
+                <div style={sectionStyle}>
+                    <div style={{ fontSize: '0.8rem', color: '#ccc', marginBottom: '6px' }}>本日の利用量と利用制限</div>
+                    {activeUsers.length === 0 && <div style={{ fontSize: '0.75rem', color: '#666' }}>記録なし</div>}
+                    {activeUsers.map(([pid, u]) => (
+                        <div key={pid} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.75rem', padding: '2px 0' }}>
+                            <span>{memberName(pid)}</span>
+                            <span style={{ color: '#aaa' }}>
+                                {u.today} AP
+                                <span style={{ color: '#666' }}> ({formatQuota(u.quota)})</span>
+                            </span>
+                        </div>
+                    ))}
+                </div>
+
+                {/* Ledger */}
+                <div style={sectionStyle}>
+                    <div style={{ fontSize: '0.8rem', color: '#ccc', marginBottom: '6px' }}>履歴</div>
+                    {ledger.length === 0 && <div style={{ fontSize: '0.75rem', color: '#666' }}>記録なし</div>}
+                    {ledger.map((entry, i) => (
+                        <div key={i} style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', fontSize: '0.75rem', padding: '2px 0' }}>
+                            <span>
+                                <span style={{ color: '#f87171' }}>－{entry.amount}</span>
+                                {' '}{entry.playerName}
+                                <span style={{ color: '#888' }}>
+                                    {' '}({ACTION_LABELS[entry.action] || entry.action}
+                                    {entry.type === 'withdraw' && entry.targetPlayerId !== entry.playerId && ` → ${memberName(entry.targetPlayerId)}`})
+                                </span>
+                            </span>
+                            <span style={{ color: '#888', flexShrink: 0 }}>
+                                残高 {entry.balance} ・ {new Date(entry.at).toLocaleString()}
+                            </span>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SharedApLedgerModal;
@@ -3,10 +3,18 @@ import { createPortal } from 'react-dom';
 import { getLogCategory, getLogWithIcon, LOG_TYPES } from '../utils/logFormatter';
 import ActivityLogModal from './ActivityLogModal';
 import FactionListModal from './FactionListModal';
+import JoinApplicationsModal from './JoinApplicationsModal';
 import LeaveFactionModal from './LeaveFactionModal';
+import NamedCellSiegePanel from './NamedCellSiegePanel';
+import StructurePanel from './StructurePanel';
 import PermissionsModal from './PermissionsModal';
+import SharedApLedgerModal from './SharedApLedgerModal';
+import { canWithdrawSharedAp, getSharedApDailyLimit, resolveRolePermissions } from '../utils/rolePermissions';
 import RoleSettingsModal from './RoleSettingsModal';
 import WorldStatesModal from './WorldStatesModal';
+import HallOfFameModal from './HallOfFameModal';
+import FactionWebhookModal from './FactionWebhookModal';
+import FactionChatModal from './FactionChatModal';
 
 // ヘルパー: 8近傍クラスタリングを行い、中核を含むクラスタを特定する
 // ヘルパー: 8近傍クラスタリングを行い、中核を含むクラスタを特定する (SAB対応版)
@@ -122,6 +130,7 @@ function Sidebar({
   className = '',
   onClose,
   onJumpTo,
+  onShowWarFront,
   onAutoSelect,
   onTransferKing,
   onMergeRequest,
@@ -154,6 +163,7 @@ function Sidebar({
   overpaintTargetCount = 1,
   onSetOverpaintTargetCount,
   namedCells = {},
+  structures = {}, // 設置物 (useStructures)
   onCreateNamedTile,
   onRenameNamedTile,
   apSettings = { limits: { individual: 50, sharedBase: 50 }, gardenMode: false }, // AP設定
@@ -166,6 +176,7 @@ function Sidebar({
   gardenRefillCost = 30, // 庭園AP回復コスト
   gardenRefillAmount = 50, // 庭園AP回復量
   namedTileSettings = {}, // [NEW]
+  namedCellTypeSettings = {}, // ネームドマスの種類ごとの効果量
   onLoginClick // ログインハンドラ
 }) {
   const [apUpdated, setApUpdated] = useState(false);
@@ -276,12 +287,8 @@ function Sidebar({
             setIsDestruction(!!data.destructionInvolved);
             setNeedsWarDeclaration(!!data.needsWarDeclaration);
             setTargetFactionNameForWar(data.targetFactionName || null);
-            // 休憩時間エラーがあればエラーとして設定
-            if (data.breakTimeError) {
-                setEstimateError(data.breakTimeError);
-            } else {
-                setEstimateError(null);
-            }
+            // 休憩時間エラー・宣戦布告エラーがあればエラーとして設定
+            setEstimateError(data.breakTimeError || data.warDeclarationError || null);
         }
 
         // 停戦チェック
@@ -384,6 +391,7 @@ function Sidebar({
   // ローカルstate
   const [showFactionSettings, setShowFactionSettings] = useState(false);
   const [showWorldStates, setShowWorldStates] = useState(false); // 世界情勢表示
+  const [showHallOfFame, setShowHallOfFame] = useState(false); // [NEW] 殿堂 (過去シーズンの結果)
   const [newFactionName, setNewFactionName] = useState('');
   const [newFactionColor, setNewFactionColor] = useState('#ffffff');
   const [transferTarget, setTransferTarget] = useState(''); // 譲渡先メンバーID
@@ -409,11 +417,8 @@ function Sidebar({
   useEffect(() => {
     if (!currentFaction || !playerData) return;
 
-    const myRole = currentFaction.memberRoles?.[playerData.id]
-        ? currentFaction.roles?.find(r => r.id === currentFaction.memberRoles[playerData.id])
-        : null;
-    const perms = isKing ? { canManageSettings: true, canManageMembers: true, canDiplomacy: true } : (myRole?.permissions || {});
-    const hasAnySettingsPermission = isKing || perms.canManageSettings || perms.canManageMembers || perms.canDiplomacy;
+    const perms = playerData.permissions || {};
+    const hasAnySettingsPermission = isKing || perms.canManageSettings || perms.canChangeColor || perms.canManageMembers || perms.canApproveJoins || perms.canDiplomacy || perms.canMerge;
 
     if (!hasAnySettingsPermission && showFactionSettings) {
         setShowFactionSettings(false);
@@ -437,10 +442,15 @@ function Sidebar({
   const [assignTarget, setAssignTarget] = useState(null); // 役職割当対象メンバーID
   const [showLeaveModal, setShowLeaveModal] = useState(false); // 脱退モーダル
   const [showPermissionsModal, setShowPermissionsModal] = useState(false); // 権限確認モーダル
+  const [showSharedApLedger, setShowSharedApLedger] = useState(false); // 共有AP利用履歴モーダル
+  const [showJoinApplications, setShowJoinApplications] = useState(false); // 加入申請モーダル
+  const [showWebhookModal, setShowWebhookModal] = useState(false); // Webhook 管理モーダル (勢力主のみ)
+  const [showChatModal, setShowChatModal] = useState(false); // 勢力・同盟チャット
 
-  // 併合候補の取得 (勢力主のみ)
+  // 併合候補の取得 (勢力主・併合権限者のみ)
+  const canMerge = isKing || !!playerData?.permissions?.canMerge;
   useEffect(() => {
-    if (!isKing || !playerData?.id || !playerData.factionId) return;
+    if (!canMerge || !playerData?.id || !playerData.factionId) return;
 
     // UIが開かれた時だけにするのがベストだが、ここでは簡易的にuseEffect
     const fetchCandidates = async () => {
@@ -463,7 +473,7 @@ function Sidebar({
     if (showFactionSettings) {
         fetchCandidates();
     }
-  }, [isKing, showFactionSettings, playerData]);
+  }, [canMerge, showFactionSettings, playerData]);
 
   // 役職保存
   const handleSaveRole = async () => {
@@ -1030,6 +1040,37 @@ function Sidebar({
                   );
               })()}
 
+              {/* ネームドマスの守備兵力・包囲戦 (1つ選択時のみ) */}
+              {selectedTiles.length === 1 && namedCells[`${selectedTiles[0].x}_${selectedTiles[0].y}`] && (
+                  <NamedCellSiegePanel
+                      tileKey={`${selectedTiles[0].x}_${selectedTiles[0].y}`}
+                      namedCell={namedCells[`${selectedTiles[0].x}_${selectedTiles[0].y}`]}
+                      factions={factions}
+                      playerData={playerData}
+                      namedCellTypeSettings={namedCellTypeSettings}
+                  />
+              )}
+
+              {/* 設置物の建設・撤去 (自勢力のネームドマス以外を1つ選択時のみ) */}
+              {selectedTiles.length === 1 && (() => {
+                  const t = selectedTiles[0];
+                  const key = `${t.x}_${t.y}`;
+                  if (namedCells[key]) return null;
+                  const tile = getTile(t.x, t.y);
+                  const ownerFid = String(tile?.factionId || tile?.faction || '');
+                  if (!playerData?.factionId || ownerFid !== String(playerData.factionId)) return null;
+                  return (
+                      <StructurePanel
+                          key={key}
+                          x={t.x}
+                          y={t.y}
+                          structure={structures[key]}
+                          factions={factions}
+                          playerData={playerData}
+                      />
+                  );
+              })()}
+
               {/* ネームドマス名前変更 (1つ選択時のみ、権限者のみ) */}
               {selectedTiles.length === 1 && (() => {
                   const t = selectedTiles[0];
@@ -1175,7 +1216,7 @@ function Sidebar({
               })()}
 
               {/* カスタムカラー一括設定 */}
-              {canCustomColor && (
+              {canCustomColor && playerData?.permissions?.canChangeColor && (
                   <div style={{ width: '100%', marginTop: '8px', padding: '8px', border: '1px solid rgba(255,255,255,0.2)', borderRadius: '4px' }}>
                       <div style={{ fontSize: '0.8rem', marginBottom: '4px' }}>🎨 カスタムマスカラー設定</div>
                       <div style={{ display: 'flex', gap: '4px' }}>
@@ -1229,13 +1270,10 @@ function Sidebar({
           </div>
         )}
 
-        {/* 領土割譲ボタン (勢力主・外交権限者のみ) */}
+        {/* 領土割譲ボタン (勢力主・領土割譲権限者のみ) */}
         {playerData?.factionId && (() => {
-            const myRole = currentFaction?.memberRoles?.[playerData.id]
-                ? currentFaction.roles?.find(r => r.id === currentFaction.memberRoles[playerData.id])
-                : null;
-            const canDiplomacy = isKing || (myRole?.permissions?.canDiplomacy);
-            if (!canDiplomacy) return null;
+            const canCedeTerritory = isKing || !!playerData.permissions?.canCedeTerritory;
+            if (!canCedeTerritory) return null;
 
             // 全マスが自勢力であること、かつ最低1マスは残ること
             const isAllSelf = selectedTiles.length > 0 && selectedTiles.every(t => getTile(t.x, t.y)?.faction === playerData.factionId);
@@ -1474,6 +1512,15 @@ function Sidebar({
               <span className="faction-members">{currentFaction.members?.length || 0} <span style={{fontSize:'0.9em', color:'#aaa'}}>({currentFaction.activeMemberCount || 0})</span>人</span>
             </div>
 
+            {/* 勢力・同盟チャット */}
+            <button
+              className="btn btn-blue"
+              onClick={() => setShowChatModal(true)}
+              style={{ width: '100%', marginTop: '8px', fontSize: '0.85rem' }}
+            >
+              💬 チャット
+            </button>
+
             {/* 自分の権限確認用ボタン */}
             <div style={{ marginTop: '8px', textAlign: 'right' }}>
                  <button
@@ -1491,7 +1538,15 @@ function Sidebar({
                 {(() => {
                     const sharedLimit = currentFaction.sharedAPLimit ?? 0;
                     return (
-                        <div style={{ fontSize: '0.8rem', fontWeight: 'bold', marginBottom: '4px' }}>共有AP: {currentFaction.sharedAP || 0} / {sharedLimit}</div>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '4px' }}>
+                            <span style={{ fontSize: '0.8rem', fontWeight: 'bold' }}>共有AP: {currentFaction.sharedAP || 0} / {sharedLimit}</span>
+                            <button
+                                onClick={() => setShowSharedApLedger(true)}
+                                style={{ background: 'transparent', border: 'none', color: '#aaa', fontSize: '0.75rem', cursor: 'pointer', textDecoration: 'underline' }}
+                            >
+                                📒 利用履歴
+                            </button>
+                        </div>
                     );
                 })()}
                 <div style={{ display: 'flex', gap: '4px', alignItems: 'center', marginBottom: '8px' }}>
@@ -1511,6 +1566,47 @@ function Sidebar({
                         寄付
                     </button>
                 </div>
+                {/* 共有APの引き出し (勢力主、または1日の上限が設定された共有AP利用権限のある役職) */}
+                {(() => {
+                    if (!canWithdrawSharedAp(currentFaction, playerData.id)) return null;
+                    const dailyLimit = getSharedApDailyLimit(currentFaction, playerData.id);
+                    return (
+                        <div style={{ display: 'flex', gap: '4px', alignItems: 'center', marginBottom: '8px' }}>
+                            <input
+                                type="number"
+                                value={withdrawAmount}
+                                onChange={e => setWithdrawAmount(Number(e.target.value))}
+                                className="input"
+                                style={{ width: '60px', padding: '2px' }}
+                                min="1"
+                            />
+                            <button
+                                onClick={async () => {
+                                    try {
+                                        const res = await fetch(`/api/factions/${playerData.factionId}/shared-ap/withdraw`, {
+                                            method: 'POST',
+                                            headers: { 'Content-Type': 'application/json' },
+                                            body: JSON.stringify({ amount: withdrawAmount }),
+                                            credentials: 'include'
+                                        });
+                                        const data = await res.json();
+                                        alert(data.success ? `${data.withdrawnAmount} AP を引き出しました` : (data.error || '引き出しに失敗しました'));
+                                    } catch (e) {
+                                        console.error('Shared AP withdraw error:', e);
+                                        alert('通信エラー');
+                                    }
+                                }}
+                                className="btn"
+                                style={{ padding: '2px 8px', fontSize: '0.75rem' }}
+                            >
+                                引き出し
+                            </button>
+                            {dailyLimit !== Infinity && (
+                                <span style={{ fontSize: '0.7rem', color: '#aaa' }}>自動消費と合わせて1日 {dailyLimit} APまで</span>
+                            )}
+                        </div>
+                    );
+                })()}
                 {/* 自動消費トグル (権限がある場合または勢力主) */}
                 {(isKing || currentFaction?.roles?.find(r => r.id === currentFaction.memberRoles?.[playerData.id])?.permissions?.canUseSharedAp) && (
                     <div style={{ fontSize: '0.8rem' }}>
@@ -1552,15 +1648,14 @@ function Sidebar({
 
             {/* 勢力設定パネル (権限ベースで表示) */}
             {(() => {
-                const myRole = currentFaction.memberRoles?.[playerData.id]
-                    ? currentFaction.roles?.find(r => r.id === currentFaction.memberRoles[playerData.id])
-                    : null;
-                const perms = isKing ? { canManageSettings: true, canManageMembers: true, canDiplomacy: true } : (myRole?.permissions || {});
+                const perms = playerData.permissions || {};
                 const canManageSettings = isKing || perms.canManageSettings;
+                const canChangeColor = isKing || perms.canChangeColor;
                 const canManageMembers = isKing || perms.canManageMembers;
+                const canApproveJoins = isKing || perms.canApproveJoins;
                 const canDiplomacy = isKing || perms.canDiplomacy;
 
-                if (!canManageSettings && !canManageMembers && !canDiplomacy) return null;
+                if (!canManageSettings && !canChangeColor && !canManageMembers && !canApproveJoins && !canDiplomacy && !canMerge) return null;
 
                 return (
                     <div style={{ marginTop: '10px' }}>
@@ -1575,42 +1670,46 @@ function Sidebar({
                             <div style={{ marginTop: '8px', padding: '8px', background: 'rgba(0,0,0,0.2)', borderRadius: '8px' }}>
 
                                 {/* 1. 基本設定 (勢力名、勢力カラー) */}
-                                {canManageSettings && (
+                                {(canManageSettings || canChangeColor) && (
                                     <div style={{ marginBottom: '16px' }}>
                                         <div className="panel-subtitle" style={{ fontSize: '0.8rem', marginBottom: '4px', color: '#ccc' }}>基本設定</div>
-                                        <input
-                                            type="text"
-                                            className="input"
-                                            placeholder="新しい勢力名"
-                                            value={newFactionName}
-                                            onChange={(e) => setNewFactionName(e.target.value)}
-                                            maxLength={20}
-                                            style={{ marginBottom: '6px', width: '100%' }}
-                                        />
-                                        <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', marginBottom: '6px' }}>
-                                            <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                                                <input
-                                                    type="color"
-                                                    value={newFactionColor}
-                                                    onChange={(e) => setNewFactionColor(e.target.value)}
-                                                    style={{ width: '40px', height: '30px', border: 'none', padding: 0, cursor: 'pointer' }}
-                                                />
-                                                <span style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
-                                                    勢力カラー
-                                                </span>
-                                            </div>
+                                        {canManageSettings && (
                                             <input
                                                 type="text"
                                                 className="input"
-                                                placeholder="#ffffff"
-                                                value={newFactionColor}
-                                                onChange={(e) => {
-                                                    const val = e.target.value;
-                                                    setNewFactionColor(val);
-                                                }}
-                                                style={{ fontSize: '0.8rem', padding: '4px 8px', width: '100%' }}
+                                                placeholder="新しい勢力名"
+                                                value={newFactionName}
+                                                onChange={(e) => setNewFactionName(e.target.value)}
+                                                maxLength={20}
+                                                style={{ marginBottom: '6px', width: '100%' }}
                                             />
-                                        </div>
+                                        )}
+                                        {canChangeColor && (
+                                            <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', marginBottom: '6px' }}>
+                                                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                                                    <input
+                                                        type="color"
+                                                        value={newFactionColor}
+                                                        onChange={(e) => setNewFactionColor(e.target.value)}
+                                                        style={{ width: '40px', height: '30px', border: 'none', padding: 0, cursor: 'pointer' }}
+                                                    />
+                                                    <span style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                                                        勢力カラー
+                                                    </span>
+                                                </div>
+                                                <input
+                                                    type="text"
+                                                    className="input"
+                                                    placeholder="#ffffff"
+                                                    value={newFactionColor}
+                                                    onChange={(e) => {
+                                                        const val = e.target.value;
+                                                        setNewFactionColor(val);
+                                                    }}
+                                                    style={{ fontSize: '0.8rem', padding: '4px 8px', width: '100%' }}
+                                                />
+                                            </div>
+                                        )}
                                         <button
                                             className="btn btn-primary"
                                             onClick={() => {
@@ -1636,47 +1735,58 @@ function Sidebar({
                                 )}
 
                                 {/* 2. メンバー管理 (加入ポリシー、役職管理、ロール割当) */}
-                                {canManageMembers && (
+                                {(canManageMembers || canApproveJoins) && (
                                     <div style={{ marginBottom: '16px', borderTop: '1px solid rgba(255,255,255,0.1)', paddingTop: '8px' }}>
                                         <div className="panel-subtitle" style={{ fontSize: '0.8rem', marginBottom: '4px', color: '#ccc' }}>メンバー管理</div>
 
                                         {/* 加入ポリシー */}
-                                        <div style={{ marginBottom: '8px' }}>
-                                            <div style={{ fontSize: '0.75rem', color: '#ccc', marginBottom: '2px' }}>加入ポリシー:</div>
-                                            <select
-                                                value={currentFaction.joinPolicy || 'open'}
-                                                onChange={(e) => onJoinPolicyChange(e.target.value)}
-                                                className="input"
-                                                style={{ width: '100%', fontSize: '0.8rem' }}
-                                            >
-                                                <option value="open">誰でも参加可能 (Open)</option>
-                                                <option value="approval">承認制 (Approval)</option>
-                                                <option value="closed">参加不可 (Closed)</option>
-                                            </select>
-                                        </div>
+                                        {canApproveJoins && (
+                                            <div style={{ marginBottom: '8px' }}>
+                                                <div style={{ fontSize: '0.75rem', color: '#ccc', marginBottom: '2px' }}>加入ポリシー:</div>
+                                                <select
+                                                    value={currentFaction.joinPolicy || 'open'}
+                                                    onChange={(e) => onJoinPolicyChange(e.target.value)}
+                                                    className="input"
+                                                    style={{ width: '100%', fontSize: '0.8rem' }}
+                                                >
+                                                    <option value="open">誰でも参加可能 (Open)</option>
+                                                    <option value="approval">承認制 (Approval)</option>
+                                                    <option value="closed">参加不可 (Closed)</option>
+                                                </select>
+                                                <button
+                                                    className="btn"
+                                                    onClick={() => setShowJoinApplications(true)}
+                                                    style={{ width: '100%', fontSize: '0.8rem', marginTop: '6px' }}
+                                                >
+                                                    📝 加入申請と申請書の設定
+                                                </button>
+                                            </div>
+                                        )}
 
                                         {/* 役職管理モーダルを開く */}
-                                        <button
-                                            className="btn btn-purple"
-                                            onClick={onOpenRoleSettings}
-                                            style={{ width: '100%', fontSize: '0.8rem', marginBottom: '8px' }}
-                                        >
-                                            👮 役職と権限の管理
-                                        </button>
+                                        {canManageMembers && (
+                                            <button
+                                                className="btn btn-purple"
+                                                onClick={onOpenRoleSettings}
+                                                style={{ width: '100%', fontSize: '0.8rem', marginBottom: '8px' }}
+                                            >
+                                                👮 役職と権限の管理
+                                            </button>
+                                        )}
 
 
                                     </div>
                                 )}
 
-                                {/* 3. 外交・他勢力への併合要請 (King Only) */}
-                                {(canDiplomacy || isKing) && (
+                                {/* 3. 外交・他勢力への併合要請 */}
+                                {(canDiplomacy || canMerge) && (
                                      <div style={{ marginBottom: '16px', borderTop: '1px solid rgba(255,255,255,0.1)', paddingTop: '8px' }}>
                                         <div className="panel-subtitle" style={{ fontSize: '0.8rem', marginBottom: '4px', color: '#ccc' }}>外交</div>
                                         <button className="btn btn-purple" onClick={onOpenAlliancePanel} style={{ width: '100%', fontSize: '0.8rem', marginBottom:'8px', background: '#8b5cf6', borderColor: '#7c3aed' }}>
                                             🤝 外交
                                         </button>
 
-                                        {/* 併合要請 (King Only) */}
+                                        {/* 併合要請 (併合権限) */}
                                         {/* [NEW] ランク制限チェック */}
                                         {(() => {
                                             const prohibitedRank = mergerSettings?.prohibitedRank ?? 5; // default 5
@@ -1708,9 +1818,9 @@ function Sidebar({
 
                                             return (
                                                 <>
-                                                    {isKing && isMergeEnabled && (
+                                                    {canMerge && isMergeEnabled && (
                                                         <div style={{ marginTop: '8px', padding: '6px', background: 'rgba(255,0,0,0.1)', borderRadius: '4px' }}>
-                                                            <div className="panel-subtitle" style={{ fontSize: '0.75rem', marginBottom: '4px', color: '#ffaaaa' }}>他勢力への併合要請 (勢力主のみ)</div>
+                                                            <div className="panel-subtitle" style={{ fontSize: '0.75rem', marginBottom: '4px', color: '#ffaaaa' }}>他勢力への併合要請</div>
                                                             <p style={{ fontSize: '0.7rem', color: 'var(--text-secondary)', marginBottom: '4px' }}>
                                                                 他の勢力に吸収してもらう要請を送ります。受諾されると自勢力は消滅します。
                                                             </p>
@@ -1765,7 +1875,7 @@ function Sidebar({
                                                             </button>
                                                         </div>
                                                     )}
-                                                    {isKing && !isMergeEnabled && (
+                                                    {canMerge && !isMergeEnabled && (
                                                         <div style={{ fontSize: '0.7rem', color: '#666', marginTop: '4px' }}>※併合機能は無効</div>
                                                     )}
                                                 </>
@@ -1807,6 +1917,20 @@ function Sidebar({
                                         </div>
                                     </div>
                                 )}
+
+                                {/* 5. Webhook 通知 (King Only) */}
+                                {isKing && (
+                                    <div style={{ marginBottom: '8px', borderTop: '1px solid rgba(255,255,255,0.1)', paddingTop: '8px' }}>
+                                        <div className="panel-subtitle" style={{ fontSize: '0.8rem', marginBottom: '4px', color: '#ccc' }}>外部通知 (勢力主のみ)</div>
+                                        <button
+                                            className="btn btn-blue"
+                                            onClick={() => setShowWebhookModal(true)}
+                                            style={{ width: '100%', fontSize: '0.8rem' }}
+                                        >
+                                            📮 Webhook 通知の設定
+                                        </button>
+                                    </div>
+                                )}
                             </div>
                         )}
                     </div>
@@ -1866,6 +1990,13 @@ function Sidebar({
             >
             🗺️ マップ全体画像
             </button>
+            <button
+            className="btn btn-secondary"
+            onClick={() => setShowHallOfFame(true)}
+            style={{ width: '100%', marginTop: '8px' }}
+            >
+            🏆 殿堂 (過去シーズン)
+            </button>
         </div>
 
 
@@ -1943,10 +2074,16 @@ function Sidebar({
                 wars={wars}
                 truces={truces}
                 onShowMemberList={onShowMemberList}
+                onShowWarFront={onShowWarFront}
             />,
             document.body
         )}
 
+        {showHallOfFame && createPortal(
+            <HallOfFameModal onClose={() => setShowHallOfFame(false)} />,
+            document.body
+        )}
+
         {showLeaveModal && createPortal(
             <LeaveFactionModal
                 onClose={() => setShowLeaveModal(false)}
@@ -1991,18 +2128,58 @@ function Sidebar({
             document.body
         )}
 
+      {showChatModal && currentFaction && createPortal(
+         <FactionChatModal
+             onClose={() => setShowChatModal(false)}
+             playerData={playerData}
+             allianceName={alliances[currentFaction.allianceId]?.name}
+         />,
+         document.body
+      )}
+
+      {showWebhookModal && isKing && currentFaction && createPortal(
+         <FactionWebhookModal
+             onClose={() => setShowWebhookModal(false)}
+             factionId={playerData.factionId}
+         />,
+         document.body
+      )}
+
+      {showSharedApLedger && currentFaction && createPortal(
+         <SharedApLedgerModal
+             factionId={playerData.factionId}
+             faction={currentFaction}
+             onClose={() => setShowSharedApLedger(false)}
+         />,
+         document.body
+      )}
+
+      {showJoinApplications && currentFaction && createPortal(
+         <JoinApplicationsModal
+             factionId={playerData.factionId}
+             faction={currentFaction}
+             currentPlayerId={playerData.id}
+             socket={socket}
+             onClose={() => setShowJoinApplications(false)}
+         />,
+         document.body
+      )}
+
       {showPermissionsModal && currentFaction && createPortal(
          <PermissionsModal
              onClose={() => setShowPermissionsModal(false)}
              permissions={(() => {
                  if (isKing) return {
-                      canManageSettings: true, canUseSharedAp: true, canDiplomacy: true,
-                      canDeclareWar: true, canManageMembers: true
+                      canManageSettings: true, canChangeColor: true, canUseSharedAp: true, canDiplomacy: true,
+                      canManageTruces: true, canCedeTerritory: true, canMerge: true, canManageNotices: true,
+                      canDeclareWar: true, canManageMembers: true, canApproveJoins: true, canChat: true, canAllianceChat: true
                  };
                  const roleId = currentFaction.memberRoles?.[playerData.id];
                  const role = roleId ? currentFaction.roles?.find(r => r.id === roleId) : null;
-                 return role ? role.permissions : {};
+                 // 未設定の権限はサーバーの既定値 (DEFAULT_PERMISSIONS) に合わせる
+                 return { canChat: true, ...(role ? resolveRolePermissions(role.permissions) : {}) };
              })()}
+             dailyLimit={getSharedApDailyLimit(currentFaction, playerData.id)}
              roleName={(() => {
                  if (isKing) return currentFaction.kingRoleName || '勢力主';
                  const roleId = currentFaction.memberRoles?.[playerData.id];
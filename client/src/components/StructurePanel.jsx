@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import { getStructureTypeInfo, STRUCTURE_TYPES } from '../utils/structureTypes';
+
+// 選択中の自勢力マスの設置物 (城壁・前哨基地・狼煙台) の建設・撤去
+const StructurePanel = ({ x, y, structure, factions, playerData }) => {
+    const [busy, setBusy] = useState(false);
+
+    const faction = factions?.[playerData?.factionId];
+    const isKing = faction?.kingId === playerData?.id;
+    const roleId = faction?.memberRoles?.[playerData?.id];
+    const permissions = faction?.roles?.find(r => r.id === roleId)?.permissions;
+    const canDemolish = isKing || !!(permissions?.canManageSettings || permissions?.canManageNamedTiles);
+    const typeInfo = structure ? getStructureTypeInfo(structure.type) : null;
+
+    const post = async (action, body) => {
+        setBusy(true);
+        try {
+            const res = await fetch(`/api/structures/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ x, y, ...body })
+            });
+            const data = await res.json();
+            alert(data.error || data.message);
+        } catch (e) {
+            console.error("Structure request error:", e);
+            alert('通信エラー');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleBuild = (type) => {
+        const info = getStructureTypeInfo(type);
+        if (!window.confirm(`(${x}, ${y}) に${info.name}を建設しますか？ (${info.cost} AP)`)) return;
+        post('build', { type });
+    };
+
+    const handleDemolish = () => {
+        if (!window.confirm(`(${x}, ${y}) の${typeInfo?.name || '設置物'}を撤去しますか？ (APは返還されません)`)) return;
+        post('demolish', {});
+    };
+
+    return (
+        <div style={{ marginTop: '12px', padding: '10px', background: 'rgba(16, 185, 129, 0.08)', border: '1px solid rgba(16, 185, 129, 0.3)', borderRadius: '6px' }}>
+            <div style={{ fontSize: '0.8rem', color: '#34d399', fontWeight: 'bold', marginBottom: '6px' }}>🏗️ 設置物</div>
+
+            {structure ? (
+                <>
+                    <div style={{ fontSize: '0.75rem', color: '#ccc', marginBottom: '6px' }}>
+                        {typeInfo ? `${typeInfo.icon} ${typeInfo.name}: ${typeInfo.description}` : '不明な設置物'}
+                    </div>
+                    {canDemolish && (
+                        <button className="btn btn-danger" disabled={busy} onClick={handleDemolish} style={{ width: '100%', fontSize: '0.8rem' }}>
+                            🪓 撤去
+                        </button>
+                    )}
+                </>
+            ) : (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                    {Object.keys(STRUCTURE_TYPES).map(type => {
+                        const info = getStructureTypeInfo(type);
+                        return (
+                            <button
+                                key={type}
+                                className="btn btn-secondary"
+                                disabled={busy}
+                                onClick={() => handleBuild(type)}
+                                title={info.description}
+                                style={{ width: '100%', fontSize: '0.8rem', textAlign: 'left' }}
+                            >
+                                {info.icon} {info.name} ({info.cost} AP)
+                                <span style={{ fontSize: '0.7rem', color: '#aaa' }}> ・ {info.description}</span>
+                            </button>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default StructurePanel;
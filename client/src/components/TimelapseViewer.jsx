@@ -1,16 +1,30 @@
-import { useEffect, useRef, useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
 import GameMap, { getTilePoints } from './GameMap';
 import Leaderboard from './Leaderboard';
+import { FRAME_KIND_KEY, applyFrame, cloneState, createEmptyState, decodeFrame, readFrameStream } from '../utils/timelapse';
 
-function TimelapseViewer({ onClose, factions, showFactionNames: initialShowFactionNames = true, workerPool }) {
-  const [historyList, setHistoryList] = useState([]);
+const BASE_FRAME_INTERVAL = 500; // 1x 再生時のフレーム間隔 (ms)
+const PLAYBACK_SPEEDS = [1, 2, 4, 8];
+const STATE_CACHE_LIMIT = 4; // 直近に表示した盤面のキャッシュ数 (キーフレームは別枠)
+
+function TimelapseViewer({ onClose, factions, showFactionNames: initialShowFactionNames = true, workerPool, scoring = null }) {
+  const [frameList, setFrameList] = useState([]); // { index, kind, timestamp, size }
+  const [mapSize, setMapSize] = useState(500);
   const [currentIndex, setCurrentIndex] = useState(0);
+  const [displayedIndex, setDisplayedIndex] = useState(-1);
   const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackSpeed, setPlaybackSpeed] = useState(1);
   const [currentTiles, setCurrentTiles] = useState({});
   const [snapshotFactions, setSnapshotFactions] = useState(null);
+  const [loadedCount, setLoadedCount] = useState(0);
   const [isLoading, setIsLoading] = useState(false);
   const [namedCells, setNamedCells] = useState({});
-  const timerRef = useRef(null);
+
+  // 受信済みフレーム (圧縮状態) と復元済み盤面のキャッシュ
+  const rawFramesRef = useRef(new Map());
+  const stateCacheRef = useRef(new Map());
+  const keyStateCacheRef = useRef(new Map());
+  const renderRequestRef = useRef(0);
 
   // View Options
   const [showFactionNames, setShowFactionNames] = useState(initialShowFactionNames);
@@ -18,19 +32,53 @@ function TimelapseViewer({ onClose, factions, showFactionNames: initialShowFacti
   const [showLeaderboard, setShowLeaderboard] = useState(true);
   const [leaderboardItems, setLeaderboardItems] = useState([]);
 
-  // 履歴リスト取得
+  const findKeyframeIndex = useCallback((index) => {
+    for (let i = index; i >= 0; i--) {
+      if (frameList[i]?.kind === FRAME_KIND_KEY) return i;
+    }
+    return 0;
+  }, [frameList]);
+
+  // フレーム一覧取得 → 最新付近を優先してストリーム受信
   useEffect(() => {
-    setIsLoading(true);
-    fetch('/api/map/history', { credentials: 'include' })
+    const controller = new AbortController();
+
+    const streamFrames = async (from, to) => {
+      if (from > to) return;
+      const res = await fetch(`/api/map/timelapse/stream?from=${from}&to=${to}`, {
+        credentials: 'include',
+        signal: controller.signal
+      });
+      if (!res.ok) throw new Error('Status: ' + res.status);
+      await readFrameStream(res, (index, bytes) => {
+        rawFramesRef.current.set(index, bytes);
+        setLoadedCount(rawFramesRef.current.size);
+      });
+    };
+
+    fetch('/api/map/timelapse', { credentials: 'include', signal: controller.signal })
       .then(res => res.json())
-      .then(data => {
-        if (data.history) {
-          setHistoryList(data.history);
-          setCurrentIndex(data.history.length - 1); // 最新を表示
+      .then(async (data) => {
+        const frames = data.frames || [];
+        if (data.mapSize) setMapSize(data.mapSize);
+        setFrameList(frames);
+        if (frames.length === 0) return;
+
+        const last = frames.length - 1;
+        setCurrentIndex(last); // 最新を表示
+        let latestKey = 0;
+        for (let i = last; i >= 0; i--) {
+          if (frames[i].kind === FRAME_KIND_KEY) {
+            latestKey = i;
+            break;
+          }
         }
+        // 最新区間 → それ以前 の順に読み込む
+        await streamFrames(latestKey, last);
+        await streamFrames(0, latestKey - 1);
       })
       .catch(err => {
-        console.error(err);
+        if (err.name !== 'AbortError') console.error(err);
       });
 
     // ネームドマス取得
@@ -40,60 +88,90 @@ function TimelapseViewer({ onClose, factions, showFactionNames: initialShowFacti
         if (data && typeof data === 'object') {
           setNamedCells(data);
         }
-        setIsLoading(false);
       })
       .catch(err => {
         console.error(err);
-        setIsLoading(false);
       });
+
+    return () => controller.abort();
   }, []);
 
-  // マップデータロード
+  const cacheState = (index, state) => {
+    const cache = frameList[index]?.kind === FRAME_KIND_KEY ? keyStateCacheRef.current : stateCacheRef.current;
+    cache.delete(index);
+    cache.set(index, state);
+    if (cache.size > STATE_CACHE_LIMIT) cache.delete(cache.keys().next().value);
+  };
+
+  /**
+   * 指定フレームの盤面を復元
+   * 同じキーフレーム区間のキャッシュ済み盤面から差分を順に適用する (未受信のフレームがあれば null)
+   */
+  const buildFrameState = useCallback(async (index) => {
+    const cached = stateCacheRef.current.get(index) || keyStateCacheRef.current.get(index);
+    if (cached) return cached;
+
+    const keyIndex = findKeyframeIndex(index);
+    let start = keyIndex;
+    let state = null;
+    for (let i = index - 1; i >= keyIndex; i--) {
+      const base = stateCacheRef.current.get(i) || keyStateCacheRef.current.get(i);
+      if (base) {
+        state = cloneState(base);
+        start = i + 1;
+        break;
+      }
+    }
+    if (!state) state = createEmptyState();
+
+    for (let i = start; i <= index; i++) {
+      const bytes = rawFramesRef.current.get(i);
+      if (!bytes) return null;
+      applyFrame(state, await decodeFrame(bytes));
+      // キーフレームは以降のシーク起点として保持
+      if (i === keyIndex && i < index) {
+        cacheState(i, state);
+        state = cloneState(state);
+      }
+    }
+    cacheState(index, state);
+    return state;
+  }, [frameList, findKeyframeIndex]);
+
+  // 表示フレームの更新 (受信が追いつけば再試行)
   useEffect(() => {
-    if (historyList.length === 0) return;
+    if (frameList.length === 0 || displayedIndex === currentIndex) return;
 
-    const filename = historyList[currentIndex];
+    const requestId = ++renderRequestRef.current;
     setIsLoading(true);
-
-    // キャッシュ機構を入れたいが、サーバー負荷と相談。とりあえず毎回Fetch
-    fetch(`/api/map/history/${filename}`, { credentials: 'include' })
-      .then(res => res.json())
-      .then(data => {
-        if (data.tiles) {
-          setCurrentTiles(data.tiles);
-        }
-        if (data.factions) {
-          setSnapshotFactions(data.factions);
-        } else {
-          setSnapshotFactions(null); // 古いスナップショット用
-        }
+    buildFrameState(currentIndex)
+      .then(state => {
+        if (!state || requestId !== renderRequestRef.current) return;
+        setCurrentTiles(state.tiles);
+        setSnapshotFactions(state.factions);
+        setDisplayedIndex(currentIndex);
         setIsLoading(false);
       })
       .catch(err => {
         console.error(err);
         setIsLoading(false);
       });
-  }, [currentIndex, historyList]);
+  }, [currentIndex, displayedIndex, frameList, loadedCount, buildFrameState]);
 
-  // 再生ロジック
+  // 再生ロジック (表示が完了してから次のフレームへ進む)
   useEffect(() => {
-    if (isPlaying) {
-      timerRef.current = setInterval(() => {
-        setCurrentIndex(prev => {
-          if (prev >= historyList.length - 1) {
-            setIsPlaying(false);
-            return prev;
-          }
-          return prev + 1;
-        });
-      }, 500); // 0.5秒間隔
-    } else {
-      if (timerRef.current) clearInterval(timerRef.current);
+    if (!isPlaying || displayedIndex !== currentIndex) return;
+    if (currentIndex >= frameList.length - 1) {
+      setIsPlaying(false);
+      return;
     }
-    return () => {
-      if (timerRef.current) clearInterval(timerRef.current);
-    };
-  }, [isPlaying, historyList.length]);
+    if (!rawFramesRef.current.has(currentIndex + 1)) return; // 受信待ち
+
+    const timer = setTimeout(() => {
+      setCurrentIndex(prev => Math.min(prev + 1, frameList.length - 1));
+    }, BASE_FRAME_INTERVAL / playbackSpeed);
+    return () => clearTimeout(timer);
+  }, [isPlaying, displayedIndex, currentIndex, frameList.length, loadedCount, playbackSpeed]);
 
 
   // リーダーボード計算 (snapshotFactions or Tiles)
@@ -104,14 +182,13 @@ function TimelapseViewer({ onClose, factions, showFactionNames: initialShowFacti
 
      // 2. カウント/ポイント集計
      const scores = {};
-     const mapSize = 500; // デフォルト 500
 
      // タイルから集集計 (ポイント対応)
      Object.entries(currentTiles).forEach(([key, t]) => {
          const fid = t.faction || t.factionId;
          if (fid) {
              const [x, y] = key.split('_').map(Number);
-             const points = getTilePoints(x, y, mapSize, namedCells);
+             const points = getTilePoints(x, y, mapSize, namedCells, scoring);
              scores[fid] = (scores[fid] || 0) + points;
          }
      });
@@ -149,22 +226,14 @@ function TimelapseViewer({ onClose, factions, showFactionNames: initialShowFacti
 
      setLeaderboardItems(items);
 
-  }, [snapshotFactions, currentTiles, factions]);
+  }, [snapshotFactions, currentTiles, factions, scoring, mapSize]);
 
-  // 日時フォーマット (filename: map_YYYYMMDD_HHmm.json)
-  const formatTime = (filename) => {
-    if (!filename) return '';
-    // map_20260112_2330.json
-    const match = filename.match(/map_(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})/);
-    if (match) {
-      return `${match[1]}/${match[2]}/${match[3]} ${match[4]}:${match[5]}`;
-    }
-    // 古い形式 (map_20260112_23.json -> HHのみ) の互換性
-    const matchOld = filename.match(/map_(\d{4})(\d{2})(\d{2})_(\d{2})/);
-    if (matchOld) {
-        return `${matchOld[1]}/${matchOld[2]}/${matchOld[3]} ${matchOld[4]}:00`;
-    }
-    return filename;
+  // 日時フォーマット (YYYY/MM/DD HH:mm)
+  const formatTime = (timestamp) => {
+    if (!timestamp) return '';
+    const d = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}/${pad(d.getMonth() + 1)}/${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
   };
 
   return (
@@ -206,7 +275,17 @@ function TimelapseViewer({ onClose, factions, showFactionNames: initialShowFacti
         </div>
 
         <div className="timelapse-controls">
-          <div className="time-display">{formatTime(historyList[currentIndex])}</div>
+          <div className="time-display">
+            {formatTime(frameList[currentIndex]?.timestamp)}
+            {loadedCount < frameList.length && (
+              <span style={{ fontSize: '0.75rem', color: '#aaa', marginLeft: '8px' }}>
+                読み込み中 {loadedCount}/{frameList.length}
+              </span>
+            )}
+            {isLoading && loadedCount >= frameList.length && (
+              <span style={{ fontSize: '0.75rem', color: '#aaa', marginLeft: '8px' }}>描画中...</span>
+            )}
+          </div>
 
           {/* 表示オプション */}
           <div className="timelapse-options" style={{ display: 'flex', gap: '8px', marginBottom: '8px', justifyContent: 'center' }}>
@@ -236,7 +315,7 @@ function TimelapseViewer({ onClose, factions, showFactionNames: initialShowFacti
           <input
             type="range"
             min="0"
-            max={historyList.length - 1}
+            max={Math.max(frameList.length - 1, 0)}
             value={currentIndex}
             onChange={(e) => setCurrentIndex(Number(e.target.value))}
             className="timeline-slider"
@@ -251,7 +330,17 @@ function TimelapseViewer({ onClose, factions, showFactionNames: initialShowFacti
               {isPlaying ? '一時停止' : '再生'}
             </button>
             <button className="btn btn-blue" onClick={() => setCurrentIndex(0)}>最初から</button>
-            <button className="btn btn-warning" onClick={() => setCurrentIndex(historyList.length - 1)}>最新へ</button>
+            <button className="btn btn-warning" onClick={() => setCurrentIndex(Math.max(frameList.length - 1, 0))}>最新へ</button>
+            <select
+              value={playbackSpeed}
+              onChange={(e) => setPlaybackSpeed(Number(e.target.value))}
+              className="btn btn-secondary"
+              title="再生速度"
+            >
+              {PLAYBACK_SPEEDS.map(speed => (
+                <option key={speed} value={speed}>{speed}x</option>
+              ))}
+            </select>
           </div>
         </div>
       </div>
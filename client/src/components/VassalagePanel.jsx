@@ -0,0 +1,164 @@
+import { useEffect, useState } from 'react';
+
+const boxStyle = {
+    background: 'rgba(120, 90, 20, 0.2)',
+    border: '1px solid #fbbf24',
+    padding: '10px',
+    borderRadius: '8px',
+    fontSize: '0.85rem'
+};
+
+const smallButtonStyle = { fontSize: '0.7rem', padding: '2px 8px' };
+
+// 勢力詳細 (外交タブ) の従属関係欄: 宗主国・従属国の表示と、提案・解放・離反
+const VassalagePanel = ({ factionId, factions, myFactionId, canDiplomacy }) => {
+    const [settings, setSettings] = useState(null);
+    const [showForm, setShowForm] = useState(false);
+    const [role, setRole] = useState('overlord');
+    const [tributePercent, setTributePercent] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    useEffect(() => {
+        fetch('/api/vassalage/settings')
+            .then(res => res.json())
+            .then(data => {
+                if (!data.success) return;
+                setSettings(data.settings);
+                setTributePercent(String(data.settings.defaultTributePercent));
+            })
+            .catch(e => console.error("Vassalage settings fetch error:", e));
+    }, []);
+
+    const faction = factions[factionId];
+    const overlordId = factions[faction.overlordId] ? faction.overlordId : null;
+    const vassalIds = Object.keys(factions).filter(fid => factions[fid]?.overlordId === factionId);
+    const getName = (fid) => factions[fid]?.name || fid;
+
+    const post = async (url, body, confirmMessage) => {
+        if (!window.confirm(confirmMessage)) return;
+        setBusy(true);
+        try {
+            const res = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify(body)
+            });
+            const data = await res.json();
+            alert(data.error || data.message);
+            if (data.success) setShowForm(false);
+        } catch (e) {
+            console.error("Vassalage request error:", e);
+            alert('通信エラー');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handlePropose = () => {
+        const relation = role === 'overlord'
+            ? `勢力「${faction.name}」を従属国とする`
+            : `勢力「${faction.name}」の従属国となる`;
+        post(
+            '/api/vassalage/propose',
+            { targetFactionId: factionId, role, tributePercent: Number(tributePercent) },
+            `${relation}従属関係を提案しますか？ (貢納率 ${tributePercent}%)`
+        );
+    };
+
+    const handleRelease = (vassalId) => post(
+        '/api/vassalage/release',
+        { vassalFactionId: vassalId },
+        `従属国「${getName(vassalId)}」を解放しますか？`
+    );
+
+    const handleRenounce = () => post(
+        '/api/vassalage/release',
+        {},
+        `宗主国「${getName(overlordId)}」から離反しますか？`
+    );
+
+    const isMine = myFactionId === factionId;
+    const isRelated = overlordId === myFactionId || factions[myFactionId]?.overlordId === factionId;
+    const canPropose = canDiplomacy && myFactionId && !isMine && !isRelated && settings?.enabled;
+
+    return (
+        <div>
+            <h4 style={{ margin: '0 0 10px 0', borderBottom: '1px solid #444', paddingBottom: '4px' }}>👑 従属関係</h4>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+                {overlordId && (
+                    <div style={{ ...boxStyle, display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+                        <div>
+                            <div>宗主国: <b style={{ color: factions[overlordId].color }}>{getName(overlordId)}</b></div>
+                            <div style={{ fontSize: '0.75rem', color: '#aaa', marginTop: '2px' }}>
+                                貢納率 {faction.vassalTributePercent || 0}%
+                                {faction.vassalSince && ` ・ ${new Date(faction.vassalSince).toLocaleDateString()} から`}
+                            </div>
+                        </div>
+                        {canDiplomacy && isMine && (
+                            <button className="btn btn-danger" disabled={busy} onClick={handleRenounce} style={smallButtonStyle}>離反</button>
+                        )}
+                        {canDiplomacy && myFactionId === overlordId && (
+                            <button className="btn" disabled={busy} onClick={() => handleRelease(factionId)} style={smallButtonStyle}>解放</button>
+                        )}
+                    </div>
+                )}
+                {vassalIds.length > 0 && (
+                    <div style={boxStyle}>
+                        <div style={{ marginBottom: '4px' }}>従属国 ({vassalIds.length})</div>
+                        {vassalIds.map(vid => (
+                            <div key={vid} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '2px 0' }}>
+                                <span>
+                                    <span style={{ color: factions[vid].color }}>■</span> {getName(vid)}
+                                    <span style={{ fontSize: '0.75rem', color: '#aaa' }}> (貢納率 {factions[vid].vassalTributePercent || 0}%)</span>
+                                </span>
+                                {canDiplomacy && isMine && (
+                                    <button className="btn" disabled={busy} onClick={() => handleRelease(vid)} style={smallButtonStyle}>解放</button>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+                {!overlordId && vassalIds.length === 0 && (
+                    <div style={{ color: '#aaa', fontSize: '0.9rem', fontStyle: 'italic' }}>従属関係はありません。</div>
+                )}
+
+                {canPropose && !showForm && (
+                    <button className="btn" onClick={() => setShowForm(true)} style={{ alignSelf: 'flex-start', fontSize: '0.8rem' }}>
+                        👑 従属関係を提案
+                    </button>
+                )}
+                {canPropose && showForm && (
+                    <div style={{ ...boxStyle, display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                        <select className="input" value={role} onChange={(e) => setRole(e.target.value)} style={{ fontSize: '0.85rem' }}>
+                            <option value="overlord">この勢力を従属国にする</option>
+                            <option value="vassal">この勢力の従属国になる</option>
+                        </select>
+                        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.8rem' }}>
+                            貢納率
+                            <input
+                                type="number"
+                                className="input"
+                                min={0}
+                                max={settings.maxTributePercent}
+                                value={tributePercent}
+                                onChange={(e) => setTributePercent(e.target.value)}
+                                style={{ width: '70px', fontSize: '0.85rem' }}
+                            />
+                            % (上限 {settings.maxTributePercent}%)
+                        </label>
+                        <div style={{ fontSize: '0.7rem', color: '#888' }}>
+                            日次ボーナスのたびに従属国の共有APのこの割合が宗主国へ移ります。従属国は独自に開戦できず、宗主国の戦争に参戦します。
+                        </div>
+                        <div style={{ display: 'flex', gap: '6px' }}>
+                            <button className="btn btn-primary" disabled={busy} onClick={handlePropose} style={{ flex: 1 }}>提案する</button>
+                            <button className="btn" disabled={busy} onClick={() => setShowForm(false)}>キャンセル</button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default VassalagePanel;
@@ -1,5 +1,12 @@
 
-const WarCard = ({ war, factions, currentFactionId, onShowMemberList }) => {
+import { useState } from 'react';
+import { createPortal } from 'react-dom';
+import WarNegotiationModal from './WarNegotiationModal';
+import WarDetailModal from './WarDetailModal';
+
+const WarCard = ({ war, factions, currentFactionId, onShowMemberList, onShowFrontLine }) => {
+  const [showNegotiation, setShowNegotiation] = useState(false);
+  const [showDetail, setShowDetail] = useState(false);
   if (!war || !war.attackerSide || !war.defenderSide) return null;
 
   const getFactionName = (fid) => factions[fid]?.name || fid;
@@ -18,6 +25,11 @@ const WarCard = ({ war, factions, currentFactionId, onShowMemberList }) => {
     war.defenderSide.factions.includes(currentFactionId)
   );
 
+  // 戦況スコア (攻撃側視点 -100〜100)。攻撃側が左なので優勢な側へマーカーを寄せる
+  const score = war.score || 0;
+  const scorePct = (100 - score) / 2;
+  const goals = war.goals || [];
+
   return (
     <div style={{
       background: 'rgba(50, 20, 20, 0.6)',
@@ -90,9 +102,66 @@ const WarCard = ({ war, factions, currentFactionId, onShowMemberList }) => {
         </div>
       </div>
 
-      <div style={{ fontSize: '0.8rem', color: '#888', textAlign: 'right' }}>
-        開戦: {new Date(war.startTime).toLocaleString()}
+      {/* War Score */}
+      <div>
+        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.8rem', color: '#ccc', marginBottom: '4px' }}>
+          <span>戦況スコア</span>
+          <span style={{ fontWeight: 'bold', color: score > 0 ? '#ff4444' : score < 0 ? '#6b6bff' : '#fff' }}>
+            {score > 0 ? `攻撃側優勢 +${score}` : score < 0 ? `防衛側優勢 +${-score}` : '拮抗'}
+          </span>
+        </div>
+        <div style={{ position: 'relative', height: '6px', background: '#333', borderRadius: '3px' }}>
+          <div style={{ position: 'absolute', left: '50%', top: '-2px', bottom: '-2px', width: '1px', background: '#888' }} />
+          <div style={{ position: 'absolute', left: `calc(${scorePct}% - 5px)`, top: '-2px', width: '10px', height: '10px', borderRadius: '50%', background: '#ffaa00', transition: 'left 0.5s' }} />
+        </div>
+        {goals.length > 0 && (
+          <div style={{ fontSize: '0.75rem', color: '#aaa', marginTop: '6px' }}>
+            戦争目標: 攻撃側 {goals.filter(g => g.side === 'attacker' && g.achieved).length}/{goals.filter(g => g.side === 'attacker').length} 達成
+            ・防衛側 {goals.filter(g => g.side === 'defender' && g.achieved).length}/{goals.filter(g => g.side === 'defender').length} 達成
+          </div>
+        )}
+        {war.peaceProposal && war.peaceProposal.expiresAt > Date.now() && (
+          <div style={{ fontSize: '0.75rem', color: '#4ade80', marginTop: '4px' }}>
+            📜 {getFactionName(war.peaceProposal.factionId)} が講和を提案中
+          </div>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.8rem', color: '#888' }}>
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <button className="btn" onClick={() => setShowDetail(true)} style={{ fontSize: '0.75rem' }}>
+            📊 詳細
+          </button>
+          {isMyWar && (
+            <button className="btn" onClick={() => setShowNegotiation(true)} style={{ fontSize: '0.75rem' }}>
+              🕊️ 戦争目標・講和
+            </button>
+          )}
+        </div>
+        <span>
+          {war.frontLine && <span title="両陣営の領土が接する辺の数">前線: {war.frontLine.length}辺 ・ </span>}
+          開戦: {new Date(war.startTime).toLocaleString()}
+        </span>
       </div>
+
+      {showNegotiation && createPortal(
+        <WarNegotiationModal
+          war={war}
+          factions={factions}
+          currentFactionId={currentFactionId}
+          onClose={() => setShowNegotiation(false)}
+        />,
+        document.body
+      )}
+      {showDetail && createPortal(
+        <WarDetailModal
+          war={war}
+          factions={factions}
+          onShowFrontLine={onShowFrontLine}
+          onClose={() => setShowDetail(false)}
+        />,
+        document.body
+      )}
     </div>
   );
 };
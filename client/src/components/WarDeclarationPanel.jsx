@@ -0,0 +1,132 @@
+import { useState } from 'react';
+import useWarDeclarations from '../hooks/useWarDeclarations';
+
+const STATEMENT_MAX_LENGTH = 200;
+
+// 勢力詳細 (外交タブ) の宣戦布告欄: 準備期間中の布告の表示・撤回と、新規の布告
+const WarDeclarationPanel = ({ myFactionId, targetFactionId, targetName, canDeclareWar, isAtWar }) => {
+    const { declarations, casusBelliTypes, settings } = useWarDeclarations();
+    const [showForm, setShowForm] = useState(false);
+    const [casusBelli, setCasusBelli] = useState('');
+    const [statement, setStatement] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const declaration = declarations.find(d =>
+        (d.attackerFactionId === myFactionId && d.defenderFactionId === targetFactionId) ||
+        (d.attackerFactionId === targetFactionId && d.defenderFactionId === myFactionId)
+    );
+
+    const handleDeclare = async () => {
+        if (!casusBelli) {
+            alert('開戦事由を選択してください');
+            return;
+        }
+        const prepText = settings?.preparationHours > 0 ? `${settings.preparationHours}時間の準備期間の後に` : 'ただちに';
+        if (!window.confirm(`勢力「${targetName}」に宣戦布告しますか？\n${prepText}戦争状態に突入します。`)) return;
+        setBusy(true);
+        try {
+            const res = await fetch('/api/wars/declarations', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ targetFactionId, casusBelli, statement })
+            });
+            const data = await res.json();
+            if (data.error) {
+                alert(data.error);
+                return;
+            }
+            setShowForm(false);
+            setStatement('');
+        } catch (e) {
+            console.error("War declaration error:", e);
+            alert('通信エラー');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleWithdraw = async () => {
+        if (!window.confirm('宣戦布告を撤回しますか？')) return;
+        setBusy(true);
+        try {
+            const res = await fetch(`/api/wars/declarations/${declaration.id}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+            const data = await res.json();
+            alert(data.error || data.message);
+        } catch (e) {
+            console.error("War declaration withdraw error:", e);
+            alert('通信エラー');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    if (declaration) {
+        const isMine = declaration.attackerFactionId === myFactionId;
+        return (
+            <div style={{ background: 'rgba(120, 30, 30, 0.3)', border: '1px solid #f87171', padding: '10px', borderRadius: '8px', fontSize: '0.85rem' }}>
+                <div style={{ fontWeight: 'bold', color: '#f87171' }}>
+                    📯 {isMine ? 'この勢力に宣戦布告中' : 'この勢力から宣戦布告を受けています'}
+                </div>
+                <div style={{ color: '#ccc', marginTop: '4px' }}>開戦事由: {declaration.casusBelliLabel}</div>
+                {declaration.statement && <div style={{ color: '#ccc' }}>声明: {declaration.statement}</div>}
+                <div style={{ color: '#aaa', fontSize: '0.75rem', marginTop: '4px' }}>
+                    開戦予定: {new Date(declaration.startsAt).toLocaleString()}
+                </div>
+                {isMine && canDeclareWar && (
+                    <button className="btn" disabled={busy} onClick={handleWithdraw} style={{ marginTop: '6px', fontSize: '0.75rem' }}>
+                        宣戦布告を撤回
+                    </button>
+                )}
+            </div>
+        );
+    }
+
+    if (!canDeclareWar || isAtWar || settings?.enabled === false) return null;
+
+    if (!showForm) {
+        return (
+            <button className="btn btn-danger" onClick={() => setShowForm(true)} style={{ flex: 1 }}>
+                ⚔️ 宣戦布告
+            </button>
+        );
+    }
+
+    return (
+        <div style={{ background: 'rgba(120, 30, 30, 0.3)', border: '1px solid #f87171', padding: '10px', borderRadius: '8px', display: 'flex', flexDirection: 'column', gap: '6px', width: '100%' }}>
+            <div style={{ fontWeight: 'bold', color: '#f87171', fontSize: '0.9rem' }}>⚔️ 宣戦布告</div>
+            <select className="input" value={casusBelli} onChange={(e) => setCasusBelli(e.target.value)} style={{ fontSize: '0.85rem' }}>
+                <option value="">開戦事由を選択...</option>
+                {Object.entries(casusBelliTypes).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                ))}
+            </select>
+            <div style={{ fontSize: '0.7rem', color: '#888' }}>
+                「失地回復」は相手が自勢力の中核マスを保有している場合、「同盟の義務」は同盟勢力が相手と交戦中の場合のみ選択できます
+            </div>
+            <textarea
+                className="input"
+                value={statement}
+                onChange={(e) => setStatement(e.target.value)}
+                maxLength={STATEMENT_MAX_LENGTH}
+                rows={2}
+                placeholder={`声明 (任意・${STATEMENT_MAX_LENGTH}文字以内)`}
+                style={{ fontSize: '0.85rem', resize: 'vertical' }}
+            />
+            {settings && (
+                <div style={{ fontSize: '0.75rem', color: '#aaa' }}>
+                    準備期間: {settings.preparationHours > 0 ? `${settings.preparationHours}時間 (期間中は攻撃できません)` : 'なし (即時開戦)'}
+                </div>
+            )}
+            <div style={{ display: 'flex', gap: '6px' }}>
+                <button className="btn btn-danger" disabled={busy} onClick={handleDeclare} style={{ flex: 1 }}>宣戦布告する</button>
+                <button className="btn" disabled={busy} onClick={() => setShowForm(false)}>キャンセル</button>
+            </div>
+        </div>
+    );
+};
+
+export default WarDeclarationPanel;
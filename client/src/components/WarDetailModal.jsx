@@ -0,0 +1,239 @@
+import { useCallback, useEffect, useState } from 'react';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_HOURS = 24 * 14; // サーバーの WAR_STATS_MAX_BUCKETS と同じ値
+const SIDE_COLORS = { attacker: '#ff4444', defender: '#6b6bff' };
+const SIDE_LABELS = { attacker: '攻撃側', defender: '防衛側' };
+const JOIN_LABELS = {
+    leader: '主戦国',
+    alliance: '同盟による自動参戦',
+    call_to_arms: '参戦要請',
+    vassal: '従属関係による参戦'
+};
+
+const sectionStyle = {
+    background: 'rgba(0, 0, 0, 0.2)',
+    borderRadius: '8px',
+    padding: '10px',
+    marginBottom: '10px'
+};
+
+const CHART_WIDTH = 460;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = { top: 10, right: 10, bottom: 20, left: 32 };
+
+// 記録のない時間枠を 0 で埋めて、開戦から現在までの連続した系列にする
+const buildSeries = (hourly, startTime) => {
+    const byHour = new Map(hourly.map(b => [b.hour, b]));
+    const last = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+    const first = Math.max(Math.floor(startTime / HOUR_MS) * HOUR_MS, last - (MAX_HOURS - 1) * HOUR_MS);
+    const series = [];
+    for (let hour = first; hour <= last; hour += HOUR_MS) {
+        const bucket = byHour.get(hour);
+        series.push({ hour, attacker: bucket?.attacker || 0, defender: bucket?.defender || 0 });
+    }
+    return series;
+};
+
+// 時間ごとの獲得マス数 (棒グラフ) / 累計 (折れ線グラフ)
+const TilesChart = ({ series, cumulative }) => {
+    let attackerSum = 0;
+    let defenderSum = 0;
+    const points = cumulative
+        ? series.map(b => ({ hour: b.hour, attacker: (attackerSum += b.attacker), defender: (defenderSum += b.defender) }))
+        : series;
+    const maxValue = Math.max(1, ...points.map(p => Math.max(p.attacker, p.defender)));
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const step = plotWidth / Math.max(1, points.length);
+    const toY = (v) => CHART_PADDING.top + plotHeight - (v / maxValue) * plotHeight;
+    const toX = (i) => CHART_PADDING.left + step * i + step / 2;
+    const labelEvery = Math.max(1, Math.ceil(points.length / 6));
+
+    return (
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} style={{ width: '100%', height: 'auto' }}>
+            {[0, 0.5, 1].map(r => (
+                <g key={r}>
+                    <line x1={CHART_PADDING.left} x2={CHART_WIDTH - CHART_PADDING.right} y1={toY(maxValue * r)} y2={toY(maxValue * r)} stroke="rgba(255,255,255,0.1)" />
+                    <text x={CHART_PADDING.left - 4} y={toY(maxValue * r) + 3} fill="#888" fontSize="9" textAnchor="end">{Math.round(maxValue * r)}</text>
+                </g>
+            ))}
+            {cumulative ? (
+                ['attacker', 'defender'].map(side => (
+                    <polyline
+                        key={side}
+                        fill="none"
+                        stroke={SIDE_COLORS[side]}
+                        strokeWidth="2"
+                        points={points.map((p, i) => `${toX(i)},${toY(p[side])}`).join(' ')}
+                    />
+                ))
+            ) : (
+                points.map((p, i) => {
+                    const barWidth = Math.max(1, step / 2 - 1);
+                    return (
+                        <g key={p.hour}>
+                            <rect x={toX(i) - barWidth} y={toY(p.attacker)} width={barWidth} height={toY(0) - toY(p.attacker)} fill={SIDE_COLORS.attacker}>
+                                <title>{`${new Date(p.hour).toLocaleString()} 攻撃側 ${p.attacker}マス`}</title>
+                            </rect>
+                            <rect x={toX(i)} y={toY(p.defender)} width={barWidth} height={toY(0) - toY(p.defender)} fill={SIDE_COLORS.defender}>
+                                <title>{`${new Date(p.hour).toLocaleString()} 防衛側 ${p.defender}マス`}</title>
+                            </rect>
+                        </g>
+                    );
+                })
+            )}
+            {points.map((p, i) => i % labelEvery === 0 && (
+                <text key={p.hour} x={toX(i)} y={CHART_HEIGHT - 6} fill="#888" fontSize="9" textAnchor="middle">
+                    {`${new Date(p.hour).getDate()}日${new Date(p.hour).getHours()}時`}
+                </text>
+            ))}
+        </svg>
+    );
+};
+
+// 戦争の詳細 (時系列グラフ・参戦履歴・ネームドマスの陥落・前線)
+const WarDetailModal = ({ war, factions, onClose, onShowFrontLine }) => {
+    const [stats, setStats] = useState(null);
+    const [error, setError] = useState(null);
+    const [cumulative, setCumulative] = useState(false);
+
+    const loadStats = useCallback(async () => {
+        try {
+            const res = await fetch(`/api/wars/${war.id}/stats`);
+            const data = await res.json();
+            if (data.error) {
+                setError(data.error);
+                return;
+            }
+            setStats(data);
+            setError(null);
+        } catch (e) {
+            console.error("War stats fetch error:", e);
+            setError('通信エラー');
+        }
+    }, [war.id]);
+
+    useEffect(() => {
+        loadStats();
+    }, [loadStats]);
+
+    const getFactionName = (fid) => factions[fid]?.name || fid;
+    const series = stats ? buildSeries(stats.hourly, war.startTime) : [];
+    const lostCount = (side) => stats ? stats.namedCellsLost.filter(c => c.lostSide === side).length : 0;
+
+    return (
+        <div className="modal-overlay" onClick={onClose} style={{ zIndex: 4000 }}>
+            <div
+                className="modal-content"
+                onClick={e => e.stopPropagation()}
+                style={{
+                    width: '90%',
+                    maxWidth: '560px',
+                    maxHeight: '85dvh',
+                    overflowY: 'auto',
+                    background: 'rgba(20, 20, 30, 0.95)',
+                    border: '1px solid #ff4444',
+                    borderRadius: '12px',
+                    padding: '16px',
+                    color: '#fff'
+                }}
+            >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+                    <h3 style={{ margin: 0, color: '#ff6666' }}>
+                        📊 {getFactionName(war.attackerSide.leaderId)} vs {getFactionName(war.defenderSide.leaderId)}
+                    </h3>
+                    <button onClick={onClose} style={{ background: 'transparent', border: 'none', color: '#aaa', fontSize: '1.5rem', cursor: 'pointer' }}>×</button>
+                </div>
+
+                {error && <div style={{ color: '#f87171', marginBottom: '10px' }}>{error}</div>}
+                {!stats && !error && <div style={{ color: '#aaa', textAlign: 'center', padding: '20px' }}>読み込み中...</div>}
+
+                {stats && (
+                    <>
+                        {/* Summary */}
+                        <div style={{ ...sectionStyle, display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', fontSize: '0.8rem' }}>
+                            {['attacker', 'defender'].map(side => (
+                                <div key={side} style={{ textAlign: 'center' }}>
+                                    <div style={{ color: SIDE_COLORS[side], fontWeight: 'bold' }}>{SIDE_LABELS[side]}</div>
+                                    <div>獲得 {war[`${side}Side`].tilesTaken} / 喪失 {war[`${side}Side`].tilesLost} マス</div>
+                                    <div style={{ color: '#aaa' }}>参戦 {war[`${side}Side`].factions.length} 勢力・ネームドマス陥落 {lostCount(side)}</div>
+                                </div>
+                            ))}
+                        </div>
+
+                        {/* Front line */}
+                        <div style={{ ...sectionStyle, display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px', fontSize: '0.85rem' }}>
+                            <span>
+                                🔥 前線の長さ: <b>{stats.frontLine.length}</b> 辺
+                                {!stats.frontLine.center && <span style={{ color: '#888' }}> (両陣営の領土は接していません)</span>}
+                            </span>
+                            {onShowFrontLine && (
+                                <button
+                                    className="btn"
+                                    style={{ fontSize: '0.75rem' }}
+                                    onClick={() => {
+                                        onShowFrontLine(war.id, stats.frontLine.center);
+                                        onClose();
+                                    }}
+                                >
+                                    🗺️ 地図に前線を表示
+                                </button>
+                            )}
+                        </div>
+
+                        {/* Tiles chart */}
+                        <div style={sectionStyle}>
+                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px', fontSize: '0.8rem' }}>
+                                <span style={{ color: '#ccc' }}>
+                                    {cumulative ? '獲得マス数 (累計)' : '1時間ごとの獲得マス数'}
+                                    <span style={{ color: SIDE_COLORS.attacker, marginLeft: '8px' }}>■ 攻撃側</span>
+                                    <span style={{ color: SIDE_COLORS.defender, marginLeft: '6px' }}>■ 防衛側</span>
+                                </span>
+                                <div style={{ display: 'flex', gap: '4px' }}>
+                                    <button className="btn" style={{ fontSize: '0.7rem' }} onClick={() => setCumulative(!cumulative)}>
+                                        {cumulative ? '時間ごと' : '累計'}
+                                    </button>
+                                    <button className="btn" style={{ fontSize: '0.7rem' }} onClick={loadStats}>🔄</button>
+                                </div>
+                            </div>
+                            <TilesChart series={series} cumulative={cumulative} />
+                        </div>
+
+                        {/* Participants */}
+                        <div style={sectionStyle}>
+                            <div style={{ fontSize: '0.8rem', color: '#ccc', marginBottom: '6px' }}>参戦履歴</div>
+                            {stats.participants.length === 0 && <div style={{ fontSize: '0.75rem', color: '#666' }}>記録なし</div>}
+                            {stats.participants.map((p, i) => (
+                                <div key={i} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.75rem', padding: '2px 0' }}>
+                                    <span>
+                                        <span style={{ color: SIDE_COLORS[p.side] }}>[{SIDE_LABELS[p.side]}]</span> {p.factionName}
+                                        <span style={{ color: '#888' }}> ({JOIN_LABELS[p.via] || p.via})</span>
+                                    </span>
+                                    <span style={{ color: '#888' }}>{new Date(p.joinedAt).toLocaleString()}</span>
+                                </div>
+                            ))}
+                        </div>
+
+                        {/* Named cells lost */}
+                        <div style={sectionStyle}>
+                            <div style={{ fontSize: '0.8rem', color: '#ccc', marginBottom: '6px' }}>陥落したネームドマス</div>
+                            {stats.namedCellsLost.length === 0 && <div style={{ fontSize: '0.75rem', color: '#666' }}>記録なし</div>}
+                            {stats.namedCellsLost.map((c, i) => (
+                                <div key={i} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.75rem', padding: '2px 0' }}>
+                                    <span>
+                                        🚩 {c.name} ({c.x}, {c.y}):
+                                        <span style={{ color: SIDE_COLORS[c.lostSide] }}> {c.loserName}</span> → {c.captorName}
+                                    </span>
+                                    <span style={{ color: '#888' }}>{new Date(c.at).toLocaleString()}</span>
+                                </div>
+                            ))}
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default WarDetailModal;
@@ -0,0 +1,302 @@
+import { useState } from 'react';
+
+const GOAL_LABELS = {
+    named_cell: 'ネームドマスの奪取',
+    region: '地域の制圧',
+    tribute: '貢納の強制'
+};
+const TRIBUTE_REQUIRED_SCORE = 50; // サーバーの WAR_TRIBUTE_REQUIRED_SCORE と同じ値
+
+const postJSON = async (url, body) => {
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(body)
+    });
+    return res.json();
+};
+
+const sectionStyle = {
+    background: 'rgba(0, 0, 0, 0.2)',
+    borderRadius: '8px',
+    padding: '10px',
+    marginBottom: '10px'
+};
+const inputStyle = { width: '64px', fontSize: '0.8rem' };
+
+const POINT_FIELDS = [['x', 'X'], ['y', 'Y']];
+const REGION_FIELDS = [...POINT_FIELDS, ['width', '幅'], ['height', '高さ']];
+
+// 座標・範囲 (x, y, 幅, 高さ) の入力欄
+const CoordInputs = ({ value, onChange, fields = REGION_FIELDS }) => (
+    <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', alignItems: 'center', fontSize: '0.8rem' }}>
+        {fields.map(([key, label]) => (
+            <label key={key} style={{ display: 'flex', alignItems: 'center', gap: '2px' }}>
+                {label}
+                <input
+                    className="input"
+                    type="number"
+                    min={key === 'width' || key === 'height' ? 1 : 0}
+                    value={value[key]}
+                    onChange={(e) => onChange({ ...value, [key]: e.target.value })}
+                    style={inputStyle}
+                />
+            </label>
+        ))}
+    </div>
+);
+
+// 戦争目標の宣言・講和交渉 (操作は主戦国の勢力主・権限保持者のみサーバー側で許可)
+const WarNegotiationModal = ({ war, factions, currentFactionId, onClose }) => {
+    const mySide = war.attackerSide.factions.includes(currentFactionId) ? 'attacker' : 'defender';
+    const enemySide = mySide === 'attacker' ? 'defender' : 'attacker';
+    const isLeader = war[`${mySide}Side`].leaderId === currentFactionId;
+    const myScore = mySide === 'attacker' ? (war.score || 0) : -(war.score || 0);
+    const proposal = war.peaceProposal && war.peaceProposal.expiresAt > Date.now() ? war.peaceProposal : null;
+
+    const [goalType, setGoalType] = useState('named_cell');
+    const [goalPos, setGoalPos] = useState({ x: '', y: '' });
+    const [goalRegion, setGoalRegion] = useState({ x: '', y: '', width: 10, height: 10 });
+    const [goalCount, setGoalCount] = useState(10);
+    const [goalAmount, setGoalAmount] = useState(100);
+
+    const [cessionDir, setCessionDir] = useState('none'); // none | receive | give
+    const [cessionRegion, setCessionRegion] = useState({ x: '', y: '', width: 10, height: 10 });
+    const [reparationsDir, setReparationsDir] = useState('none');
+    const [reparationsAmount, setReparationsAmount] = useState(100);
+    const [truceHours, setTruceHours] = useState(12);
+    const [busy, setBusy] = useState(false);
+
+    const getFactionName = (fid) => factions[fid]?.name || fid;
+
+    const run = async (url, body, confirmMessage) => {
+        if (confirmMessage && !window.confirm(confirmMessage)) return;
+        setBusy(true);
+        try {
+            const data = await postJSON(url, body);
+            if (data.error) alert(data.error);
+            else if (data.message) alert(data.message);
+        } catch (e) {
+            console.error("War negotiation error:", e);
+            alert('通信エラー');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleDeclareGoal = () => {
+        const body = { type: goalType };
+        if (goalType === 'named_cell') Object.assign(body, goalPos);
+        if (goalType === 'region') Object.assign(body, goalRegion, { count: goalCount });
+        if (goalType === 'tribute') body.amount = goalAmount;
+        run(`/api/wars/${war.id}/goals`, body, `戦争目標「${GOAL_LABELS[goalType]}」を宣言しますか？`);
+    };
+
+    const handlePropose = () => {
+        const toSide = (dir) => (dir === 'receive' ? mySide : enemySide);
+        run(`/api/wars/${war.id}/peace/propose`, {
+            cession: cessionDir === 'none' ? null : { toSide: toSide(cessionDir), ...cessionRegion },
+            reparations: reparationsDir === 'none' ? null : { toSide: toSide(reparationsDir), amount: reparationsAmount },
+            truceHours: Number(truceHours)
+        }, proposal ? '保留中の講和提案を置き換えて提案しますか？' : '講和を提案しますか？');
+    };
+
+    const handleRespond = (accept) => {
+        const isMine = proposal.side === mySide;
+        const confirmMessage = accept
+            ? '講和条件を承認しますか？\n承認すると条件がただちに履行され、戦争が終結します。'
+            : isMine ? '講和提案を取り下げますか？' : '講和提案を拒否しますか？';
+        run(`/api/wars/${war.id}/peace/respond`, { proposalId: proposal.id, accept }, confirmMessage);
+    };
+
+    const renderGoal = (goal) => (
+        <div key={goal.id} style={{ fontSize: '0.8rem', padding: '4px 0', borderBottom: '1px solid rgba(255, 255, 255, 0.05)' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', gap: '6px' }}>
+                <span>
+                    {goal.achieved ? '✅' : '🎯'} {GOAL_LABELS[goal.type]}
+                    {goal.type === 'named_cell' && ` 「${goal.name}」(${goal.x}, ${goal.y})`}
+                    {goal.type === 'region' && ` (${goal.x}, ${goal.y}) から ${goal.width}×${goal.height}`}
+                </span>
+                <span style={{ color: '#aaa', whiteSpace: 'nowrap' }}>
+                    {goal.type === 'named_cell' ? (goal.achieved ? '占領中' : '未達成') : `${goal.progress || 0} / ${goal.target}${goal.type === 'tribute' ? ' AP' : ' マス'}`}
+                </span>
+            </div>
+            {goal.type === 'tribute' && goal.side === mySide && isLeader && !goal.achieved && (
+                <button
+                    className="btn"
+                    disabled={busy || myScore < TRIBUTE_REQUIRED_SCORE}
+                    onClick={() => run(`/api/wars/${war.id}/goals/${goal.id}/enforce`, {}, '相手勢力から貢納を徴収しますか？')}
+                    style={{ fontSize: '0.7rem', marginTop: '4px' }}
+                    title={`戦況スコア ${TRIBUTE_REQUIRED_SCORE} 以上で実行できます`}
+                >
+                    貢納を徴収
+                </button>
+            )}
+        </div>
+    );
+
+    const renderTerms = (terms) => (
+        <div style={{ fontSize: '0.8rem', lineHeight: 1.6 }}>
+            {terms.cession && (
+                <div>
+                    🗺️ 領土割譲: {getFactionName(terms.cession.fromFactionId)} → {getFactionName(terms.cession.toFactionId)} {terms.cession.tiles.length} マス
+                    <span style={{ color: '#aaa' }}> ({terms.cession.x}, {terms.cession.y}) から {terms.cession.width}×{terms.cession.height}</span>
+                </div>
+            )}
+            {terms.reparations && (
+                <div>💰 賠償: {getFactionName(terms.reparations.fromFactionId)} → {getFactionName(terms.reparations.toFactionId)} 共有AP {terms.reparations.amount}</div>
+            )}
+            <div>🕊️ 停戦期間: {terms.truceHours > 0 ? `${terms.truceHours} 時間` : 'なし'}</div>
+        </div>
+    );
+
+    const directionSelect = (value, onChange) => (
+        <select className="input" value={value} onChange={(e) => onChange(e.target.value)} style={{ fontSize: '0.8rem' }}>
+            <option value="none">なし</option>
+            <option value="receive">相手 → 自陣営</option>
+            <option value="give">自陣営 → 相手</option>
+        </select>
+    );
+
+    return (
+        <div className="modal-overlay" onClick={onClose} style={{ zIndex: 4000 }}>
+            <div
+                className="modal-content"
+                onClick={e => e.stopPropagation()}
+                style={{
+                    width: '90%',
+                    maxWidth: '520px',
+                    maxHeight: '85dvh',
+                    overflowY: 'auto',
+                    background: 'rgba(20, 20, 30, 0.95)',
+                    border: '1px solid #ffaa00',
+                    borderRadius: '12px',
+                    padding: '16px',
+                    color: '#fff'
+                }}
+            >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+                    <h3 style={{ margin: 0, color: '#ffaa00' }}>🕊️ 戦争目標・講和</h3>
+                    <button onClick={onClose} style={{ background: 'transparent', border: 'none', color: '#aaa', fontSize: '1.5rem', cursor: 'pointer' }}>×</button>
+                </div>
+
+                <div style={{ ...sectionStyle, textAlign: 'center' }}>
+                    <div style={{ fontSize: '0.8rem', color: '#aaa' }}>自陣営から見た戦況スコア</div>
+                    <div style={{ fontSize: '1.8rem', fontWeight: 'bold', color: myScore > 0 ? '#4ade80' : myScore < 0 ? '#f87171' : '#fff' }}>
+                        {myScore > 0 ? `+${myScore}` : myScore}
+                    </div>
+                    {!isLeader && (
+                        <div style={{ fontSize: '0.75rem', color: '#888' }}>目標の宣言と講和交渉は主戦国のみが行えます</div>
+                    )}
+                </div>
+
+                {/* 戦争目標 */}
+                <div style={sectionStyle}>
+                    <div style={{ fontWeight: 'bold', marginBottom: '6px' }}>🎯 戦争目標</div>
+                    {[mySide, enemySide].map(side => {
+                        const goals = (war.goals || []).filter(g => g.side === side);
+                        return (
+                            <div key={side} style={{ marginBottom: '6px' }}>
+                                <div style={{ fontSize: '0.75rem', color: side === mySide ? '#ffaa00' : '#aaa' }}>
+                                    {side === mySide ? '自陣営' : '敵陣営'} ({getFactionName(war[`${side}Side`].leaderId)})
+                                </div>
+                                {goals.length > 0 ? goals.map(renderGoal) : (
+                                    <div style={{ fontSize: '0.75rem', color: '#666' }}>宣言なし</div>
+                                )}
+                            </div>
+                        );
+                    })}
+
+                    {isLeader && (
+                        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', marginTop: '8px', paddingTop: '8px', borderTop: '1px solid rgba(255, 255, 255, 0.1)' }}>
+                            <select className="input" value={goalType} onChange={(e) => setGoalType(e.target.value)} style={{ fontSize: '0.8rem' }}>
+                                {Object.entries(GOAL_LABELS).map(([key, label]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
+                            {goalType === 'named_cell' && (
+                                <CoordInputs value={goalPos} onChange={setGoalPos} fields={POINT_FIELDS} />
+                            )}
+                            {goalType === 'region' && (
+                                <>
+                                    <CoordInputs value={goalRegion} onChange={setGoalRegion} />
+                                    <label style={{ fontSize: '0.8rem' }}>
+                                        宣言時点から追加で制圧するマス数{' '}
+                                        <input className="input" type="number" min={1} value={goalCount} onChange={(e) => setGoalCount(e.target.value)} style={inputStyle} />
+                                    </label>
+                                </>
+                            )}
+                            {goalType === 'tribute' && (
+                                <label style={{ fontSize: '0.8rem' }}>
+                                    貢納させる共有AP{' '}
+                                    <input className="input" type="number" min={1} value={goalAmount} onChange={(e) => setGoalAmount(e.target.value)} style={inputStyle} />
+                                </label>
+                            )}
+                            <button className="btn btn-primary" disabled={busy} onClick={handleDeclareGoal} style={{ fontSize: '0.8rem' }}>
+                                目標を宣言
+                            </button>
+                        </div>
+                    )}
+                </div>
+
+                {/* 講和 */}
+                <div style={sectionStyle}>
+                    <div style={{ fontWeight: 'bold', marginBottom: '6px' }}>📜 講和</div>
+                    {proposal ? (
+                        <div style={{ marginBottom: '8px' }}>
+                            <div style={{ fontSize: '0.75rem', color: '#aaa', marginBottom: '4px' }}>
+                                {getFactionName(proposal.factionId)} からの提案 (期限: {new Date(proposal.expiresAt).toLocaleString('ja-JP')})
+                            </div>
+                            {renderTerms(proposal.terms)}
+                            {isLeader && (
+                                <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+                                    {proposal.side !== mySide && (
+                                        <button className="btn btn-primary" disabled={busy} onClick={() => handleRespond(true)} style={{ fontSize: '0.8rem' }}>承認する</button>
+                                    )}
+                                    <button className="btn" disabled={busy} onClick={() => handleRespond(false)} style={{ fontSize: '0.8rem' }}>
+                                        {proposal.side === mySide ? '取り下げる' : '拒否する'}
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    ) : (
+                        <div style={{ fontSize: '0.75rem', color: '#666', marginBottom: '8px' }}>保留中の講和提案はありません</div>
+                    )}
+
+                    {isLeader && (
+                        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', paddingTop: '8px', borderTop: '1px solid rgba(255, 255, 255, 0.1)' }}>
+                            <div style={{ fontSize: '0.8rem', color: '#ccc' }}>
+                                {proposal ? '対案を提示する (保留中の提案は置き換えられます)' : '講和を提案する'}
+                            </div>
+                            <label style={{ fontSize: '0.8rem', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                領土割譲 {directionSelect(cessionDir, setCessionDir)}
+                            </label>
+                            {cessionDir !== 'none' && (
+                                <>
+                                    <CoordInputs value={cessionRegion} onChange={setCessionRegion} />
+                                    <div className="help-text" style={{ fontSize: '0.7rem', color: '#888' }}>範囲内にある割譲元の主戦国の領土がすべて対象になります</div>
+                                </>
+                            )}
+                            <label style={{ fontSize: '0.8rem', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                賠償 (共有AP) {directionSelect(reparationsDir, setReparationsDir)}
+                                {reparationsDir !== 'none' && (
+                                    <input className="input" type="number" min={1} value={reparationsAmount} onChange={(e) => setReparationsAmount(e.target.value)} style={inputStyle} />
+                                )}
+                            </label>
+                            <label style={{ fontSize: '0.8rem', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                停戦期間 (時間, 0〜72)
+                                <input className="input" type="number" min={0} max={72} value={truceHours} onChange={(e) => setTruceHours(e.target.value)} style={inputStyle} />
+                            </label>
+                            <button className="btn btn-primary" disabled={busy} onClick={handlePropose} style={{ fontSize: '0.8rem' }}>
+                                {proposal ? '対案を提示' : '講和を提案'}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default WarNegotiationModal;
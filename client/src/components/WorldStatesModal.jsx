@@ -1,10 +1,22 @@
 import { memo, useEffect, useState } from 'react';
 import WarCard from './WarCard';
+import useWarDeclarations from '../hooks/useWarDeclarations';
+
+// 開戦までの残り時間表示
+const formatRemaining = (ms) => {
+  if (ms <= 0) return 'まもなく開戦';
+  const totalMinutes = Math.ceil(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `開戦まで ${hours}時間${minutes}分` : `開戦まで ${minutes}分`;
+};
 
 // モダンなデザインのモーダル
-const WorldStatesModal = ({ onClose, factions, alliances, wars, truces, onShowMemberList }) => {
+const WorldStatesModal = ({ onClose, factions, alliances, wars, truces, onShowMemberList, onShowWarFront }) => {
   const [activeTab, setActiveTab] = useState('wars'); // default to wars as it's the "hottest" topic
   const [sortBy, setSortBy] = useState(localStorage.getItem('allianceSortBy') || 'name');
+  const { declarations } = useWarDeclarations();
+  const [now, setNow] = useState(Date.now());
 
   // dataオブジェクトをプロップスから直接生成
   const data = {
@@ -17,6 +29,13 @@ const WorldStatesModal = ({ onClose, factions, alliances, wars, truces, onShowMe
     localStorage.setItem('allianceSortBy', sortBy);
   }, [sortBy]);
 
+  // 宣戦布告タイムラインの残り時間を更新
+  useEffect(() => {
+    if (activeTab !== 'declarations') return;
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, [activeTab]);
+
   const loading = false; // プロップス受け取りなので常にロード済みとする
 
   const tabStyle = (tabName) => ({
@@ -95,6 +114,7 @@ const WorldStatesModal = ({ onClose, factions, alliances, wars, truces, onShowMe
             <div style={tabStyle('wars')} onClick={() => setActiveTab('wars')}>⚔️ 戦争一覧 ({Object.keys(data.wars || {}).length})</div>
             <div style={tabStyle('alliances')} onClick={() => setActiveTab('alliances')}>🛡️ 同盟一覧 ({Object.keys(data.alliances || {}).length})</div>
             <div style={tabStyle('truces')} onClick={() => setActiveTab('truces')}>🤝 停戦一覧 ({Object.keys(data.truces || {}).length})</div>
+            <div style={tabStyle('declarations')} onClick={() => setActiveTab('declarations')}>📯 宣戦布告 ({declarations.length})</div>
           </div>
 
           {activeTab === 'alliances' && (
@@ -143,6 +163,10 @@ const WorldStatesModal = ({ onClose, factions, alliances, wars, truces, onShowMe
                           onShowMemberList?.(fid);
                           onClose();
                         }}
+                        onShowFrontLine={onShowWarFront && ((warId, center) => {
+                          onShowWarFront(warId, center);
+                          onClose();
+                        })}
                     />
                   ))}
                 </div>
@@ -253,6 +277,45 @@ const WorldStatesModal = ({ onClose, factions, alliances, wars, truces, onShowMe
                   ))}
                 </div>
               )}
+
+              {/* Declarations Tab (開戦予定順のタイムライン) */}
+              {activeTab === 'declarations' && (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '15px', borderLeft: '2px solid rgba(248, 113, 113, 0.4)', paddingLeft: '15px' }}>
+                  {declarations.length === 0 && <div style={{color: '#aaa', padding: '10px'}}>準備期間中の宣戦布告はありません。</div>}
+                  {[...declarations].sort((a, b) => a.startsAt - b.startsAt).map(decl => {
+                    const total = decl.startsAt - decl.declaredAt;
+                    const progress = total > 0 ? Math.min(100, Math.max(0, ((now - decl.declaredAt) / total) * 100)) : 100;
+                    return (
+                      <div key={decl.id} style={{
+                        position: 'relative',
+                        background: 'rgba(50, 20, 20, 0.6)',
+                        border: '1px solid #f87171',
+                        borderRadius: '8px',
+                        padding: '15px'
+                      }}>
+                        <div style={{ position: 'absolute', left: '-22px', top: '18px', width: '12px', height: '12px', borderRadius: '50%', background: '#f87171' }} />
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px', gap: '10px' }}>
+                          <div style={{ fontWeight: 'bold', color: '#fca5a5' }}>{decl.attackerName}</div>
+                          <div style={{ color: '#f87171' }}>⚔️ →</div>
+                          <div style={{ fontWeight: 'bold', color: '#fca5a5' }}>{decl.defenderName}</div>
+                        </div>
+                        <div style={{ fontSize: '0.85rem', color: '#ddd' }}>開戦事由: {decl.casusBelliLabel}</div>
+                        {decl.statement && (
+                          <div style={{ fontSize: '0.8rem', color: '#ccc', fontStyle: 'italic', margin: '4px 0' }}>「{decl.statement}」</div>
+                        )}
+                        <div style={{ height: '6px', background: 'rgba(255,255,255,0.1)', borderRadius: '3px', overflow: 'hidden', margin: '8px 0 4px' }}>
+                          <div style={{ width: `${progress}%`, height: '100%', background: 'linear-gradient(90deg, #fbbf24, #ef4444)' }} />
+                        </div>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.75rem', color: '#aaa', flexWrap: 'wrap', gap: '5px' }}>
+                          <span>布告: {new Date(decl.declaredAt).toLocaleString()}</span>
+                          <span style={{ color: '#fbbf24' }}>{formatRemaining(decl.startsAt - now)}</span>
+                          <span>開戦: {new Date(decl.startsAt).toLocaleString()}</span>
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
             </>
           )}
         </div>
@@ -1,4 +1,5 @@
 import { useCallback, useEffect, useMemo, useState } from "react";
+import { resolveRolePermissions } from "../utils/rolePermissions";
 
 const useAuth = (factions, addNotification, triggerApEffect) => {
   const [authStatus, setAuthStatus] = useState({
@@ -30,6 +31,8 @@ const useAuth = (factions, addNotification, triggerApEffect) => {
         gardenRefillAmount: data.gardenRefillAmount,
         apSettings: data.apSettings,
         mergerSettings: data.mergerSettings, // [NEW] receive merger settings
+        namedCellTypeSettings: data.namedCellTypeSettings,
+        fogOfWarEnabled: !!data.fogOfWarEnabled,
         mapSize: data.mapSize || 500, // [NEW] Map Size
       });
 
@@ -62,10 +65,16 @@ const useAuth = (factions, addNotification, triggerApEffect) => {
 
     let permissions = {
       canManageSettings: false,
+      canChangeColor: false,
       canUseSharedAp: false,
       canDiplomacy: false,
+      canManageNotices: false,
+      canManageTruces: false,
+      canCedeTerritory: false,
+      canMerge: false,
       canDeclareWar: false,
       canManageMembers: false,
+      canApproveJoins: false,
       canKick: false,
       canRequestTruce: false,
       canManageAlliance: false,
@@ -76,10 +85,16 @@ const useAuth = (factions, addNotification, triggerApEffect) => {
     if (isKing) {
       permissions = {
         canManageSettings: true,
+        canChangeColor: true,
         canUseSharedAp: true,
         canDiplomacy: true,
+        canManageNotices: true,
+        canManageTruces: true,
+        canCedeTerritory: true,
+        canMerge: true,
         canDeclareWar: true,
         canManageMembers: true,
+        canApproveJoins: true,
         canKick: true,
         canRequestTruce: true,
         canManageAlliance: true,
@@ -90,12 +105,13 @@ const useAuth = (factions, addNotification, triggerApEffect) => {
       const roleId = faction.memberRoles?.[playerData.id];
       const role = faction.roles?.find((r) => r.id === roleId);
       if (role && role.permissions) {
+        const resolved = resolveRolePermissions(role.permissions);
         permissions = {
-          ...role.permissions,
-          canKick: !!role.permissions.canManageMembers,
-          canRequestTruce: !!role.permissions.canDiplomacy,
-          canManageAlliance: !!role.permissions.canDiplomacy,
-          canDiplomacy: !!role.permissions.canDiplomacy,
+          ...resolved,
+          canKick: !!resolved.canManageMembers,
+          canRequestTruce: !!resolved.canManageTruces,
+          canManageAlliance: !!resolved.canDiplomacy,
+          canDiplomacy: !!resolved.canDiplomacy,
         };
       }
     }
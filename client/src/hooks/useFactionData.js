@@ -79,10 +79,20 @@ const useFactionData = (playerData) => {
   }, [playerData, factions, alliances]);
 
   // ランキングデータ生成
+  // 従属国は順位を持たず、宗主国の項目の vassals にまとめる
   const leaderboardItems = useMemo(() => {
-    const sorted = Object.values(factions)
-      .filter((f) => f && typeof f === "object")
-      .sort((a, b) => (b.totalPoints || 0) - (a.totalPoints || 0));
+    const byPoints = (a, b) => (b.totalPoints || 0) - (a.totalPoints || 0);
+    const all = Object.values(factions).filter(
+      (f) => f && typeof f === "object",
+    );
+    const isVassal = (f) => !!f.overlordId && !!factions[f.overlordId];
+    const sorted = all.filter((f) => !isVassal(f)).sort(byPoints);
+    const toItem = (f) => ({
+      id: f.id,
+      name: f.name,
+      color: f.color,
+      count: f.totalPoints || 0,
+    });
 
     let currentRank = 1;
     return sorted.map((f, index) => {
@@ -94,11 +104,12 @@ const useFactionData = (playerData) => {
         currentRank = index + 1;
       }
       return {
-        id: f.id,
+        ...toItem(f),
         rank: currentRank,
-        name: f.name,
-        color: f.color,
-        count: f.totalPoints || 0,
+        vassals: all
+          .filter((v) => v.overlordId === f.id)
+          .sort(byPoints)
+          .map(toItem),
       };
     });
   }, [factions]);
@@ -0,0 +1,63 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+
+const FRONT_LINE_INTERVAL_MS = 2000;
+const HOT_WINDOW_SEC = 30 * 60; // 直近30分の塗りを激戦として集計
+
+const EMPTY_FRONT_LINES = { edges: [], wars: {}, hottest: null };
+
+/**
+ * 交戦中の勢力同士の前線 (境界線・戦争ごとの長さ・最も激しい前線) を Worker で計算
+ */
+export function useFrontLines(workerPool, sharedData, wars, version) {
+  const [frontLines, setFrontLines] = useState(EMPTY_FRONT_LINES);
+  // プール自体は毎回生成されるため、安定した sendTask を依存に使う
+  const sendTask = workerPool?.sendTask;
+  const lastRunRef = useRef(0);
+
+  const warList = useMemo(
+    () =>
+      Object.values(wars || {})
+        .filter((w) => w.attackerSide && w.defenderSide)
+        .map((w) => ({
+          id: w.id,
+          attackers: w.attackerSide.factions,
+          defenders: w.defenderSide.factions,
+        })),
+    [wars],
+  );
+
+  useEffect(() => {
+    if (!sendTask || !sharedData?.sab || warList.length === 0) {
+      setFrontLines(EMPTY_FRONT_LINES);
+      return;
+    }
+
+    let cancelled = false;
+    // タイル更新のたびに全体を走査しないよう、計算は最大で FRONT_LINE_INTERVAL_MS に1回
+    const delay = Math.max(
+      0,
+      FRONT_LINE_INTERVAL_MS - (Date.now() - lastRunRef.current),
+    );
+    const timer = setTimeout(() => {
+      lastRunRef.current = Date.now();
+      sendTask("CALCULATE_FRONT_LINES", {
+        sharedData,
+        wars: warList,
+        hotSince: Math.floor(Date.now() / 1000) - HOT_WINDOW_SEC,
+      })
+        .then((result) => {
+          if (!cancelled) setFrontLines(result);
+        })
+        .catch((err) => console.error("Front line calculation failed:", err));
+    }, delay);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [sendTask, sharedData, warList, version]);
+
+  return frontLines;
+}
+
+export default useFrontLines;
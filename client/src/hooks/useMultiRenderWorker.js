@@ -11,6 +11,10 @@ export const useMultiRenderWorker = (
   alliances,
   playerColors,
   theme,
+  terrain = null,
+  dmz = null,
+  cutOff = null,
+  structures = null,
 ) => {
   const workerRefs = useRef([]); // Array of Worker instances
   const [workerReady, setWorkerReady] = useState(false);
@@ -195,6 +199,46 @@ export const useMultiRenderWorker = (
     });
   }, [workerReady, broadcast, factions, alliances, playerColors]);
 
+  // [NEW] 地形レイヤー (更新頻度が低いため個別に送信)
+  useEffect(() => {
+    if (!workerReady || !terrain) return;
+
+    broadcast({
+      type: "UPDATE_DATA",
+      data: { terrain },
+    });
+  }, [workerReady, broadcast, terrain]);
+
+  // 停戦協定の非武装地帯 (停戦の締結・失効時のみ変化。解除時は null を送る)
+  useEffect(() => {
+    if (!workerReady) return;
+
+    broadcast({
+      type: "UPDATE_DATA",
+      data: { dmz },
+    });
+  }, [workerReady, broadcast, dmz]);
+
+  // 補給線が途絶したマス (毎分の判定で変化したときのみ。なくなったら null を送る)
+  useEffect(() => {
+    if (!workerReady) return;
+
+    broadcast({
+      type: "UPDATE_DATA",
+      data: { cutOff },
+    });
+  }, [workerReady, broadcast, cutOff]);
+
+  // 設置物 (建設・撤去・所有者の変化時のみ。なくなったら null を送る)
+  useEffect(() => {
+    if (!workerReady) return;
+
+    broadcast({
+      type: "UPDATE_DATA",
+      data: { structures },
+    });
+  }, [workerReady, broadcast, structures]);
+
   // Separate Effect for Tiles (Heavy)
   const updateTiles = useCallback(
     (tiles, replace = false) => {
@@ -147,6 +147,23 @@ const useSettings = () => {
     );
   }, [showSpecialBorder]);
 
+  // 交戦中の勢力同士の前線表示
+  const [showFrontLines, setShowFrontLines] = useState(() => {
+    try {
+      const saved = localStorage.getItem("teien_show_front_lines");
+      return saved !== null ? JSON.parse(saved) : false;
+    } catch {
+      return false;
+    }
+  });
+
+  useEffect(() => {
+    localStorage.setItem(
+      "teien_show_front_lines",
+      JSON.stringify(showFrontLines),
+    );
+  }, [showFrontLines]);
+
   return {
     skipConfirmation,
     setSkipConfirmation,
@@ -168,6 +185,8 @@ const useSettings = () => {
 
     showSpecialBorder,
     setShowSpecialBorder,
+    showFrontLines,
+    setShowFrontLines,
   };
 };
 
@@ -0,0 +1,36 @@
+import { useCallback, useEffect, useState } from "react";
+import socket from "../socket";
+
+/**
+ * マップ上の設置物 (城壁・前哨基地・狼煙台)
+ * structures:updated と map:reloaded (霧の切り替え・勢力の移動) で再取得する
+ * @returns {Object<string, { type: string, factionId: string }>}
+ */
+const useStructures = () => {
+  const [structures, setStructures] = useState({});
+
+  const refresh = useCallback(async () => {
+    try {
+      const res = await fetch("/api/structures", { credentials: "include" });
+      const data = await res.json();
+      if (data.error) return;
+      setStructures(data.structures || {});
+    } catch (e) {
+      console.error("Structures fetch error:", e);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    socket.on("structures:updated", refresh);
+    socket.on("map:reloaded", refresh);
+    return () => {
+      socket.off("structures:updated", refresh);
+      socket.off("map:reloaded", refresh);
+    };
+  }, [refresh]);
+
+  return structures;
+};
+
+export default useStructures;
@@ -0,0 +1,38 @@
+import { useCallback, useEffect, useState } from "react";
+import socket from "../socket";
+
+const EMPTY_SUPPLY_LINES = { enabled: false, graceHours: 24, tiles: {} };
+
+/**
+ * 補給線が途絶している (中核マスから孤立した) マスと補給線の設定
+ * supplyLines:updated と map:reloaded (霧の切り替え・勢力の移動) で再取得する
+ * @returns {{ enabled: boolean, graceHours: number, mode: string, tiles: Object<string, { factionId: string, since: number }> }}
+ */
+const useSupplyLines = () => {
+  const [supplyLines, setSupplyLines] = useState(EMPTY_SUPPLY_LINES);
+
+  const refresh = useCallback(async () => {
+    try {
+      const res = await fetch("/api/supply-lines", { credentials: "include" });
+      const data = await res.json();
+      if (data.error) return;
+      setSupplyLines(data);
+    } catch (e) {
+      console.error("Supply lines fetch error:", e);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    socket.on("supplyLines:updated", refresh);
+    socket.on("map:reloaded", refresh);
+    return () => {
+      socket.off("supplyLines:updated", refresh);
+      socket.off("map:reloaded", refresh);
+    };
+  }, [refresh]);
+
+  return supplyLines;
+};
+
+export default useSupplyLines;
@@ -0,0 +1,34 @@
+import { useCallback, useEffect, useState } from "react";
+import socket from "../socket";
+
+/**
+ * 準備期間中の宣戦布告一覧 (war:declarations で更新)
+ */
+const useWarDeclarations = () => {
+  const [declarations, setDeclarations] = useState([]);
+  const [casusBelliTypes, setCasusBelliTypes] = useState({});
+  const [settings, setSettings] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const res = await fetch("/api/wars/declarations");
+      const data = await res.json();
+      if (!data.success) return;
+      setDeclarations(data.declarations);
+      setCasusBelliTypes(data.casusBelliTypes);
+      setSettings(data.settings);
+    } catch (e) {
+      console.error("War declarations fetch error:", e);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    socket.on("war:declarations", setDeclarations);
+    return () => socket.off("war:declarations", setDeclarations);
+  }, [refresh]);
+
+  return { declarations, casusBelliTypes, settings, refresh };
+};
+
+export default useWarDeclarations;
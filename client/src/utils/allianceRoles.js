@@ -0,0 +1,25 @@
+/**
+ * 同盟役職 (server/server.js の ALLIANCE_ROLES と同一の定義)
+ * 盟主は全権限を持ち、役職は盟主以外の加盟勢力に割り当てる
+ */
+
+export const ALLIANCE_ROLES = {
+  marshal: { label: "元帥", permissions: ["callToArms", "manageMembers"] },
+  treasurer: { label: "財務官", permissions: ["withdrawTreasury"] },
+};
+
+/**
+ * 加盟勢力の同盟役職 ("leader" | "marshal" | "treasurer" | null)
+ */
+export const getAllianceRole = (alliance, factionId) => {
+  if (!alliance || !(alliance.members || []).includes(factionId)) return null;
+  if (alliance.leaderId === factionId) return "leader";
+  const role = alliance.roles?.[factionId];
+  return ALLIANCE_ROLES[role] ? role : null;
+};
+
+export const hasAlliancePermission = (alliance, factionId, permission) => {
+  const role = getAllianceRole(alliance, factionId);
+  if (role === "leader") return true;
+  return !!role && ALLIANCE_ROLES[role].permissions.includes(permission);
+};
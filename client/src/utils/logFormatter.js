@@ -1,3 +1,6 @@
+import { NAMED_CELL_TYPES } from "./namedCellTypes";
+import { STRUCTURE_TYPES } from "./structureTypes";
+
 /**
  * アクティビティログのメッセージを表示用にフォーマットする共通ユーティリティ
  */
@@ -21,6 +24,7 @@ export const getLogCategory = (log) => {
   if (
     type === "tiles_invaded" ||
     type === "named_tile_fallen" ||
+    type.startsWith("named_cell_siege_") ||
     type === "war" ||
     msg.includes("侵略") ||
     msg.includes("攻撃") ||
@@ -28,12 +32,20 @@ export const getLogCategory = (log) => {
   )
     return "war";
   // war_started は勢力動向 (faction) に分類
-  if (type === "war_started") return "faction";
+  if (
+    type === "war_started" ||
+    type === "war_declared" ||
+    type === "war_goal_declared"
+  )
+    return "faction";
 
   if (
     type.startsWith("alliance_") ||
+    type.startsWith("vassal_") ||
     type === "diplomacy" ||
     type === "truce_established" ||
+    type === "peace_treaty_signed" ||
+    type === "war_tribute_enforced" ||
     type === "faction_merged" ||
     msg.includes("同盟") ||
     msg.includes("停戦") ||
@@ -113,13 +125,23 @@ export const getLogMessageText = (log) => {
       return `同盟加盟: ${data.factionName || "不明"} が 同盟「${data.allianceName || "???"}」（盟主：${data.leaderFactionName || "不明"}）に加盟しました`;
     case "alliance_disbanded":
       return `同盟解散: 同盟「${data.allianceName || "???"}」が解散しました`;
+    case "alliance_treasury_donated":
+      return `同盟金庫: 「${data.factionName || "不明"}」が同盟「${data.allianceName || "???"}」の金庫に ${data.amount || 0} AP を寄付しました`;
+    case "alliance_treasury_withdrawn":
+      return `同盟金庫: 「${data.factionName || "不明"}」が同盟「${data.allianceName || "???"}」の金庫から「${data.targetFactionName || "不明"}」へ ${data.amount || 0} AP を引き出しました`;
+    case "alliance_role_changed":
+      return data.roleLabel
+        ? `同盟役職: 「${data.factionName || "不明"}」が同盟「${data.allianceName || "???"}」の${data.roleLabel}に任命されました`
+        : `同盟役職: 「${data.factionName || "不明"}」が同盟「${data.allianceName || "???"}」の役職を解任されました`;
     case "named_cell_created":
     case "named_tile_created": {
       const role =
         data.roleName && data.roleName !== "Member" ? `(${data.roleName})` : "";
       const faction = data.factionName ? `[${data.factionName}]` : "";
       const coords = data.x !== undefined ? ` (${data.x}, ${data.y})` : "";
-      return `${data.creatorName || data.playerName || "不明"}${role}${faction} が 「${data.name || data.cellName || "???"}」 を建設しました${coords}`;
+      const type = NAMED_CELL_TYPES[data.type];
+      const typeLabel = type ? `(${type.name})` : "";
+      return `${data.creatorName || data.playerName || "不明"}${role}${faction} が 「${data.name || data.cellName || "???"}」${typeLabel} を建設しました${coords}`;
     }
     case "named_cell_levelup":
       return `「${data.cellName || "???"}」がレベル${data.newLevel || "?"}にアップグレードされました`;
@@ -137,10 +159,41 @@ export const getLogMessageText = (log) => {
     }
     case "named_tile_renamed":
       return `「${data.oldName || "???"}」が「${data.newName || "???"}」に改名されました (変更者: ${data.playerName || "不明"})`;
+    case "named_cell_siege_started":
+      return `${data.playerName || "不明"}[${data.factionName || "不明"}] が ${data.targetFactionName || "不明"} のネームドマス「${data.name || "???"}」の包囲を開始しました`;
+    case "named_cell_siege_lifted":
+      return `ネームドマス「${data.name || "???"}」の包囲が解かれました (守備兵力 ${data.garrison ?? "?"})`;
+    case "structure_built":
+    case "structure_demolished": {
+      const structureName = STRUCTURE_TYPES[data.type]?.name || "設置物";
+      const verb = type === "structure_built" ? "建設" : "撤去";
+      return `${data.playerName || "不明"}[${data.factionName || "不明"}] が (${data.x}, ${data.y}) の${structureName}を${verb}しました`;
+    }
     case "truce_established":
-      return `「${data.factionAName || "?"}」と「${data.factionBName || "?"}」の間で停戦協定が結ばれました`;
+      return `「${data.factionAName || "?"}」と「${data.factionBName || "?"}」の間で停戦協定が結ばれました${data.dmzWidth ? ` (非武装地帯: 幅 ${data.dmzWidth} マス)` : ""}`;
     case "war_started":
       return `${data.attackerName || "攻撃側"} が ${data.defenderName || "防衛側"} に侵攻開始`;
+    case "war_declared":
+      return `${data.attackerName || "攻撃側"} が ${data.defenderName || "防衛側"} に宣戦布告 (開戦事由: ${data.casusBelliLabel || "不明"})`;
+    case "war_goal_declared":
+      return `「${data.factionName || "?"}」が戦争目標「${data.goalLabel || "?"}」を宣言しました`;
+    case "war_tribute_enforced":
+      return `「${data.factionName || "?"}」が「${data.targetFactionName || "?"}」から共有AP ${data.amount || 0} を貢納として徴収しました`;
+    case "vassal_established":
+      return `「${data.vassalName || "?"}」が「${data.overlordName || "?"}」の従属国となりました (貢納率 ${data.tributePercent || 0}%)`;
+    case "vassal_released":
+      return data.reason === "renounced"
+        ? `「${data.vassalName || "?"}」が宗主国「${data.overlordName || "?"}」から離反しました`
+        : `「${data.overlordName || "?"}」が従属国「${data.vassalName || "?"}」を解放しました`;
+    case "vassal_tribute_paid":
+      return `「${data.vassalName || "?"}」が宗主国「${data.overlordName || "?"}」に共有AP ${data.amount || 0} を貢納しました`;
+    case "peace_treaty_signed": {
+      const terms = [];
+      if (data.cededTiles) terms.push(`割譲 ${data.cededTiles} マス`);
+      if (data.reparations) terms.push(`賠償 ${data.reparations} AP`);
+      if (data.truceHours) terms.push(`停戦 ${data.truceHours} 時間`);
+      return `「${data.factionAName || "?"}」と「${data.factionBName || "?"}」の間で講和条約が締結されました${terms.length > 0 ? ` (${terms.join("・")})` : ""}`;
+    }
     case "shared_ap_donated": {
       const rolePart = data.roleName ? `(${data.roleName})` : "";
       return `${data.playerName || "不明"}${rolePart} が ${data.factionName || "勢力"} に共有APを ${data.amount || 0} 寄付しました`;
@@ -237,8 +290,15 @@ export const getLogWithIcon = (log) => {
     prefix = "🔥";
   else if (log.type === "named_tile_fallen") prefix = "🚩";
   else if (log.type === "named_tile_resist") prefix = "🛡️";
+  else if (log.type === "named_cell_siege_started") prefix = "⚔️";
+  else if (log.type === "named_cell_siege_lifted") prefix = "🛡️";
   else if (log.type === "named_tile_renamed") prefix = "🏷️";
+  else if (log.type === "structure_built") prefix = "🏗️";
+  else if (log.type === "structure_demolished") prefix = "🪓";
   else if (log.type === "war_started") prefix = "⚔️";
+  else if (log.type === "war_declared") prefix = "📯";
+  else if (log.type?.startsWith("vassal_")) prefix = "👑";
+  else if (log.type?.startsWith("alliance_treasury_")) prefix = "💰";
 
   return `${prefix} ${text}`;
 };
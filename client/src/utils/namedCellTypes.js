@@ -0,0 +1,40 @@
+/**
+ * ネームドマスの種類 (server/shared.js の NAMED_CELL_TYPES と同一のキー)
+ * 効果量は管理者設定 (authStatus.namedCellTypeSettings) を優先する
+ */
+export const NAMED_CELL_TYPES = {
+  capital: { name: "首都", icon: "👑", value: 5, maxPerFaction: 1 },
+  fortress: { name: "要塞", icon: "🏯", value: 3, maxPerFaction: 0 },
+  market: { name: "市場", icon: "💰", value: 20, maxPerFaction: 0 },
+  watchtower: {
+    name: "物見櫓",
+    icon: "🔭",
+    value: 15,
+    maxPerFaction: 0,
+    requiresFogOfWar: true,
+  },
+  shrine: { name: "神社", icon: "⛩️", value: 30, maxPerFaction: 0 },
+};
+
+const EFFECT_DESCRIPTIONS = {
+  capital: (v) => `定期AP補充ごとに勢力メンバー全員へ +${v} AP`,
+  fortress: (v) => `ZOCの半径が ${v} マス広がる`,
+  market: (v) => `敵の中核マスへの攻撃コストが ${v}% 安くなる`,
+  watchtower: (v) => `周囲 ${v} マスを見通せる (戦場の霧が有効な間のみ)`,
+  shrine: (v) => `日次ボーナスで勢力に +${v} pt`,
+};
+
+/**
+ * 種類の情報 (管理者設定を反映)。種類なし・不明な種類は null
+ */
+export const getNamedCellTypeInfo = (type, typeSettings = {}) => {
+  const def = NAMED_CELL_TYPES[type];
+  if (!def) return null;
+  const value = typeSettings?.[type]?.value ?? def.value;
+  return {
+    ...def,
+    value,
+    maxPerFaction: typeSettings?.[type]?.maxPerFaction ?? def.maxPerFaction,
+    description: EFFECT_DESCRIPTIONS[type](value),
+  };
+};
@@ -0,0 +1,61 @@
+/**
+ * 既存の権限から分割した権限 (server/server.js の PERMISSION_FALLBACKS と同一の定義)
+ * 分割前に作成された役職はキーを持たないため、元の権限の値を引き継ぐ
+ */
+export const PERMISSION_FALLBACKS = {
+  canApproveJoins: "canManageMembers",
+  canChangeColor: "canManageSettings",
+  canManageNotices: "canDiplomacy",
+  canManageTruces: "canDiplomacy",
+  canCedeTerritory: "canDiplomacy",
+  canMerge: "canDiplomacy",
+};
+
+/**
+ * 役職に保存された権限にフォールバックを適用する
+ */
+export const resolveRolePermissions = (rolePermissions = {}) => {
+  const permissions = { ...rolePermissions };
+  Object.entries(PERMISSION_FALLBACKS).forEach(([key, legacyKey]) => {
+    if (rolePermissions[key] === undefined) {
+      permissions[key] = rolePermissions[legacyKey] === true;
+    }
+  });
+  return permissions;
+};
+
+/**
+ * 役職の共有APの1日の上限 (自動消費と引き出しの合計。0 は無制限)
+ * 旧形式の引き出し専用の上限 (sharedApWithdrawLimit) を引き継ぐ
+ * (server/server.js の getSharedApQuota と同一の判定)
+ */
+export const getRoleSharedApDailyLimit = (role) =>
+  role?.sharedApQuota?.dailyLimit || role?.sharedApWithdrawLimit || 0;
+
+/**
+ * 共有APの1日の利用上限 (勢力主・上限なしは Infinity、共有APを使えない場合は 0)
+ */
+export const getSharedApDailyLimit = (faction, playerId) => {
+  if (!faction) return 0;
+  if (faction.kingId === playerId) return Infinity;
+  const role = faction.roles?.find(
+    (r) => r.id === faction.memberRoles?.[playerId],
+  );
+  if (!role?.permissions?.canUseSharedAp) return 0;
+  return getRoleSharedApDailyLimit(role) || Infinity;
+};
+
+/**
+ * 共有APを自分のAPへ引き出せるか (勢力主、または1日の上限が設定された役職)
+ * (server/server.js の共有AP引き出しと同一の判定)
+ */
+export const canWithdrawSharedAp = (faction, playerId) => {
+  if (!faction) return false;
+  if (faction.kingId === playerId) return true;
+  const role = faction.roles?.find(
+    (r) => r.id === faction.memberRoles?.[playerId],
+  );
+  return (
+    !!role?.permissions?.canUseSharedAp && getRoleSharedApDailyLimit(role) > 0
+  );
+};
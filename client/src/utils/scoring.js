@@ -0,0 +1,82 @@
+/**
+ * 領土ポイント計算 (server/shared.js の getTilePoints と同一の定義)
+ * プロファイルは /api/scoring から取得し、サーバーの再計算結果と一致させる
+ */
+
+export const MAX_POINTS = 10;
+export const MIN_POINTS = 1;
+export const GRADIENT_STEP = 10;
+export const NAMED_CELL_BONUS = 20;
+
+export const DEFAULT_SCORING_PROFILE = {
+  type: "gradient",
+  maxPoints: MAX_POINTS,
+  minPoints: MIN_POINTS,
+  gradientStep: GRADIENT_STEP,
+  namedCellBonus: NAMED_CELL_BONUS,
+  flatPoints: 1,
+  basePoints: MIN_POINTS,
+  hotspots: [],
+};
+
+export const SCORING_PROFILE_LABELS = {
+  gradient: "中央グラデーション",
+  flat: "一律",
+  hotspots: "複数ホットスポット",
+  custom: "カスタムポイントマップ",
+};
+
+const getSpecialTileRange = (mapSize) => {
+  const center = Math.floor(mapSize / 2);
+  return {
+    min: center - 25,
+    max: center + 24,
+  };
+};
+
+/**
+ * マスのポイントを計算する
+ * @param {Object} scoring - { profile, pointMap } (省略時はデフォルトのグラデーション)
+ */
+export const getTilePoints = (x, y, mapSize, namedCells = null, scoring = null) => {
+  const profile = scoring?.profile || DEFAULT_SCORING_PROFILE;
+  let basePoints;
+
+  if (profile.type === "flat") {
+    basePoints = profile.flatPoints;
+  } else if (profile.type === "hotspots") {
+    basePoints = profile.basePoints;
+    for (const h of profile.hotspots || []) {
+      const distance = Math.max(Math.abs(x - h.x), Math.abs(y - h.y));
+      if (distance > h.radius) continue;
+      const falloff = ((h.points - profile.basePoints) * distance) / (h.radius + 1);
+      const pts = Math.round(h.points - falloff);
+      if (pts > basePoints) basePoints = pts;
+    }
+  } else if (profile.type === "custom") {
+    const pointMap = scoring?.pointMap;
+    basePoints = pointMap ? pointMap[y * mapSize + x] || 0 : profile.minPoints;
+  } else {
+    const { min, max } = getSpecialTileRange(mapSize);
+
+    if (x >= min && x <= max && y >= min && y <= max) {
+      basePoints = profile.maxPoints;
+    } else {
+      const distX = x < min ? min - x : x > max ? x - max : 0;
+      const distY = y < min ? min - y : y > max ? y - max : 0;
+      const distance = Math.max(distX, distY);
+      const reduction = Math.floor((distance - 1) / profile.gradientStep);
+      basePoints = Math.max(profile.minPoints, profile.maxPoints - 1 - reduction);
+    }
+  }
+
+  // ネームドセルボーナス
+  if (namedCells) {
+    const key = `${x}_${y}`;
+    if (namedCells[key]) {
+      basePoints += profile.namedCellBonus;
+    }
+  }
+
+  return basePoints;
+};
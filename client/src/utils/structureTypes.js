@@ -0,0 +1,45 @@
+/**
+ * 設置物の種類 (server/shared.js の STRUCTURE_TYPES と同一の id・キー・値)
+ * id は描画用の Uint8Array に格納する値 (renderWorker の STRUCTURE_ICONS と対応)
+ */
+export const STRUCTURE_TYPES = {
+  wall: {
+    id: 1,
+    name: "城壁",
+    icon: "🧱",
+    cost: 20,
+    value: 2,
+    maxPerFaction: 0,
+  },
+  outpost: {
+    id: 2,
+    name: "前哨基地",
+    icon: "⛺",
+    cost: 50,
+    value: 0,
+    maxPerFaction: 5,
+  },
+  beacon: {
+    id: 3,
+    name: "狼煙台",
+    icon: "🗼",
+    cost: 30,
+    value: 2,
+    maxPerFaction: 10,
+  },
+};
+
+const EFFECT_DESCRIPTIONS = {
+  wall: (v) => `敵がこのマスを塗るコストが ${v} AP 増える`,
+  outpost: () => "飛び地の距離計算で中核マスとして扱われる",
+  beacon: (v) => `周囲 ${v} マスにZOCを張る`,
+};
+
+/**
+ * 種類の情報 (効果の説明付き)。不明な種類は null
+ */
+export const getStructureTypeInfo = (type) => {
+  const def = STRUCTURE_TYPES[type];
+  if (!def) return null;
+  return { ...def, description: EFFECT_DESCRIPTIONS[type](def.value) };
+};
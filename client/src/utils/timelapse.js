@@ -0,0 +1,152 @@
+/**
+ * タイムラプスフレームのデコード (server/timelapse.js と同一の形式)
+ * キーフレームで状態をリセットし、差分フレームを順に適用して各時点の盤面を得る
+ */
+
+export const FRAME_HEADER_SIZE = 32;
+export const FRAME_KIND_KEY = 0;
+
+const TILE_BYTE_SIZE = 24;
+const CHANGE_RECORD_SIZE = 4 + TILE_BYTE_SIZE;
+const EMPTY_FACTION = 65535;
+
+const textDecoder = new TextDecoder();
+
+const inflateRaw = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * フレームを解析 (body を展開)
+ * @param {Uint8Array} bytes - ヘッダーを含むフレーム全体
+ */
+export const decodeFrame = async (bytes) => {
+  const header = new DataView(bytes.buffer, bytes.byteOffset, FRAME_HEADER_SIZE);
+  const kind = header.getUint8(5);
+  const mapSize = header.getUint16(6, true);
+  const timestamp = header.getFloat64(8, true);
+  const bodyLength = header.getUint32(24, true);
+
+  const body = await inflateRaw(bytes.subarray(FRAME_HEADER_SIZE, FRAME_HEADER_SIZE + bodyLength));
+  const view = new DataView(body.buffer, body.byteOffset, body.byteLength);
+  let pos = 0;
+
+  const readIds = (count) => {
+    const ids = new Array(count);
+    for (let i = 0; i < count; i++) {
+      const len = view.getUint16(pos, true);
+      ids[i] = textDecoder.decode(body.subarray(pos + 2, pos + 2 + len));
+      pos += 2 + len;
+    }
+    return ids;
+  };
+
+  const factionCount = view.getUint16(pos, true);
+  pos += 2;
+  const factionIds = readIds(factionCount);
+  const playerCount = view.getUint32(pos, true);
+  pos += 4;
+  const playerIds = readIds(playerCount);
+
+  const metaLength = view.getUint32(pos, true);
+  const factions = JSON.parse(textDecoder.decode(body.subarray(pos + 4, pos + 4 + metaLength)));
+  pos += 4 + metaLength;
+
+  const changeCount = view.getUint32(pos, true);
+  pos += 4;
+
+  return {
+    kind,
+    mapSize,
+    timestamp,
+    factionIds,
+    playerIds,
+    factions,
+    changeCount,
+    changes: new DataView(body.buffer, body.byteOffset + pos, changeCount * CHANGE_RECORD_SIZE),
+  };
+};
+
+export const createEmptyState = () => ({
+  tiles: {},
+  factionIds: [],
+  playerIds: [],
+  factions: null,
+  timestamp: 0,
+});
+
+// 差分適用前に複製 (タイルオブジェクト自体は共有)
+export const cloneState = (state) => ({
+  ...state,
+  tiles: { ...state.tiles },
+  factionIds: state.factionIds.slice(),
+  playerIds: state.playerIds.slice(),
+});
+
+/**
+ * デコード済みフレームを状態に適用 (state を直接更新して返す)
+ */
+export const applyFrame = (state, frame) => {
+  if (frame.kind === FRAME_KIND_KEY) {
+    state.tiles = {};
+    state.factionIds = [];
+    state.playerIds = [];
+  }
+  state.factionIds = state.factionIds.concat(frame.factionIds);
+  state.playerIds = state.playerIds.concat(frame.playerIds);
+
+  const { changes, changeCount, mapSize } = frame;
+  for (let n = 0; n < changeCount; n++) {
+    const o = n * CHANGE_RECORD_SIZE;
+    const index = changes.getUint32(o, true);
+    const key = `${index % mapSize}_${Math.floor(index / mapSize)}`;
+    const fidIdx = changes.getUint16(o + 4, true);
+    if (fidIdx === EMPTY_FACTION) {
+      delete state.tiles[key];
+      continue;
+    }
+
+    const pIdx = changes.getUint32(o + 10, true);
+    const tile = {
+      factionId: state.factionIds[fidIdx],
+      color: `#${changes.getUint32(o + 6, true).toString(16).padStart(6, '0')}`,
+      paintedBy: pIdx > 0 ? state.playerIds[pIdx - 1] : null,
+    };
+    if (changes.getUint8(o + 15) & 1) tile.core = { factionId: tile.factionId };
+    state.tiles[key] = tile;
+  }
+
+  state.factions = frame.factions;
+  state.timestamp = frame.timestamp;
+  return state;
+};
+
+/**
+ * フレームストリーム ([u32 フレーム番号, u32 長さ, フレーム本体]...) を読み込み、届いた順に通知
+ * @param {Response} response
+ * @param {(index: number, bytes: Uint8Array) => void} onFrame
+ */
+export const readFrameStream = async (response, onFrame) => {
+  const reader = response.body.getReader();
+  let buffer = new Uint8Array(0);
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    const merged = new Uint8Array(buffer.length + value.length);
+    merged.set(buffer);
+    merged.set(value, buffer.length);
+    buffer = merged;
+
+    while (buffer.length >= 8) {
+      const prefix = new DataView(buffer.buffer, buffer.byteOffset, 8);
+      const index = prefix.getUint32(0, true);
+      const length = prefix.getUint32(4, true);
+      if (buffer.length < 8 + length) break;
+      onFrame(index, buffer.slice(8, 8 + length));
+      buffer = buffer.subarray(8 + length);
+    }
+  }
+};
@@ -126,6 +126,118 @@ function calculateFactionEdgesSAB(sab, factionId, factionsList) {
   return edges;
 }
 
+/**
+ * 交戦中の勢力同士が接する境界線 (前線) を計算 (SAB版)
+ * wars: [{ id, attackers, defenders }]、hotSince: 直近の塗りとみなす時刻 (秒)
+ * 直近に塗られた前線を HOT_CHUNK_SIZE 四方の区画ごとに集計し、最も激しい区画を返す
+ */
+const HOT_CHUNK_SIZE = 16;
+
+function calculateFrontLinesSAB(sab, factionsList, wars, hotSince) {
+  const sabView = new DataView(sab);
+  const edges = [];
+  const stats = {};
+  const heat = wars.map(() => new Map()); // chunkKey -> { count, x, y, latest }
+  wars.forEach((w) => {
+    stats[w.id] = { length: 0, recentPaints: 0, hotspot: null };
+  });
+
+  // fidIdx -> 戦争ごとの陣営 (1: 攻撃側, 2: 防衛側, 0: 不参加)
+  const sidesByIdx = new Map();
+  const getSides = (idx) => {
+    if (!sidesByIdx.has(idx)) {
+      const fid = factionsList[idx];
+      sidesByIdx.set(
+        idx,
+        fid
+          ? wars.map((w) =>
+              w.attackers.includes(fid)
+                ? 1
+                : w.defenders.includes(fid)
+                  ? 2
+                  : 0,
+            )
+          : null,
+      );
+    }
+    return sidesByIdx.get(idx);
+  };
+
+  const checkEdge = (x, y, offset, sides, nx, ny, edge) => {
+    const nOffset = (ny * MAP_SIZE + nx) * TILE_BYTE_SIZE;
+    const nIdx = sabView.getUint16(nOffset, true);
+    if (nIdx === 65535 || nIdx === sabView.getUint16(offset, true)) return;
+    const nSides = getSides(nIdx);
+    if (!nSides) return;
+
+    const warIds = [];
+    const latest = Math.max(
+      sabView.getUint32(offset + 20, true),
+      sabView.getUint32(nOffset + 20, true),
+    );
+    wars.forEach((w, i) => {
+      if (!sides[i] || !nSides[i] || sides[i] === nSides[i]) return;
+      warIds.push(w.id);
+      stats[w.id].length++;
+      if (latest < hotSince) return;
+      stats[w.id].recentPaints++;
+      const key = `${Math.floor(x / HOT_CHUNK_SIZE)}_${Math.floor(y / HOT_CHUNK_SIZE)}`;
+      const chunk = heat[i].get(key) || { count: 0, x, y, latest };
+      chunk.count++;
+      if (latest >= chunk.latest) {
+        chunk.x = x;
+        chunk.y = y;
+        chunk.latest = latest;
+      }
+      heat[i].set(key, chunk);
+    });
+    if (warIds.length > 0) edges.push({ ...edge, warIds });
+  };
+
+  for (let y = 0; y < MAP_SIZE; y++) {
+    for (let x = 0; x < MAP_SIZE; x++) {
+      const offset = (y * MAP_SIZE + x) * TILE_BYTE_SIZE;
+      const fidIdx = sabView.getUint16(offset, true);
+      if (fidIdx === 65535) continue;
+      const sides = getSides(fidIdx);
+      if (!sides) continue;
+
+      // 右隣・下隣との辺のみ判定 (各辺を1回だけ数える)
+      if (x < MAP_SIZE - 1)
+        checkEdge(x, y, offset, sides, x + 1, y, {
+          x1: x + 1,
+          y1: y,
+          x2: x + 1,
+          y2: y + 1,
+        });
+      if (y < MAP_SIZE - 1)
+        checkEdge(x, y, offset, sides, x, y + 1, {
+          x1: x,
+          y1: y + 1,
+          x2: x + 1,
+          y2: y + 1,
+        });
+    }
+  }
+
+  // 戦争ごとの最も激しい区画と、全体で最も激しい前線
+  let hottest = null;
+  wars.forEach((w, i) => {
+    heat[i].forEach((chunk) => {
+      const hotspot = stats[w.id].hotspot;
+      if (!hotspot || chunk.count > hotspot.count) {
+        stats[w.id].hotspot = { x: chunk.x, y: chunk.y, count: chunk.count };
+      }
+    });
+    const hotspot = stats[w.id].hotspot;
+    if (hotspot && (!hottest || hotspot.count > hottest.count)) {
+      hottest = { warId: w.id, ...hotspot };
+    }
+  });
+
+  return { edges, wars: stats, hottest };
+}
+
 /**
  * 勢力ごとのクラスタリング (SAB版)
  */
@@ -596,6 +708,15 @@ self.onmessage = async function (e) {
         }
         break;
 
+      case "CALCULATE_FRONT_LINES":
+        result = calculateFrontLinesSAB(
+          data.sharedData.sab,
+          data.sharedData.factionsList,
+          data.wars,
+          data.hotSince,
+        );
+        break;
+
       case "AUTO_SELECT_CANDIDATES":
         result = findAutoSelectCandidates(
           data.sharedData.sab,
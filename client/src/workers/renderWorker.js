@@ -34,6 +34,31 @@ let cachedTheme = {
   highlightCoreOnly: false,
   mapColorMode: "faction",
 };
+// 同盟表示モードの勢力ごとの色 (fid -> color, 色なしの勢力は含まない)
+// 従属国は宗主国の同盟色で塗り、宗主国が同盟未加盟なら宗主国の勢力色で宗主国と従属国をまとめる
+function buildAllianceModeColors(factions, alliances) {
+  const overlordIds = new Set();
+  Object.values(factions || {}).forEach((f) => {
+    if (f?.overlordId && factions[f.overlordId]) overlordIds.add(f.overlordId);
+  });
+  const getGroupColor = (fid) => {
+    const f = factions[fid];
+    const allianceColor = f.allianceId && alliances?.[f.allianceId]?.color;
+    if (allianceColor) return allianceColor;
+    return overlordIds.has(fid) ? f.color : null;
+  };
+
+  const colors = {};
+  Object.entries(factions || {}).forEach(([fid, f]) => {
+    if (!f) return;
+    const groupId =
+      f.overlordId && factions[f.overlordId] ? f.overlordId : fid;
+    const color = getGroupColor(groupId);
+    if (color) colors[fid] = color;
+  });
+  return colors;
+}
+
 // 最後に描画したViewport (不要な再描画防止用)
 let lastViewport = null;
 
@@ -50,6 +75,52 @@ let sabView = null;
 let zocSabView = null;
 let statsSabView = null;
 
+// [NEW] 地形レイヤー (Uint8Array, index = y * MAP_SIZE + x)
+let terrainView = null;
+// 地形タイプごとの表示色 (server/shared.js の TERRAIN_TYPES と対応)
+// blank: 空白地の塗りつぶし色, mark: 領土上に重ねるマーカー色
+const TERRAIN_COLORS = {
+  1: { blank: "#4a90d9", mark: "#4a90d9" }, // 水域 (常に水色で描画)
+  2: { blank: "#a08b6d", mark: "rgba(60, 40, 20, 0.55)" }, // 山岳
+  3: { blank: "#6fa86a", mark: "rgba(20, 70, 20, 0.5)" }, // 森林
+  4: { blank: "#d8c9a3", mark: "rgba(120, 100, 60, 0.5)" }, // 道路
+};
+
+// 停戦協定の非武装地帯 (Uint8Array, index = y * MAP_SIZE + x, 1 = 非武装地帯)
+let dmzView = null;
+let dmzPattern = null;
+
+// 補給線が途絶したマス (Uint8Array, index = y * MAP_SIZE + x, 1 = 中核から孤立)
+let cutOffView = null;
+
+// 設置物 (Uint8Array, index = y * MAP_SIZE + x, 値 = 種類の id)
+let structureView = null;
+// 種類の id ごとのアイコン (server/shared.js の STRUCTURE_TYPES と対応)
+const STRUCTURE_ICONS = [null, "🧱", "⛺", "🗼"];
+// アイコンを描画する最小のタイルサイズ (px)
+const STRUCTURE_ICON_MIN_TILE_SIZE = 12;
+
+// 非武装地帯に重ねる斜線パターン (初回のみ生成)
+function getDmzPattern(targetCtx) {
+  if (dmzPattern) return dmzPattern;
+  const size = 8;
+  const patternCanvas = new OffscreenCanvas(size, size);
+  const pctx = patternCanvas.getContext("2d");
+  pctx.strokeStyle = "rgba(255, 255, 255, 0.75)";
+  pctx.lineWidth = 2;
+  pctx.beginPath();
+  // 右上がりの斜線 (端で途切れないよう角にも短い線を引く)
+  pctx.moveTo(0, size);
+  pctx.lineTo(size, 0);
+  pctx.moveTo(-size / 2, size / 2);
+  pctx.lineTo(size / 2, -size / 2);
+  pctx.moveTo(size / 2, size + size / 2);
+  pctx.lineTo(size + size / 2, size / 2);
+  pctx.stroke();
+  dmzPattern = targetCtx.createPattern(patternCanvas, "repeat");
+  return dmzPattern;
+}
+
 /**
  * 初期化: OffscreenCanvasを受け取る (単一キャンバスモード)
  */
@@ -270,8 +341,16 @@ function renderTiles(data) {
 
   // 色ごとにバッチング
   const batchDraws = new Map();
+  const terrainMarks = new Map(); // [NEW] 領土上の地形マーカー (color -> [x, y, size])
+  const dmzRects = []; // 非武装地帯 (Flat Array: [x, y, w, h])
+  const cutOffRects = []; // 補給線が途絶したマス (Flat Array: [x, y, w, h])
+  const structureIcons = []; // 設置物 (Flat Array: [x, y, typeId])
   const factionBorderRects = [];
   const skipBorders = mapColorMode === "overpaint" && viewport.zoom < 0.5;
+  const allianceModeColors =
+    mapColorMode === "alliance"
+      ? buildAllianceModeColors(factions, alliances)
+      : null;
 
   for (let x = Math.max(0, startX); x <= Math.min(MAP_SIZE - 1, endX); x++) {
     for (let y = Math.max(0, startY); y <= Math.min(MAP_SIZE - 1, endY); y++) {
@@ -359,12 +438,8 @@ function renderTiles(data) {
           const ratio = count / 4;
           color = `hsl(${240 + ratio * 60}, ${60 + ratio * 40}%, ${45 + ratio * 30}%)`;
         } else if (mapColorMode === "alliance") {
-          const f = fid ? factions[fid] : null;
-          if (f && f.allianceId && alliances && alliances[f.allianceId]) {
-            color = alliances[f.allianceId].color;
-          } else {
-            color = blankTileColor || "#ffffff";
-          }
+          color =
+            (fid && allianceModeColors[fid]) || blankTileColor || "#ffffff";
         } else {
           // Faction/Custom Color (Use packed color from SAB)
           color = fid
@@ -392,11 +467,7 @@ function renderTiles(data) {
           const ratio = count / 4;
           color = `hsl(${240 + ratio * 60}, ${60 + ratio * 40}%, ${45 + ratio * 30}%)`;
         } else if (mapColorMode === "alliance") {
-          if (f && f.allianceId && alliances && alliances[f.allianceId]) {
-            color = alliances[f.allianceId].color;
-          } else {
-            color = "#111111";
-          }
+          color = allianceModeColors[fid] || "#111111";
         } else {
           color = tile.customColor || tile.color || "#ffffff";
         }
@@ -408,8 +479,37 @@ function renderTiles(data) {
         }
       }
 
+      // [NEW] 地形の反映 (水域は常に地形色、それ以外は空白地のみ地形色)
+      const terrainType = terrainView ? terrainView[y * MAP_SIZE + x] : 0;
+      const terrainColor = terrainType ? TERRAIN_COLORS[terrainType] : null;
+      if (terrainColor) {
+        if (terrainType === 1 || !tile) {
+          color = terrainColor.blank;
+        } else if (showGrid) {
+          if (!terrainMarks.has(terrainColor.mark))
+            terrainMarks.set(terrainColor.mark, []);
+          const markSize = Math.max(2, Math.floor(tileSize / 4));
+          terrainMarks
+            .get(terrainColor.mark)
+            .push(screenX + 1, screenY + 1, markSize);
+        }
+      }
+
       if (!batchDraws.has(color)) batchDraws.set(color, []);
       batchDraws.get(color).push(screenX, screenY, drawW, drawH);
+
+      if (dmzView && dmzView[y * MAP_SIZE + x]) {
+        dmzRects.push(screenX, screenY, drawW, drawH);
+      }
+
+      if (cutOffView && cutOffView[y * MAP_SIZE + x]) {
+        cutOffRects.push(screenX, screenY, drawW, drawH);
+      }
+
+      if (structureView && tileSize >= STRUCTURE_ICON_MIN_TILE_SIZE) {
+        const structureType = structureView[y * MAP_SIZE + x];
+        if (structureType) structureIcons.push(screenX, screenY, structureType);
+      }
     }
   }
 
@@ -422,6 +522,55 @@ function renderTiles(data) {
     }
   });
 
+  // [NEW] 領土上の地形マーカー (左上の小さな四角)
+  terrainMarks.forEach((marks, color) => {
+    ctx.fillStyle = color;
+    for (let i = 0; i < marks.length; i += 3) {
+      ctx.fillRect(marks[i], marks[i + 1], marks[i + 2], marks[i + 2]);
+    }
+  });
+
+  // 停戦協定の非武装地帯 (斜線で重ねる)
+  if (dmzRects.length > 0) {
+    ctx.beginPath();
+    for (let i = 0; i < dmzRects.length; i += 4) {
+      ctx.rect(dmzRects[i], dmzRects[i + 1], dmzRects[i + 2], dmzRects[i + 3]);
+    }
+    ctx.fillStyle = "rgba(0, 0, 0, 0.25)";
+    ctx.fill();
+    ctx.fillStyle = getDmzPattern(ctx);
+    ctx.fill();
+  }
+
+  // 補給線が途絶したマス (赤く重ねる)
+  if (cutOffRects.length > 0) {
+    ctx.fillStyle = "rgba(220, 38, 38, 0.4)";
+    for (let i = 0; i < cutOffRects.length; i += 4) {
+      ctx.fillRect(
+        cutOffRects[i],
+        cutOffRects[i + 1],
+        cutOffRects[i + 2],
+        cutOffRects[i + 3],
+      );
+    }
+  }
+
+  // 設置物のアイコン (タイル中央に描画)
+  if (structureIcons.length > 0) {
+    ctx.font = `${Math.floor(tileSize * 0.7)}px sans-serif`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    for (let i = 0; i < structureIcons.length; i += 3) {
+      const icon = STRUCTURE_ICONS[structureIcons[i + 2]];
+      if (!icon) continue;
+      ctx.fillText(
+        icon,
+        structureIcons[i] + tileSize / 2,
+        structureIcons[i + 1] + tileSize / 2,
+      );
+    }
+  }
+
   // 塗装数モード時の勢力境界線
   if (factionBorderRects.length > 0) {
     ctx.strokeStyle = "rgba(0, 0, 0, 0.4)"; // [OPTIMIZED] Lighter borders
@@ -589,6 +738,10 @@ self.onmessage = function (e) {
       if (d.alliances) cachedAlliances = d.alliances;
       if (d.playerColors) cachedPlayerColors = d.playerColors;
       if (d.theme) Object.assign(cachedTheme, d.theme);
+      if (d.terrain) terrainView = d.terrain;
+      if (d.dmz !== undefined) dmzView = d.dmz;
+      if (d.cutOff !== undefined) cutOffView = d.cutOff;
+      if (d.structures !== undefined) structureView = d.structures;
     } else if (type === "RENDER_CHUNKS") {
       renderChunks(data);
       self.postMessage({ type: "RENDER_COMPLETE", success: true });
@@ -0,0 +1,323 @@
+/**
+ * アニメーション画像エンコーダー (GIF / APNG)
+ * 外部バイナリを使わずに RGBA のフレーム列から書き出す。タイムラプスの書き出しで使用する
+ *
+ * 使い方:
+ *   const encoder = createAnimationEncoder("gif", width, height);
+ *   encoder.addFrame(rgba, delayMs); // rgba: Uint8ClampedArray (width * height * 4)
+ *   const buffer = encoder.finish();
+ */
+
+const zlib = require("zlib");
+
+// ===== GIF =====
+
+const GIF_MAX_COLORS = 256;
+const LZW_MIN_CODE_SIZE = 8;
+const LZW_MAX_CODE = 4096;
+
+/**
+ * フレームを 256 色に減色
+ * RGB 各 5bit のバケットで出現数を数え、多い順に 256 色をパレットにする。
+ * マップは勢力色の単色領域が大半なので、ラベルのアンチエイリアス部分以外はほぼ元の色になる
+ * @returns {{ palette: Uint8Array, indices: Uint8Array }}
+ */
+function quantizeFrame(rgba, pixelCount) {
+  const counts = new Uint32Array(32768);
+  const sums = new Float64Array(32768 * 3);
+  const keys = new Uint16Array(pixelCount);
+
+  for (let i = 0; i < pixelCount; i++) {
+    const r = rgba[i * 4];
+    const g = rgba[i * 4 + 1];
+    const b = rgba[i * 4 + 2];
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    keys[i] = key;
+    counts[key]++;
+    sums[key * 3] += r;
+    sums[key * 3 + 1] += g;
+    sums[key * 3 + 2] += b;
+  }
+
+  const used = [];
+  for (let key = 0; key < 32768; key++) {
+    if (counts[key] > 0) used.push(key);
+  }
+  used.sort((a, b) => counts[b] - counts[a]);
+  const chosen = used.slice(0, GIF_MAX_COLORS);
+
+  const palette = new Uint8Array(GIF_MAX_COLORS * 3);
+  chosen.forEach((key, idx) => {
+    palette[idx * 3] = Math.round(sums[key * 3] / counts[key]);
+    palette[idx * 3 + 1] = Math.round(sums[key * 3 + 1] / counts[key]);
+    palette[idx * 3 + 2] = Math.round(sums[key * 3 + 2] / counts[key]);
+  });
+
+  // バケット -> パレット番号 (パレット外のバケットは最も近い色)
+  const lookup = new Int16Array(32768).fill(-1);
+  chosen.forEach((key, idx) => (lookup[key] = idx));
+  for (let u = chosen.length; u < used.length; u++) {
+    const key = used[u];
+    const r = sums[key * 3] / counts[key];
+    const g = sums[key * 3 + 1] / counts[key];
+    const b = sums[key * 3 + 2] / counts[key];
+    let best = 0;
+    let bestDist = Infinity;
+    for (let idx = 0; idx < chosen.length; idx++) {
+      const dr = palette[idx * 3] - r;
+      const dg = palette[idx * 3 + 1] - g;
+      const db = palette[idx * 3 + 2] - b;
+      const dist = dr * dr + dg * dg + db * db;
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = idx;
+      }
+    }
+    lookup[key] = best;
+  }
+
+  const indices = new Uint8Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) indices[i] = lookup[keys[i]];
+  return { palette, indices };
+}
+
+/**
+ * GIF の LZW 圧縮 (可変長コード, LSB ファースト) をサブブロック形式で出力
+ */
+function lzwEncode(indices) {
+  const clearCode = 1 << LZW_MIN_CODE_SIZE;
+  const eoiCode = clearCode + 1;
+  // (prefix コード << 8 | 次の値) -> 登録済みコード (0 は未登録)
+  const table = new Uint16Array(LZW_MAX_CODE * 256);
+  const usedKeys = [];
+
+  const bytes = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let codeSize = LZW_MIN_CODE_SIZE + 1;
+  let nextCode = eoiCode + 1;
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = table[key];
+    if (code) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === LZW_MAX_CODE) {
+      emit(clearCode);
+      usedKeys.forEach((used) => (table[used] = 0));
+      usedKeys.length = 0;
+      codeSize = LZW_MIN_CODE_SIZE + 1;
+      nextCode = eoiCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table[key] = nextCode++;
+      usedKeys.push(key);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoiCode);
+  if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+
+  const blockCount = Math.ceil(bytes.length / 255);
+  const out = Buffer.alloc(1 + bytes.length + blockCount + 1);
+  out[0] = LZW_MIN_CODE_SIZE;
+  let pos = 1;
+  for (let start = 0; start < bytes.length; start += 255) {
+    const chunk = bytes.slice(start, start + 255);
+    out[pos++] = chunk.length;
+    out.set(chunk, pos);
+    pos += chunk.length;
+  }
+  out[pos] = 0; // ブロック終端
+  return out;
+}
+
+function createGifEncoder(width, height) {
+  const pixelCount = width * height;
+  const parts = [];
+
+  const header = Buffer.alloc(13);
+  header.write("GIF89a", 0, "ascii");
+  header.writeUInt16LE(width, 6);
+  header.writeUInt16LE(height, 8);
+  // グローバルカラーテーブルなし (フレームごとにローカルパレットを持つ)
+  parts.push(header);
+
+  // NETSCAPE2.0 拡張 (無限ループ)
+  parts.push(
+    Buffer.concat([
+      Buffer.from([0x21, 0xff, 0x0b]),
+      Buffer.from("NETSCAPE2.0", "ascii"),
+      Buffer.from([0x03, 0x01, 0x00, 0x00, 0x00]),
+    ]),
+  );
+
+  function addFrame(rgba, delayMs) {
+    const { palette, indices } = quantizeFrame(rgba, pixelCount);
+
+    // Graphic Control Extension (遅延は 1/100 秒単位)
+    const gce = Buffer.from([0x21, 0xf9, 0x04, 0x04, 0, 0, 0, 0]);
+    gce.writeUInt16LE(Math.max(2, Math.round(delayMs / 10)), 4);
+
+    const descriptor = Buffer.alloc(10);
+    descriptor[0] = 0x2c;
+    descriptor.writeUInt16LE(width, 5);
+    descriptor.writeUInt16LE(height, 7);
+    descriptor[9] = 0x80 | 0x07; // ローカルカラーテーブルあり, 256 色
+
+    parts.push(gce, descriptor, Buffer.from(palette), lzwEncode(indices));
+  }
+
+  function finish() {
+    parts.push(Buffer.from([0x3b]));
+    return Buffer.concat(parts);
+  }
+
+  return { addFrame, finish };
+}
+
+// ===== APNG =====
+
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffers) {
+  let crc = 0xffffffff;
+  buffers.forEach((buf) => {
+    for (let i = 0; i < buf.length; i++) {
+      crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+    }
+  });
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const typeBuf = Buffer.from(type, "ascii");
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32([typeBuf, data]));
+  return Buffer.concat([length, typeBuf, data, crc]);
+}
+
+function createApngEncoder(width, height) {
+  const frames = []; // { data: Buffer (deflate 済み), delayMs }
+
+  function addFrame(rgba, delayMs) {
+    // RGB + 行頭のフィルタ種別 (0 = None)
+    const stride = width * 3 + 1;
+    const raw = Buffer.alloc(stride * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const src = (y * width + x) * 4;
+        const dst = y * stride + 1 + x * 3;
+        raw[dst] = rgba[src];
+        raw[dst + 1] = rgba[src + 1];
+        raw[dst + 2] = rgba[src + 2];
+      }
+    }
+    frames.push({ data: zlib.deflateSync(raw), delayMs });
+  }
+
+  function finish() {
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8; // bit depth
+    ihdr[9] = 2; // truecolor (RGB)
+
+    const actl = Buffer.alloc(8);
+    actl.writeUInt32BE(frames.length, 0);
+    actl.writeUInt32BE(0, 4); // 無限ループ
+
+    const parts = [
+      PNG_SIGNATURE,
+      pngChunk("IHDR", ihdr),
+      pngChunk("acTL", actl),
+    ];
+    let sequence = 0;
+    frames.forEach((frame, i) => {
+      const fctl = Buffer.alloc(26);
+      fctl.writeUInt32BE(sequence++, 0);
+      fctl.writeUInt32BE(width, 4);
+      fctl.writeUInt32BE(height, 8);
+      fctl.writeUInt16BE(Math.round(frame.delayMs), 20);
+      fctl.writeUInt16BE(1000, 22); // 遅延はミリ秒単位
+      parts.push(pngChunk("fcTL", fctl));
+
+      if (i === 0) {
+        parts.push(pngChunk("IDAT", frame.data));
+      } else {
+        const seq = Buffer.alloc(4);
+        seq.writeUInt32BE(sequence++);
+        parts.push(pngChunk("fdAT", Buffer.concat([seq, frame.data])));
+      }
+    });
+    parts.push(pngChunk("IEND", Buffer.alloc(0)));
+    return Buffer.concat(parts);
+  }
+
+  return { addFrame, finish };
+}
+
+// ===== 共通 =====
+
+const ANIMATION_FORMATS = {
+  gif: {
+    label: "GIF",
+    ext: ".gif",
+    mime: "image/gif",
+    create: createGifEncoder,
+  },
+  apng: {
+    label: "APNG",
+    ext: ".png",
+    mime: "image/apng",
+    create: createApngEncoder,
+  },
+};
+
+/**
+ * 形式を指定してエンコーダーを作成
+ * @param {"gif"|"apng"} format
+ * @returns {{ addFrame: (rgba: Uint8ClampedArray, delayMs: number) => void, finish: () => Buffer }}
+ */
+function createAnimationEncoder(format, width, height) {
+  const entry = ANIMATION_FORMATS[format];
+  if (!entry) throw new Error(`未対応の形式です: ${format}`);
+  return entry.create(width, height);
+}
+
+module.exports = {
+  ANIMATION_FORMATS,
+  createAnimationEncoder,
+};
@@ -0,0 +1,146 @@
+/**
+ * cron 形式 (分 時 日 月 曜日) のスケジュール判定
+ * 定期実行ジョブ (scheduledJobs) で使用する。時刻はサーバーのローカル時刻で評価する
+ *
+ * 対応書式: "*", "*\/n", "a", "a-b", "a-b/n", カンマ区切りの組み合わせ
+ * 曜日は 0-6 (0 = 日曜, 7 も日曜として扱う)
+ */
+
+const FIELD_RANGES = [
+  { name: "分", min: 0, max: 59 },
+  { name: "時", min: 0, max: 23 },
+  { name: "日", min: 1, max: 31 },
+  { name: "月", min: 1, max: 12 },
+  { name: "曜日", min: 0, max: 7 },
+];
+
+// 次回実行時刻の探索上限 (1年 + 1日分の分数)
+const MAX_SEARCH_MINUTES = 366 * 24 * 60;
+
+// 各月の最大日数 (2月はうるう年の 29 日)
+const MAX_DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// 数字のみの文字列を整数に変換 ("1x" などは NaN)
+function parseNumber(text) {
+  return /^\d+$/.test(text) ? Number(text) : NaN;
+}
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  text.split(",").forEach((part) => {
+    const [rangePart, stepPart, extra] = part.split("/");
+    if (extra !== undefined) {
+      throw new Error(`${name}の書式が不正です: ${part}`);
+    }
+    const step = stepPart === undefined ? 1 : parseNumber(stepPart);
+    if (isNaN(step) || step < 1) {
+      throw new Error(`${name}の間隔が不正です: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (rangePart === "*") {
+      start = min;
+      end = max;
+    } else if (rangePart.includes("-")) {
+      const bounds = rangePart.split("-");
+      start = bounds.length === 2 ? parseNumber(bounds[0]) : NaN;
+      end = bounds.length === 2 ? parseNumber(bounds[1]) : NaN;
+    } else {
+      start = parseNumber(rangePart);
+      end = stepPart === undefined ? start : max;
+    }
+
+    if (isNaN(start) || isNaN(end) || start < min || end > max || start > end) {
+      throw new Error(`${name}の値が範囲外です: ${part}`);
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  });
+
+  return values;
+}
+
+/**
+ * cron 式を解析
+ * @param {string} expr - 例: "0 3 * * 1-5"
+ * @returns {{ minutes: Set, hours: Set, days: Set, months: Set, weekdays: Set, anyDay: boolean, anyWeekday: boolean }}
+ * @throws {Error} 書式が不正な場合、または実行される日がない場合 (例: 2月31日)
+ */
+function parseCron(expr) {
+  const fields = String(expr || "")
+    .trim()
+    .split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(
+      "cron 式は「分 時 日 月 曜日」の5項目で指定してください",
+    );
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((f, i) =>
+    parseField(f, FIELD_RANGES[i]),
+  );
+  if (weekdays.has(7)) weekdays.add(0);
+
+  // 曜日の指定がなければ日と月の組み合わせだけで判定されるため、
+  // 存在する日付が1つもない式は実行されない
+  const anyWeekday = fields[4] === "*";
+  if (anyWeekday) {
+    const hasValidDate = [...months].some((m) =>
+      [...days].some((d) => d <= MAX_DAYS_IN_MONTH[m - 1]),
+    );
+    if (!hasValidDate) {
+      throw new Error("cron 式の日と月の組み合わせに存在する日付がありません");
+    }
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === "*",
+    anyWeekday,
+  };
+}
+
+/**
+ * 指定時刻 (分単位) が cron 式に一致するか
+ * 日と曜日が両方指定された場合は標準の cron と同様にどちらか一致で実行する
+ */
+function cronMatches(parsed, date) {
+  if (!parsed.minutes.has(date.getMinutes())) return false;
+  if (!parsed.hours.has(date.getHours())) return false;
+  if (!parsed.months.has(date.getMonth() + 1)) return false;
+
+  const dayMatch = parsed.days.has(date.getDate());
+  const weekdayMatch = parsed.weekdays.has(date.getDay());
+  if (parsed.anyDay && parsed.anyWeekday) return true;
+  if (parsed.anyDay) return weekdayMatch;
+  if (parsed.anyWeekday) return dayMatch;
+  return dayMatch || weekdayMatch;
+}
+
+/**
+ * 次回の実行時刻を取得
+ * @param {string} expr
+ * @param {Date} from - この時刻より後 (分単位で切り上げ) を探索
+ * @returns {Date|null} 1年以内に一致がなければ null
+ */
+function getNextCronRun(expr, from = new Date()) {
+  const parsed = parseCron(expr);
+  const t = new Date(from);
+  t.setSeconds(0, 0);
+  for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+    t.setMinutes(t.getMinutes() + 1);
+    if (cronMatches(parsed, t)) return new Date(t);
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  cronMatches,
+  getNextCronRun,
+};
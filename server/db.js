@@ -131,6 +131,70 @@ function initDB() {
     )
   `);
 
+  // 11. Tile Events (追記専用のタイル変更ログ: ロールバック・再構築用)
+  // data は変更後のタイル状態 (JSON)。空白化した場合は NULL
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tile_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ts INTEGER NOT NULL,
+      x INTEGER NOT NULL,
+      y INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      factionId TEXT,
+      playerId TEXT,
+      data TEXT
+    )
+  `);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_tile_events_ts ON tile_events(ts)`);
+  db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_tile_events_xy ON tile_events(x, y, id)`,
+  );
+  db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_tile_events_playerId ON tile_events(playerId, ts)`,
+  );
+
+  // 12. Webhook Deliveries (送信ログ兼リトライキュー)
+  // status: pending (送信待ち/再試行待ち) / success / failed (再試行上限到達)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      webhookId TEXT NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      nextAttemptAt INTEGER,
+      lastStatusCode INTEGER,
+      lastError TEXT,
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL
+    )
+  `);
+  db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status, nextAttemptAt)`,
+  );
+  db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhookId ON webhook_deliveries(webhookId, createdAt)`,
+  );
+
+  // 13. Chat Messages (勢力チャット・同盟チャット)
+  // channel: "faction:<factionId>" または "alliance:<allianceId>"
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS chat_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      channel TEXT NOT NULL,
+      senderId TEXT NOT NULL,
+      senderName TEXT NOT NULL,
+      factionId TEXT,
+      content TEXT NOT NULL,
+      mentions TEXT,
+      createdAt INTEGER NOT NULL
+    )
+  `);
+  db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_chat_messages_channel ON chat_messages(channel, id)`,
+  );
+
   console.log("[DB] Database initialized and schema ensured.");
 }
 
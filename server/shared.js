@@ -15,6 +15,297 @@ const NAMED_CELL_BONUS = 20;
 
 const NAMED_CELL_CREATE_COST = 100;
 
+// ===== Terrain =====
+// 地形レイヤー: 1タイル1バイト (index = y * mapSize + x)
+// costModifier はベースコストへの加算値 (最低コストは1)
+const TERRAIN_TYPES = {
+  0: { key: "plain", name: "平地", passable: true, costModifier: 0 },
+  1: { key: "water", name: "水域", passable: false, costModifier: 0 },
+  2: { key: "mountain", name: "山岳", passable: true, costModifier: 2 },
+  3: { key: "forest", name: "森林", passable: true, costModifier: 1 },
+  4: { key: "road", name: "道路", passable: true, costModifier: -1 },
+};
+
+/**
+ * 地形情報を取得 (管理者設定のコスト上書きを反映)
+ * @param {number} type - 地形タイプ (0-4)
+ * @param {Object} terrainSettings - { costModifiers: { mountain: 2, ... } }
+ * @returns {{ key: string, name: string, passable: boolean, costModifier: number }}
+ */
+function getTerrainInfo(type, terrainSettings = {}) {
+  const base = TERRAIN_TYPES[type] || TERRAIN_TYPES[0];
+  const override = terrainSettings?.costModifiers?.[base.key];
+  if (typeof override === "number" && !Number.isNaN(override)) {
+    return { ...base, costModifier: override };
+  }
+  return base;
+}
+
+/**
+ * 地形によるコスト補正を適用
+ * @param {number} baseCost
+ * @param {number} type - 地形タイプ
+ * @param {Object} terrainSettings
+ * @returns {number}
+ */
+function applyTerrainCost(baseCost, type, terrainSettings = {}) {
+  if (!type) return baseCost;
+  const info = getTerrainInfo(type, terrainSettings);
+  return Math.max(1, baseCost + info.costModifier);
+}
+
+// ===== Named Cell Types =====
+// ネームドマスの種類ごとの効果 (value・maxPerFaction は管理者設定で上書き可能)
+// 種類のない (導入前に作成された) ネームドマスは効果を持たない
+const NAMED_CELL_ZOC_RADIUS = 5;
+const NAMED_CELL_MAX_CORE_ATTACK_DISCOUNT = 50; // %
+const NAMED_CELL_TYPES = {
+  capital: {
+    name: "首都",
+    effect: "apRegen", // 定期AP補充ごとに所属メンバーへ加算するAP
+    value: 5,
+    maxPerFaction: 1,
+    maxValue: 50,
+  },
+  fortress: {
+    name: "要塞",
+    effect: "zocRadius", // ZOC半径への加算マス数
+    value: 3,
+    maxPerFaction: 0,
+    maxValue: 10,
+  },
+  market: {
+    name: "市場",
+    effect: "coreAttackDiscount", // 敵の中核マスへの攻撃コスト割引率 (%)
+    value: 20,
+    maxPerFaction: 0,
+    maxValue: NAMED_CELL_MAX_CORE_ATTACK_DISCOUNT,
+  },
+  watchtower: {
+    name: "物見櫓",
+    effect: "vision", // 周囲を見通せる半径 (マス)
+    requiresFogOfWar: true, // 効果が視界のみのため、霧が無効の間は作成不可
+    value: 15,
+    maxPerFaction: 0,
+    maxValue: 50,
+  },
+  shrine: {
+    name: "神社",
+    effect: "dailyPoints", // 日次ボーナスで勢力に加算するポイント
+    value: 30,
+    maxPerFaction: 0,
+    maxValue: 500,
+  },
+};
+
+/**
+ * ネームドマスの種類ごとの設定を正規化 (不正値はデフォルトに丸める)
+ * @param {Object} input - system_settings.json の namedCellTypeSettings
+ * @returns {Object} { [type]: { value, maxPerFaction } }
+ */
+function normalizeNamedCellTypeSettings(input) {
+  const src = input && typeof input === "object" ? input : {};
+  const result = {};
+  Object.entries(NAMED_CELL_TYPES).forEach(([type, def]) => {
+    const s = src[type] || {};
+    result[type] = {
+      value: clampInt(s.value, 0, def.maxValue, def.value),
+      maxPerFaction: clampInt(s.maxPerFaction, 0, 100, def.maxPerFaction),
+    };
+  });
+  return result;
+}
+
+/**
+ * ネームドマスの種類情報を取得 (管理者設定の上書きを反映)
+ * @param {string} type
+ * @param {Object} typeSettings - namedCellTypeSettings
+ * @returns {Object|null}
+ */
+function getNamedCellTypeInfo(type, typeSettings = {}) {
+  const def = NAMED_CELL_TYPES[type];
+  if (!def) return null;
+  return {
+    ...def,
+    ...normalizeNamedCellTypeSettings(typeSettings)[type],
+    key: type,
+  };
+}
+
+/**
+ * ネームドマスのZOC半径 (要塞は拡大される)
+ */
+function getNamedCellZocRadius(cell, typeSettings = {}) {
+  const info = getNamedCellTypeInfo(cell?.type, typeSettings);
+  return info?.effect === "zocRadius"
+    ? NAMED_CELL_ZOC_RADIUS + info.value
+    : NAMED_CELL_ZOC_RADIUS;
+}
+
+/**
+ * 勢力が保有するネームドマスの効果の合計値
+ * @param {Object} namedCells
+ * @param {string} factionId
+ * @param {string} effect - NAMED_CELL_TYPES の effect ("apRegen" など)
+ * @param {Object} typeSettings
+ * @returns {number}
+ */
+function getFactionNamedCellEffect(
+  namedCells,
+  factionId,
+  effect,
+  typeSettings,
+) {
+  if (!namedCells || !factionId) return 0;
+  const settings = normalizeNamedCellTypeSettings(typeSettings);
+  let total = 0;
+  for (const cell of Object.values(namedCells)) {
+    if (cell?.factionId !== factionId) continue;
+    const def = NAMED_CELL_TYPES[cell.type];
+    if (def && def.effect === effect) total += settings[cell.type].value;
+  }
+  return total;
+}
+
+// ===== Structures =====
+// 設置物レイヤー: 1タイル4バイト (index = y * mapSize + x)
+// 0: 種類 (0 = なし), 1: 予約, 2-3: 建設した勢力の index (Uint16)
+// 建設した勢力がそのマスを所有している間だけ有効 (奪われると無効になる)
+const STRUCTURE_BYTE_SIZE = 4;
+const STRUCTURE_TYPES = {
+  1: {
+    key: "wall",
+    name: "城壁",
+    icon: "🧱",
+    cost: 20,
+    value: 2, // 敵がこのマスを塗るコストへの加算
+    maxPerFaction: 0,
+  },
+  2: {
+    key: "outpost",
+    name: "前哨基地",
+    icon: "⛺",
+    cost: 50,
+    value: 0, // 飛び地の距離計算で中核マスと同じ基準点になる
+    maxPerFaction: 5,
+  },
+  3: {
+    key: "beacon",
+    name: "狼煙台",
+    icon: "🗼",
+    cost: 30,
+    value: 2, // 周囲に張る ZOC の半径
+    maxPerFaction: 10,
+  },
+};
+
+/**
+ * 設置物の種類 ID を取得 (不明な種類は 0)
+ * @param {string} key - "wall" / "outpost" / "beacon"
+ * @returns {number}
+ */
+function getStructureTypeId(key) {
+  const entry = Object.entries(STRUCTURE_TYPES).find(
+    ([, def]) => def.key === key,
+  );
+  return entry ? Number(entry[0]) : 0;
+}
+
+/**
+ * マスの有効な設置物の種類 ID (なし・建設した勢力がマスを失った場合は 0)
+ * @param {DataView} structureView - 設置物レイヤー
+ * @param {DataView} mapView - マップSAB
+ * @param {number} index - y * mapSize + x
+ * @returns {number}
+ */
+function getActiveStructureType(structureView, mapView, index) {
+  if (!structureView || !mapView) return 0;
+  const offset = index * STRUCTURE_BYTE_SIZE;
+  const type = structureView.getUint8(offset);
+  if (!type) return 0;
+  const ownerIdx = structureView.getUint16(offset + 2, true);
+  const fidIdx = mapView.getUint16(index * TILE_BYTE_SIZE, true);
+  return ownerIdx === fidIdx ? type : 0;
+}
+
+// ===== Scoring Profiles =====
+// 領土ポイントの計算方式 (管理画面からシーズンごとに選択)
+// gradient: 中央の特別エリアから距離に応じて減衰 (従来方式)
+// flat:     全マス同一ポイント
+// hotspots: 複数のホットスポットから距離に応じて減衰
+// custom:   アップロードされたポイントマップ (1タイル1バイト, index = y * mapSize + x)
+const SCORING_PROFILE_TYPES = ["gradient", "flat", "hotspots", "custom"];
+const MAX_HOTSPOTS = 32;
+const MAX_TILE_POINTS = 255;
+
+const DEFAULT_SCORING_PROFILE = {
+  type: "gradient",
+  maxPoints: MAX_POINTS,
+  minPoints: MIN_POINTS,
+  gradientStep: GRADIENT_STEP,
+  namedCellBonus: NAMED_CELL_BONUS,
+  flatPoints: 1,
+  basePoints: MIN_POINTS,
+  hotspots: [],
+};
+
+// プロセス (メインスレッド / 各Worker) ごとの現在のプロファイル
+let activeScoringProfile = DEFAULT_SCORING_PROFILE;
+let activePointMap = null;
+
+function clampInt(value, min, max, fallback) {
+  const n = parseInt(value, 10);
+  if (isNaN(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+/**
+ * スコアリングプロファイルを正規化 (不正値はデフォルトに丸める)
+ * @param {Object} input - system_settings.json の scoringSettings
+ * @returns {Object}
+ */
+function normalizeScoringProfile(input) {
+  const src = input && typeof input === "object" ? input : {};
+  const d = DEFAULT_SCORING_PROFILE;
+  const type = SCORING_PROFILE_TYPES.includes(src.type) ? src.type : d.type;
+  const maxPoints = clampInt(src.maxPoints, 1, MAX_TILE_POINTS, d.maxPoints);
+  const minPoints = clampInt(src.minPoints, 0, maxPoints, d.minPoints);
+  const hotspots = (Array.isArray(src.hotspots) ? src.hotspots : [])
+    .slice(0, MAX_HOTSPOTS)
+    .map((h) => ({
+      x: clampInt(h?.x, 0, 100000, null),
+      y: clampInt(h?.y, 0, 100000, null),
+      radius: clampInt(h?.radius, 0, 100000, 0),
+      points: clampInt(h?.points, 0, MAX_TILE_POINTS, 0),
+    }))
+    .filter((h) => h.x !== null && h.y !== null);
+
+  return {
+    type,
+    maxPoints,
+    minPoints,
+    gradientStep: clampInt(src.gradientStep, 1, 1000, d.gradientStep),
+    namedCellBonus: clampInt(src.namedCellBonus, 0, 10000, d.namedCellBonus),
+    flatPoints: clampInt(src.flatPoints, 0, MAX_TILE_POINTS, d.flatPoints),
+    basePoints: clampInt(src.basePoints, 0, MAX_TILE_POINTS, d.basePoints),
+    hotspots,
+  };
+}
+
+/**
+ * 現在のプロセスで使用するプロファイルを設定
+ * @param {Object} profile - scoringSettings
+ * @param {Uint8Array|null} pointMap - custom 用ポイントマップ
+ */
+function setScoringProfile(profile, pointMap = null) {
+  activeScoringProfile = normalizeScoringProfile(profile);
+  activePointMap = pointMap || null;
+}
+
+function getScoringProfile() {
+  return activeScoringProfile;
+}
+
 // ===== Helper Functions =====
 function getSpecialTileRange(mapSize) {
   const center = Math.floor(mapSize / 2);
@@ -30,14 +321,23 @@ function isSpecialTile(x, y, mapSize = 500) {
 }
 
 /**
- * Calculate tile points (Gradient system)
+ * Calculate tile points (スコアリングプロファイルに従う)
  * @param {number} x
  * @param {number} y
  * @param {number} mapSize
  * @param {Object} namedCells
+ * @param {Object} profile - 省略時は setScoringProfile で設定されたもの
+ * @param {Uint8Array} pointMap - custom プロファイル用 (省略時は現在のもの)
  * @returns {number}
  */
-function getTilePoints(x, y, mapSize, namedCells = null) {
+function getTilePoints(
+  x,
+  y,
+  mapSize,
+  namedCells = null,
+  profile = activeScoringProfile,
+  pointMap = activePointMap,
+) {
   if (mapSize === undefined) {
     console.warn(
       "[shared] getTilePoints: mapSize is undefined. Defaulting to 500.",
@@ -46,27 +346,47 @@ function getTilePoints(x, y, mapSize, namedCells = null) {
   }
   let basePoints;
 
-  const { min, max } = getSpecialTileRange(mapSize);
-
-  if (x >= min && x <= max && y >= min && y <= max) {
-    // Inside special tile area
-    basePoints = MAX_POINTS;
+  if (profile.type === "flat") {
+    basePoints = profile.flatPoints;
+  } else if (profile.type === "hotspots") {
+    // 最も高いホットスポットの値を採用 (半径の外側は basePoints)
+    basePoints = profile.basePoints;
+    for (const h of profile.hotspots) {
+      const distance = Math.max(Math.abs(x - h.x), Math.abs(y - h.y));
+      if (distance > h.radius) continue;
+      const falloff =
+        ((h.points - profile.basePoints) * distance) / (h.radius + 1);
+      const pts = Math.round(h.points - falloff);
+      if (pts > basePoints) basePoints = pts;
+    }
+  } else if (profile.type === "custom") {
+    basePoints = pointMap ? pointMap[y * mapSize + x] || 0 : profile.minPoints;
   } else {
-    // Calculate distance from special tile area
-    const distX = x < min ? min - x : x > max ? x - max : 0;
-    const distY = y < min ? min - y : y > max ? y - max : 0;
-    const distance = Math.max(distX, distY);
-
-    // Decrease 1 point every GRADIENT_STEP tiles
-    const reduction = Math.floor((distance - 1) / GRADIENT_STEP);
-    basePoints = Math.max(MIN_POINTS, 9 - reduction);
+    const { min, max } = getSpecialTileRange(mapSize);
+
+    if (x >= min && x <= max && y >= min && y <= max) {
+      // Inside special tile area
+      basePoints = profile.maxPoints;
+    } else {
+      // Calculate distance from special tile area
+      const distX = x < min ? min - x : x > max ? x - max : 0;
+      const distY = y < min ? min - y : y > max ? y - max : 0;
+      const distance = Math.max(distX, distY);
+
+      // Decrease 1 point every gradientStep tiles
+      const reduction = Math.floor((distance - 1) / profile.gradientStep);
+      basePoints = Math.max(
+        profile.minPoints,
+        profile.maxPoints - 1 - reduction,
+      );
+    }
   }
 
   // ネームドセルボーナス
   if (namedCells) {
     const key = `${x}_${y}`;
     if (namedCells[key]) {
-      basePoints += NAMED_CELL_BONUS;
+      basePoints += profile.namedCellBonus;
     }
   }
 
@@ -300,8 +620,27 @@ module.exports = {
   GRADIENT_STEP,
   NAMED_CELL_BONUS,
   NAMED_CELL_CREATE_COST,
+  TERRAIN_TYPES,
+  getTerrainInfo,
+  applyTerrainCost,
+  NAMED_CELL_ZOC_RADIUS,
+  NAMED_CELL_MAX_CORE_ATTACK_DISCOUNT,
+  NAMED_CELL_TYPES,
+  normalizeNamedCellTypeSettings,
+  getNamedCellTypeInfo,
+  getNamedCellZocRadius,
+  getFactionNamedCellEffect,
+  STRUCTURE_BYTE_SIZE,
+  STRUCTURE_TYPES,
+  getStructureTypeId,
+  getActiveStructureType,
   isSpecialTile,
   getTilePoints,
+  SCORING_PROFILE_TYPES,
+  DEFAULT_SCORING_PROFILE,
+  normalizeScoringProfile,
+  setScoringProfile,
+  getScoringProfile,
   LockManager,
   calculateFactionPoints,
   getTop3AllianceIds,
@@ -0,0 +1,374 @@
+/**
+ * タイムラプス用フレーム形式 (キーフレーム + 差分)
+ *
+ * 1フレーム = 1スナップショット。タイルは TMAP と同じ 24 bytes レイアウトで格納するが、
+ * 勢力/プレイヤーのインデックスはフレーム列内のローカル辞書 (キーフレームでリセット) を指す。
+ * デコードはクライアント (client/src/utils/timelapse.js) と書き出し用のワーカーで行う。
+ *
+ * ヘッダー (32 bytes, 非圧縮)
+ *   0  "TLFR"
+ *   4  u8  version
+ *   5  u8  kind (0 = キーフレーム, 1 = 差分)
+ *   6  u16 mapSize
+ *   8  f64 timestamp
+ *   16 f64 baseTimestamp (差分の基準フレームの timestamp, キーフレームは 0)
+ *   24 u32 body の圧縮後サイズ
+ *   28 u32 body の展開後サイズ
+ * body (deflate-raw)
+ *   u16 追加勢力数 + [u16 len, utf8 id]...
+ *   u32 追加プレイヤー数 + [u16 len, utf8 id]...
+ *   u32 len + 勢力メタ情報 JSON ({ [factionId]: { name, color, allianceId } })
+ *   u32 変更タイル数 + [u32 index, 24 bytes tile]...
+ */
+
+const zlib = require("zlib");
+
+const FRAME_MAGIC = "TLFR";
+const FRAME_VERSION = 1;
+const FRAME_HEADER_SIZE = 32;
+const FRAME_KIND_KEY = 0;
+const FRAME_KIND_DELTA = 1;
+const TILE_BYTE_SIZE = 24;
+const EMPTY_FACTION = 65535;
+const EMPTY_COLOR = 0xffffff;
+
+// キーフレーム間隔 (15分ごとの保存で6時間)
+const DEFAULT_KEYFRAME_INTERVAL = 24;
+
+/**
+ * タイル JSON (map_state.json 形式) をフレーム用のタイル情報に変換
+ * @returns {{ factionId, color, paintedBy, overpaint, flags, expiry, paintedAt }|null}
+ */
+function tileRecordFromJSON(tile) {
+  if (!tile) return null;
+  const factionId = tile.factionId || tile.faction;
+  if (!factionId) return null;
+
+  let color = parseInt(
+    String(tile.customColor || tile.color || "#ffffff").replace("#", ""),
+    16,
+  );
+  if (Number.isNaN(color)) color = EMPTY_COLOR;
+
+  let flags = 0;
+  let expiry = 0;
+  if (tile.core) {
+    flags |= 1;
+    expiry = new Date(tile.core.expiresAt || 0).getTime();
+  }
+  if (tile.coreificationUntil) {
+    flags |= 2;
+    expiry = new Date(tile.coreificationUntil).getTime();
+  }
+  if (Number.isNaN(expiry)) expiry = 0;
+
+  return {
+    factionId,
+    color,
+    paintedBy: tile.paintedBy || null,
+    overpaint: tile.overpaint || 0,
+    flags,
+    expiry,
+    paintedAt: tile.paintedAt
+      ? Math.floor(new Date(tile.paintedAt).getTime() / 1000) || 0
+      : 0,
+  };
+}
+
+function writeEmptyTile(view, offset) {
+  view.setUint16(offset, EMPTY_FACTION, true);
+  view.setUint32(offset + 2, EMPTY_COLOR, true);
+  view.setUint32(offset + 6, 0, true);
+  view.setUint8(offset + 10, 0);
+  view.setUint8(offset + 11, 0);
+  view.setFloat64(offset + 12, 0, true);
+  view.setUint32(offset + 20, 0, true);
+}
+
+/**
+ * フレームエンコーダーを作成
+ * 直前フレームの状態を保持し、キーフレーム間隔ごとに辞書と状態をリセットする
+ * @param {number} mapSize
+ * @param {number} keyframeInterval
+ */
+function createTimelapseEncoder(
+  mapSize,
+  keyframeInterval = DEFAULT_KEYFRAME_INTERVAL,
+) {
+  const tileCount = mapSize * mapSize;
+  let previous = null; // Uint8Array (tileCount * 24)
+  let previousTimestamp = 0;
+  let framesSinceKey = 0;
+  let factionIds = [];
+  let playerIds = [];
+  let factionIndex = new Map();
+  let playerIndex = new Map();
+
+  function resetDictionary() {
+    factionIds = [];
+    playerIds = [];
+    factionIndex = new Map();
+    playerIndex = new Map();
+  }
+
+  function getIndex(id, list, map) {
+    if (map.has(id)) return map.get(id);
+    list.push(id);
+    map.set(id, list.length - 1);
+    return list.length - 1;
+  }
+
+  /**
+   * 1フレームをエンコード
+   * @param {(i: number) => Object|null} readTile - タイルインデックスからタイル情報を取得
+   * @param {Object} options
+   * @param {number} options.timestamp
+   * @param {Object} options.factions - 勢力メタ情報
+   * @param {boolean} [options.forceKeyframe]
+   * @returns {{ buffer: Buffer, kind: number }}
+   */
+  function encodeFrame(readTile, { timestamp, factions, forceKeyframe }) {
+    const isKey =
+      forceKeyframe || !previous || framesSinceKey >= keyframeInterval - 1;
+    if (isKey) resetDictionary();
+
+    const factionStart = factionIds.length;
+    const playerStart = playerIds.length;
+    const next = new Uint8Array(tileCount * TILE_BYTE_SIZE);
+    const view = new DataView(next.buffer);
+
+    for (let i = 0; i < tileCount; i++) {
+      const offset = i * TILE_BYTE_SIZE;
+      const rec = readTile(i);
+      if (!rec) {
+        writeEmptyTile(view, offset);
+        continue;
+      }
+      const pIdx = rec.paintedBy
+        ? getIndex(rec.paintedBy, playerIds, playerIndex) + 1
+        : 0;
+      view.setUint16(
+        offset,
+        getIndex(rec.factionId, factionIds, factionIndex),
+        true,
+      );
+      view.setUint32(offset + 2, rec.color, true);
+      view.setUint32(offset + 6, pIdx, true);
+      view.setUint8(offset + 10, rec.overpaint);
+      view.setUint8(offset + 11, rec.flags);
+      view.setFloat64(offset + 12, rec.expiry, true);
+      view.setUint32(offset + 20, rec.paintedAt, true);
+    }
+
+    // 変更タイルの抽出 (キーフレームは空のマップからの差分として扱う)
+    const changed = [];
+    for (let i = 0; i < tileCount; i++) {
+      const offset = i * TILE_BYTE_SIZE;
+      if (isKey) {
+        if (view.getUint16(offset, true) !== EMPTY_FACTION) changed.push(i);
+        continue;
+      }
+      for (let b = 0; b < TILE_BYTE_SIZE; b++) {
+        if (next[offset + b] !== previous[offset + b]) {
+          changed.push(i);
+          break;
+        }
+      }
+    }
+
+    const toBuffer = (id) => Buffer.from(id);
+    const newFactions = factionIds.slice(factionStart).map(toBuffer);
+    const newPlayers = playerIds.slice(playerStart).map(toBuffer);
+    const meta = Buffer.from(JSON.stringify(factions || {}));
+
+    let bodySize = 2 + 4 + 4 + meta.length + 4;
+    newFactions.forEach((b) => (bodySize += 2 + b.length));
+    newPlayers.forEach((b) => (bodySize += 2 + b.length));
+    bodySize += changed.length * (4 + TILE_BYTE_SIZE);
+
+    const body = Buffer.allocUnsafe(bodySize);
+    let pos = 0;
+    body.writeUInt16LE(newFactions.length, pos);
+    pos += 2;
+    newFactions.forEach((b) => {
+      body.writeUInt16LE(b.length, pos);
+      b.copy(body, pos + 2);
+      pos += 2 + b.length;
+    });
+    body.writeUInt32LE(newPlayers.length, pos);
+    pos += 4;
+    newPlayers.forEach((b) => {
+      body.writeUInt16LE(b.length, pos);
+      b.copy(body, pos + 2);
+      pos += 2 + b.length;
+    });
+    body.writeUInt32LE(meta.length, pos);
+    meta.copy(body, pos + 4);
+    pos += 4 + meta.length;
+    body.writeUInt32LE(changed.length, pos);
+    pos += 4;
+    changed.forEach((i) => {
+      body.writeUInt32LE(i, pos);
+      body.set(
+        next.subarray(i * TILE_BYTE_SIZE, (i + 1) * TILE_BYTE_SIZE),
+        pos + 4,
+      );
+      pos += 4 + TILE_BYTE_SIZE;
+    });
+
+    const compressed = zlib.deflateRawSync(body);
+    const header = Buffer.alloc(FRAME_HEADER_SIZE);
+    header.write(FRAME_MAGIC, 0);
+    header.writeUInt8(FRAME_VERSION, 4);
+    header.writeUInt8(isKey ? FRAME_KIND_KEY : FRAME_KIND_DELTA, 5);
+    header.writeUInt16LE(mapSize, 6);
+    header.writeDoubleLE(timestamp, 8);
+    header.writeDoubleLE(isKey ? 0 : previousTimestamp, 16);
+    header.writeUInt32LE(compressed.length, 24);
+    header.writeUInt32LE(body.length, 28);
+
+    previous = next;
+    previousTimestamp = timestamp;
+    framesSinceKey = isKey ? 0 : framesSinceKey + 1;
+
+    return {
+      buffer: Buffer.concat([header, compressed]),
+      kind: isKey ? FRAME_KIND_KEY : FRAME_KIND_DELTA,
+    };
+  }
+
+  return { encodeFrame };
+}
+
+/**
+ * フレームヘッダーを読み取る
+ * @param {Buffer} buffer - 先頭 32 bytes 以上
+ * @returns {{ kind, mapSize, timestamp, baseTimestamp, bodyLength }|null} 不正な場合は null
+ */
+function readFrameHeader(buffer) {
+  if (!buffer || buffer.length < FRAME_HEADER_SIZE) return null;
+  if (buffer.toString("ascii", 0, 4) !== FRAME_MAGIC) return null;
+  if (buffer.readUInt8(4) !== FRAME_VERSION) return null;
+  return {
+    kind: buffer.readUInt8(5),
+    mapSize: buffer.readUInt16LE(6),
+    timestamp: buffer.readDoubleLE(8),
+    baseTimestamp: buffer.readDoubleLE(16),
+    bodyLength: buffer.readUInt32LE(24),
+  };
+}
+
+/**
+ * フレームを解析 (body を展開)
+ * @param {Buffer} buffer - ヘッダーを含むフレーム全体
+ * @returns {{ kind, mapSize, timestamp, factionIds, playerIds, factions, changeCount, changes: Buffer }}
+ */
+function decodeFrame(buffer) {
+  const header = readFrameHeader(buffer);
+  if (!header) throw new Error("タイムラプスフレームの形式が不正です");
+  const body = zlib.inflateRawSync(
+    buffer.subarray(FRAME_HEADER_SIZE, FRAME_HEADER_SIZE + header.bodyLength),
+  );
+  let pos = 0;
+
+  const readIds = (count) => {
+    const ids = new Array(count);
+    for (let i = 0; i < count; i++) {
+      const len = body.readUInt16LE(pos);
+      ids[i] = body.toString("utf8", pos + 2, pos + 2 + len);
+      pos += 2 + len;
+    }
+    return ids;
+  };
+
+  const factionCount = body.readUInt16LE(pos);
+  pos += 2;
+  const factionIds = readIds(factionCount);
+  const playerCount = body.readUInt32LE(pos);
+  pos += 4;
+  const playerIds = readIds(playerCount);
+
+  const metaLength = body.readUInt32LE(pos);
+  const factions = JSON.parse(
+    body.toString("utf8", pos + 4, pos + 4 + metaLength),
+  );
+  pos += 4 + metaLength;
+
+  const changeCount = body.readUInt32LE(pos);
+  pos += 4;
+
+  return {
+    ...header,
+    factionIds,
+    playerIds,
+    factions,
+    changeCount,
+    changes: body.subarray(pos, pos + changeCount * (4 + TILE_BYTE_SIZE)),
+  };
+}
+
+/**
+ * フレームデコーダーを作成
+ * フレームを先頭 (キーフレーム) から順に適用し、各時点の盤面を TMAP と同じレイアウトで復元する
+ * @param {number} mapSize
+ */
+function createTimelapseDecoder(mapSize) {
+  const tiles = new Uint8Array(mapSize * mapSize * TILE_BYTE_SIZE);
+  const view = new DataView(tiles.buffer);
+  const state = {
+    view,
+    factionIds: [],
+    playerIds: [],
+    factions: {},
+    timestamp: 0,
+  };
+
+  /**
+   * 1フレームを適用
+   * @param {Buffer} buffer
+   * @returns {Object} state ({ view, factionIds, playerIds, factions, timestamp })
+   */
+  function applyFrame(buffer) {
+    const frame = decodeFrame(buffer);
+    if (frame.mapSize !== mapSize) {
+      throw new Error("マップサイズが異なるフレームです");
+    }
+    if (frame.kind === FRAME_KIND_KEY) {
+      for (let i = 0; i < mapSize * mapSize; i++) {
+        writeEmptyTile(view, i * TILE_BYTE_SIZE);
+      }
+      state.factionIds = [];
+      state.playerIds = [];
+    }
+    state.factionIds = state.factionIds.concat(frame.factionIds);
+    state.playerIds = state.playerIds.concat(frame.playerIds);
+
+    const { changes, changeCount } = frame;
+    for (let n = 0; n < changeCount; n++) {
+      const o = n * (4 + TILE_BYTE_SIZE);
+      const index = changes.readUInt32LE(o);
+      tiles.set(
+        changes.subarray(o + 4, o + 4 + TILE_BYTE_SIZE),
+        index * TILE_BYTE_SIZE,
+      );
+    }
+
+    state.factions = frame.factions;
+    state.timestamp = frame.timestamp;
+    return state;
+  }
+
+  return { applyFrame };
+}
+
+module.exports = {
+  FRAME_HEADER_SIZE,
+  FRAME_KIND_KEY,
+  FRAME_KIND_DELTA,
+  DEFAULT_KEYFRAME_INTERVAL,
+  tileRecordFromJSON,
+  createTimelapseEncoder,
+  createTimelapseDecoder,
+  readFrameHeader,
+  decodeFrame,
+};
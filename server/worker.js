@@ -3,6 +3,8 @@ const fs = require("fs");
 const path = require("path");
 const { createCanvas, registerFont } = require("canvas");
 const shared = require("./shared");
+const { createTimelapseDecoder } = require("./timelapse");
+const { createAnimationEncoder } = require("./animationEncoder");
 const {
   LockManager,
   getTilePoints,
@@ -11,6 +13,15 @@ const {
   isWeakFactionUnified,
   calculateFactionSharedAPLimit,
   isSpecialTile,
+  getTerrainInfo,
+  applyTerrainCost,
+  setScoringProfile,
+  getNamedCellZocRadius,
+  getFactionNamedCellEffect,
+  NAMED_CELL_MAX_CORE_ATTACK_DISCOUNT,
+  STRUCTURE_TYPES,
+  getStructureTypeId,
+  getActiveStructureType,
 } = shared;
 
 const TILE_BYTE_SIZE = shared.TILE_BYTE_SIZE || 24;
@@ -121,6 +132,12 @@ let workerIndexToPlayerId = [];
 // [NEW] Advanced SABs
 let workerZocMapSAB = null;
 let workerZocMapView = null;
+let workerTerrainView = null; // [NEW] 地形レイヤー (Uint8, y * size + x)
+let workerTerrainSettings = {};
+let workerNamedCellTypeSettings = {}; // [NEW] ネームドマスの種類ごとの効果量
+let workerStructureView = null; // [NEW] 設置物レイヤー (4B, y * size + x)
+let workerStructuresVersion = null;
+let workerPointMapView = null; // [NEW] custom スコアリング用ポイントマップ (Uint8, y * size + x)
 let workerFactionStatsSAB = null;
 let workerFactionStatsView = null;
 let MAX_FACTIONS_LIMIT = 2000;
@@ -136,6 +153,15 @@ if (workerData) {
     workerZocMapSAB = workerData.sharedZocMapSAB;
     workerZocMapView = new Uint16Array(workerZocMapSAB);
   }
+  if (workerData.sharedTerrainSAB) {
+    workerTerrainView = new Uint8Array(workerData.sharedTerrainSAB);
+  }
+  if (workerData.sharedStructureSAB) {
+    workerStructureView = new DataView(workerData.sharedStructureSAB);
+  }
+  if (workerData.sharedPointMapSAB) {
+    workerPointMapView = new Uint8Array(workerData.sharedPointMapSAB);
+  }
   if (workerData.factionStatsSAB) {
     workerFactionStatsSAB = workerData.factionStatsSAB;
     workerFactionStatsView = new Int32Array(workerFactionStatsSAB);
@@ -183,6 +209,15 @@ function getTileFromSAB(x, y) {
   };
 }
 
+/**
+ * 地形タイプを取得 (地形レイヤーが無い場合は平地)
+ */
+function getTerrainAt(x, y) {
+  if (!workerTerrainView) return 0;
+  if (x < 0 || x >= MAP_SIZE || y < 0 || y >= MAP_SIZE) return 0;
+  return workerTerrainView[y * MAP_SIZE + x] || 0;
+}
+
 // [OPTIMIZATION] 座標インデックス (2D配列: [y][x] -> tile)
 // 高速な座標アクセスを提供し、文字列キー生成のコストを削減
 let coordinateIndex = null; // Array<Array<Tile | null>>
@@ -327,18 +362,13 @@ function getAlliedFactionIds(factionId, alliances, factions) {
  * @param {Object} namedCells - ネームドマス一覧
  * @param {Object} factions - 勢力一覧
  * @param {Object} alliances - 同盟一覧
- * @returns {Map<string, Object>} ZOC影響マップ (key: "x_y", value: { namedKey, ownerFid, alliedFids })
+ * @returns {Map<string, Object>} ZOC影響マップ (key: "x_y", value: { namedKey, ownerFid, alliedFids, radius })
  */
 function buildZocInfluenceMap(mapState, namedCells, factions, alliances) {
   const zocMap = new Map();
-  const ZOC_RADIUS = 5;
 
-  for (const [nKey, namedData] of Object.entries(namedCells)) {
-    const ncTile = mapState.tiles[nKey];
-    const ownerFid = ncTile ? ncTile.factionId : null;
-    if (!ownerFid) continue; // 無所属のネームドマスはZOCを持たない
-
-    // 所有者の同盟勢力を取得
+  // 所有者の同盟勢力を取得
+  const getOwnerAlliedFids = (ownerFid) => {
     const alliedFids = new Set([ownerFid]);
     const ncFaction = factions.factions ? factions.factions[ownerFid] : null;
     if (
@@ -350,12 +380,25 @@ function buildZocInfluenceMap(mapState, namedCells, factions, alliances) {
         alliedFids.add(m),
       );
     }
+    return alliedFids;
+  };
 
-    // ZOC範囲内の全座標をマップに登録
+  for (const [nKey, namedData] of Object.entries(namedCells)) {
+    const ncTile = mapState.tiles[nKey];
+    const ownerFid = ncTile ? ncTile.factionId : null;
+    if (!ownerFid) continue; // 無所属のネームドマスはZOCを持たない
+
+    const alliedFids = getOwnerAlliedFids(ownerFid);
+
+    // ZOC範囲内の全座標をマップに登録 (要塞は半径が広い)
     const nx = namedData.x;
     const ny = namedData.y;
-    for (let dx = -ZOC_RADIUS; dx <= ZOC_RADIUS; dx++) {
-      for (let dy = -ZOC_RADIUS; dy <= ZOC_RADIUS; dy++) {
+    const radius = getNamedCellZocRadius(
+      namedData,
+      workerNamedCellTypeSettings,
+    );
+    for (let dx = -radius; dx <= radius; dx++) {
+      for (let dy = -radius; dy <= radius; dy++) {
         const tx = nx + dx;
         const ty = ny + dy;
         if (tx < 0 || tx >= MAP_SIZE || ty < 0 || ty >= MAP_SIZE) continue;
@@ -372,12 +415,57 @@ function buildZocInfluenceMap(mapState, namedCells, factions, alliances) {
             namedY: ny,
             ownerFid,
             alliedFids,
+            radius,
           });
         }
       }
     }
   }
 
+  // 狼煙台 (ネームドマスと同じく周囲に ZOC を張る。ネームドマスの ZOC を優先)
+  if (workerStructureView && workerMapView) {
+    const beaconType = getStructureTypeId("beacon");
+    const radius = STRUCTURE_TYPES[beaconType].value;
+    const size = MAP_SIZE;
+    for (let i = 0; i < size * size; i++) {
+      if (
+        getActiveStructureType(workerStructureView, workerMapView, i) !==
+        beaconType
+      ) {
+        continue;
+      }
+      const ownerFid =
+        workerIndexToFactionId[
+          workerMapView.getUint16(i * TILE_BYTE_SIZE, true)
+        ];
+      if (!ownerFid) continue;
+
+      const alliedFids = getOwnerAlliedFids(ownerFid);
+      const bx = i % size;
+      const by = Math.floor(i / size);
+      for (let dx = -radius; dx <= radius; dx++) {
+        for (let dy = -radius; dy <= radius; dy++) {
+          const tx = bx + dx;
+          const ty = by + dy;
+          if (tx < 0 || tx >= size || ty < 0 || ty >= size) continue;
+          if (tx === bx && ty === by) continue;
+
+          const key = `${tx}_${ty}`;
+          if (!zocMap.has(key)) {
+            zocMap.set(key, {
+              namedKey: `${bx}_${by}`,
+              namedX: bx,
+              namedY: by,
+              ownerFid,
+              alliedFids,
+              radius,
+            });
+          }
+        }
+      }
+    }
+  }
+
   return zocMap;
 }
 
@@ -519,7 +607,7 @@ function checkZocWithCache(x, y, targetFactionId, playerFactionId, alliedFids) {
 
   // ZOC適用確定
   let isZocReduced = false;
-  const ZOC_RADIUS = 5;
+  const ZOC_RADIUS = zocData.radius;
 
   // 攻撃側の中核マスがネームドマス射程内にあるかチェック
   for (const fid of alliedFids) {
@@ -681,6 +769,19 @@ function getFactionClusterInfo(
   };
 }
 
+// 有効な停戦協定の非武装地帯 (tileKey -> 停戦相手の勢力ID)
+function getTruceDmzTiles(factionId, truces) {
+  const dmzTiles = new Map();
+  const now = Date.now();
+  Object.values(truces?.truces || {}).forEach((truce) => {
+    if (!truce.dmz?.tiles || !truce.factions?.includes(factionId)) return;
+    if (new Date(truce.expiresAt).getTime() <= now) return;
+    const partnerId = truce.factions.find((fid) => fid !== factionId);
+    truce.dmz.tiles.forEach((key) => dmzTiles.set(key, partnerId));
+  });
+  return dmzTiles;
+}
+
 // 塗装コスト計算
 function calculatePaintCost(
   player,
@@ -695,10 +796,13 @@ function calculatePaintCost(
   coreTileSettings = {}, // [NEW] CoreTile設定
   enclaveSettings = {}, // [NEW] 飛び地制限設定
   extraTilesForClusters = null, // [NEW] 並列化用: クラスタ判定に使用する全タイルリスト
+  truces = null, // 非武装地帯のチェック用
+  coreAttackDiscount = 0, // 市場による中核マス攻撃コストの割引率 (%)
 ) {
   const factionId = player.factionId;
   const faction = (factions.factions || {})[factionId];
   if (!faction) return { error: "Faction not found" };
+  const dmzTiles = getTruceDmzTiles(factionId, truces);
 
   let totalCost = 0;
   let totalPenalty = 0;
@@ -717,6 +821,9 @@ function calculatePaintCost(
 
   // [NEW] 接続性判定のための中心座標の事前抽出 (SAB 優先)
   const validCoreCoords = [];
+  // [NEW] 前哨基地は飛び地の距離計算でのみ中核マスと同じ基準点になる
+  const outpostCoords = [];
+  const outpostType = getStructureTypeId("outpost");
   if (workerMapView) {
     const size = MAP_SIZE;
     for (let y = 0; y < size; y++) {
@@ -731,6 +838,17 @@ function calculatePaintCost(
             validCoreCoords.push({ x, y });
           }
         }
+        if (
+          getActiveStructureType(
+            workerStructureView,
+            workerMapView,
+            y * size + x,
+          ) === outpostType
+        ) {
+          const fid =
+            workerIndexToFactionId[workerMapView.getUint16(offset, true)];
+          if (fid && alliedFids.has(fid)) outpostCoords.push({ x, y });
+        }
       }
     }
   } else {
@@ -849,6 +967,23 @@ function calculatePaintCost(
     const existing = getTileAt(t.x, t.y, mapState);
     const existingFid = existing ? existing.factionId : null;
 
+    // 停戦協定の非武装地帯 (停戦期間中は当事者の両勢力とも塗装できない)
+    if (dmzTiles.has(key)) {
+      const partner = factions.factions[dmzTiles.get(key)];
+      return {
+        error: `(${t.x}, ${t.y}) は勢力「${partner?.name || "不明"}」との停戦協定による非武装地帯のため塗装できません`,
+      };
+    }
+
+    // [NEW] 地形チェック (通行不可の地形には塗装できない)
+    const terrainType = getTerrainAt(t.x, t.y);
+    const terrain = getTerrainInfo(terrainType, workerTerrainSettings);
+    if (!terrain.passable) {
+      return {
+        error: `(${t.x}, ${t.y}) は${terrain.name}のため塗装できません`,
+      };
+    }
+
     if (action === "overpaint") {
       if (existingFid !== factionId)
         return { error: "自勢力の土地以外は重ね塗りできません" };
@@ -951,6 +1086,20 @@ function calculatePaintCost(
         );
         base += overpaintLevel;
 
+        // [NEW] 城壁のあるマスは塗るコストが上がる
+        const wallType = getStructureTypeId("wall");
+        const structureType = getActiveStructureType(
+          workerStructureView,
+          workerMapView,
+          Number(t.y) * MAP_SIZE + Number(t.x),
+        );
+        if (structureType === wallType) {
+          base += STRUCTURE_TYPES[wallType].value;
+        }
+
+        // [NEW] 地形によるコスト補正 (山岳・森林は増加、道路は減少)
+        base = applyTerrainCost(base, terrainType, workerTerrainSettings);
+
         if (
           existing &&
           existing.core &&
@@ -966,6 +1115,11 @@ function calculatePaintCost(
             if (territoryPoints < 50 && factionAgeHours < 3)
               coreMultiplier *= 3;
           }
+          const discount = Math.min(
+            NAMED_CELL_MAX_CORE_ATTACK_DISCOUNT,
+            coreAttackDiscount,
+          );
+          coreMultiplier *= 1 - discount / 100;
           base = Math.round(base * coreMultiplier);
         }
 
@@ -1085,7 +1239,7 @@ function calculatePaintCost(
 
     if (!hasCore && validCoreCoords.length > 0) {
       let minDist = Infinity;
-      for (const core of validCoreCoords) {
+      for (const core of validCoreCoords.concat(outpostCoords)) {
         const d = Math.max(Math.abs(t.x - core.x), Math.abs(t.y - core.y));
         if (d < minDist) minDist = d;
       }
@@ -1174,6 +1328,34 @@ parentPort.on("message", async (msg) => {
   if (data.playerIds) {
     workerIndexToPlayerId = data.playerIds;
   }
+  if (data.terrainSettings) {
+    workerTerrainSettings = data.terrainSettings;
+  }
+  if (data.namedCellTypeSettings) {
+    // 要塞のZOC半径が変わった場合はZOCキャッシュを作り直す
+    if (
+      JSON.stringify(data.namedCellTypeSettings) !==
+      JSON.stringify(workerNamedCellTypeSettings)
+    ) {
+      zocInfluenceCache = null;
+    }
+    workerNamedCellTypeSettings = data.namedCellTypeSettings;
+  }
+  if (
+    data.structuresVersion !== undefined &&
+    data.structuresVersion !== workerStructuresVersion
+  ) {
+    // 狼煙台の建設・撤去で ZOC が変わるため作り直す
+    zocInfluenceCache = null;
+    workerStructuresVersion = data.structuresVersion;
+  }
+  if (data.scoringSettings) {
+    // getTilePoints はこのプロファイルを既定値として使用する
+    setScoringProfile(
+      data.scoringSettings,
+      data.hasCustomPointMap ? workerPointMapView : null,
+    );
+  }
 
   if (type === "CALCULATE_STATS") {
     try {
@@ -1457,10 +1639,17 @@ parentPort.on("message", async (msg) => {
         wars, // [NEW] Pass wars
         action,
         overpaintCount,
-        overpaintCount,
         namedTileSettings, // [NEW] Pass settings
         coreTileSettings, // [NEW] Pass core settings
         enclaveSettings, // [NEW] Pass enclave settings
+        null,
+        truces,
+        getFactionNamedCellEffect(
+          namedCells,
+          player.factionId,
+          "coreAttackDiscount",
+          workerNamedCellTypeSettings,
+        ),
       );
       if (costResult.error)
         return parentPort.postMessage({
@@ -2014,6 +2203,7 @@ parentPort.on("message", async (msg) => {
       const alliances = data.alliances || loadJSON(filePaths.alliances);
       const wars = data.wars || loadJSON(filePaths.wars);
       const namedCells = data.namedCells || loadJSON(filePaths.namedCells);
+      const truces = data.truces || loadJSON(filePaths.truces);
 
       // ZOC判定 (チャンクに対して実行)
       ensureCachesValid(mapState, namedCells, factions, alliances);
@@ -2054,6 +2244,13 @@ parentPort.on("message", async (msg) => {
         coreTileSettings,
         enclaveSettings,
         fullTiles, // calculatePaintCost を拡張して fullTiles を受け取れるようにする
+        truces,
+        getFactionNamedCellEffect(
+          namedCells,
+          player.factionId,
+          "coreAttackDiscount",
+          workerNamedCellTypeSettings,
+        ),
       );
 
       parentPort.postMessage({
@@ -2358,6 +2555,74 @@ parentPort.on("message", async (msg) => {
     } catch (e) {
       parentPort.postMessage({ success: false, taskId, error: e.message });
     }
+  } else if (type === "PROCESS_SUPPLY_DECAY") {
+    // 補給線: 中核マスとつながっていないクラスタ (飛び地) の減衰処理
+    const { filePaths, supplyLineSettings, previousTiles, namedCellKeys } =
+      data;
+    try {
+      const factionsData = loadJSON(filePaths.factions, { factions: {} });
+      const canUseSAB = !!workerMapView;
+      const mapState = canUseSAB
+        ? { tiles: {} }
+        : loadJSON(filePaths.mapState, { tiles: {} });
+      const tileIndex = buildFactionTileIndex(canUseSAB ? null : mapState);
+      const nowMs = Date.now();
+      const graceMs = supplyLineSettings.graceHours * 60 * 60 * 1000;
+      const namedKeys = new Set(namedCellKeys || []);
+      const cutOffTiles = {}; // key -> { factionId, since }
+      const decays = {}; // key -> { factionId, overpaint } (null は中立化)
+
+      Object.keys(factionsData.factions).forEach((fid) => {
+        const fKeys = tileIndex.get(fid);
+        if (!fKeys || fKeys.size === 0) return;
+
+        const { clusters } = getFactionClusterInfoWorker(
+          fid,
+          mapState,
+          [],
+          fKeys,
+        );
+        // 中核を1つも持たない勢力 (結成直後など) は対象外
+        if (!clusters.some((c) => c.hasCore)) return;
+
+        clusters.forEach((cluster) => {
+          if (cluster.hasCore) return;
+
+          cluster.tiles.forEach((key) => {
+            // ネームドマスは守備兵力で維持されるため減衰しない
+            if (namedKeys.has(key)) return;
+
+            // 同じ勢力のまま孤立し続けているマスは孤立した時刻を引き継ぐ
+            const prev = previousTiles?.[key];
+            const since = prev && prev.factionId === fid ? prev.since : nowMs;
+            if (nowMs - since < graceMs) {
+              cutOffTiles[key] = { factionId: fid, since };
+              return;
+            }
+
+            const [x, y] = key.split("_").map(Number);
+            const tile = canUseSAB ? getTileFromSAB(x, y) : mapState.tiles[key];
+            const overpaint = tile?.overpaint || 0;
+            if (supplyLineSettings.mode === "overpaint" && overpaint > 0) {
+              // 猶予期間ごとに重ね塗りを1段階ずつ失う
+              decays[key] = { factionId: fid, overpaint: overpaint - 1 };
+              cutOffTiles[key] = { factionId: fid, since: nowMs };
+            } else {
+              decays[key] = { factionId: fid, overpaint: null };
+            }
+          });
+        });
+      });
+
+      parentPort.postMessage({
+        success: true,
+        taskId,
+        results: { cutOffTiles, decays },
+        workerId,
+      });
+    } catch (e) {
+      parentPort.postMessage({ success: false, taskId, error: e.message });
+    }
   } else if (type === "RECALCULATE_POINTS") {
     try {
       const mapState =
@@ -3564,6 +3829,55 @@ parentPort.on("message", async (msg) => {
     } catch (e) {
       parentPort.postMessage({ success: false, taskId, error: e.message });
     }
+  } else if (type === "RENDER_TIMELAPSE_EXPORT") {
+    // タイムラプス書き出し
+    // 差分フレームはキーフレームから順に適用する必要があるため、framePaths はキーフレームから始まり、
+    // renderIndices に含まれるフレームのみを描画する
+    try {
+      const {
+        framePaths,
+        renderIndices,
+        format,
+        scale,
+        frameDelay,
+        outputPath,
+      } = data;
+
+      ensureFontsRegistered();
+      const decoder = createTimelapseDecoder(MAP_SIZE);
+      const size = MAP_SIZE * scale;
+      const canvas = createCanvas(size, size);
+      const encoder = createAnimationEncoder(format, size, size);
+      const targets = new Set(renderIndices);
+
+      let frameCount = 0;
+      framePaths.forEach((framePath, i) => {
+        const state = decoder.applyFrame(fs.readFileSync(framePath));
+        if (!targets.has(i)) return;
+        encoder.addFrame(
+          renderTimelapseFrame(canvas, state, scale),
+          frameDelay,
+        );
+        frameCount++;
+      });
+      const buffer = encoder.finish();
+
+      const outputDir = path.dirname(outputPath);
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+      }
+      const tempPath = `${outputPath}.tmp.${Date.now()}`;
+      fs.writeFileSync(tempPath, buffer);
+      fs.renameSync(tempPath, outputPath);
+
+      parentPort.postMessage({
+        success: true,
+        taskId,
+        results: { outputPath, size: buffer.length, frameCount },
+      });
+    } catch (e) {
+      parentPort.postMessage({ success: false, taskId, error: e.message });
+    }
   } else if (type === "SAVE_JSON") {
     // 大規模ファイルの保存ハンドラ (502エラー対策)
     try {
@@ -3747,6 +4061,125 @@ parentPort.on("message", async (msg) => {
 
 // 全体マップ画像生成関数 (3パターンモード対応)
 // mode: "faction_full" (勢力名のみ), "faction_simple" (なし), "alliance" (同盟名)
+/**
+ * 勢力名ラベルを描画 (重なり回避付き)
+ * @param {Object} factionCenters - { [factionId]: { sumX, sumY, count } }
+ * @param {Object} factions - { [factionId]: { name } }
+ * @param {Object} layout - { paddingX, paddingY, tileSize, fontScale }
+ */
+function drawFactionLabels(
+  ctx,
+  factionCenters,
+  factions,
+  { paddingX, paddingY, tileSize, fontScale = 1 },
+) {
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+
+  // 配置済みラベルの矩形リスト（衝突検出用）
+  const placedLabels = [];
+
+  // ラベル矩形の衝突判定
+  function isOverlapping(rect1, rect2) {
+    return !(
+      rect1.right < rect2.left ||
+      rect1.left > rect2.right ||
+      rect1.bottom < rect2.top ||
+      rect1.top > rect2.bottom
+    );
+  }
+
+  // 衝突を回避するための位置調整 (より積極的なオフセット)
+  function findNonOverlappingPosition(x, y, width, height, placed) {
+    const offsets = [
+      { dx: 0, dy: 0 },
+      { dx: 0, dy: -height * 1.5 },
+      { dx: 0, dy: height * 1.5 },
+      { dx: width * 0.8, dy: 0 },
+      { dx: -width * 0.8, dy: 0 },
+      { dx: width * 0.7, dy: -height * 1.0 },
+      { dx: -width * 0.7, dy: -height * 1.0 },
+      { dx: width * 0.7, dy: height * 1.0 },
+      { dx: -width * 0.7, dy: height * 1.0 },
+      { dx: 0, dy: -height * 2.5 },
+      { dx: 0, dy: height * 2.5 },
+      { dx: width * 1.2, dy: 0 },
+      { dx: -width * 1.2, dy: 0 },
+    ];
+
+    for (const offset of offsets) {
+      const testX = x + offset.dx;
+      const testY = y + offset.dy;
+      const testRect = {
+        left: testX - width / 2,
+        right: testX + width / 2,
+        top: testY - height / 2,
+        bottom: testY + height / 2,
+      };
+
+      let hasCollision = false;
+      for (const p of placed) {
+        if (isOverlapping(testRect, p)) {
+          hasCollision = true;
+          break;
+        }
+      }
+
+      if (!hasCollision) {
+        return { x: testX, y: testY };
+      }
+    }
+    return { x, y };
+  }
+
+  // タイル数の多い順にソート（大きな勢力を優先配置）
+  // 最小タイル数を5に引き上げて小さな勢力のラベルを省略
+  const sortedFactions = Object.entries(factionCenters)
+    .filter(([fid, center]) => center.count >= 5 && factions[fid])
+    .sort((a, b) => b[1].count - a[1].count);
+
+  sortedFactions.forEach(([fid, center]) => {
+    const faction = factions[fid];
+
+    const baseCenterX = paddingX + (center.sumX / center.count) * tileSize;
+    const baseCenterY = paddingY + (center.sumY / center.count) * tileSize;
+
+    // フォントサイズを縮小（最大6、最大12）
+    const fontSize =
+      Math.min(12, Math.max(6, Math.floor(Math.sqrt(center.count) * 1.2))) *
+      fontScale;
+    ctx.font = `bold ${fontSize}px NotoSansJP, NotoEmoji, sans-serif`;
+
+    const displayName = removeEmoji(faction.name);
+    const textMetrics = ctx.measureText(displayName);
+    const textWidth = textMetrics.width;
+    const textHeight = fontSize;
+
+    const { x: centerX, y: centerY } = findNonOverlappingPosition(
+      baseCenterX,
+      baseCenterY,
+      textWidth,
+      textHeight,
+      placedLabels,
+    );
+
+    placedLabels.push({
+      left: centerX - textWidth / 2,
+      right: centerX + textWidth / 2,
+      top: centerY - textHeight / 2,
+      bottom: centerY + textHeight / 2,
+    });
+
+    // [MODIFIED] High Contrast Label (Black Outline + White Text)
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "#000000"; // Black outline
+    ctx.strokeText(displayName, centerX, centerY);
+
+    ctx.fillStyle = "#ffffff"; // White text
+    ctx.fillText(displayName, centerX, centerY);
+  });
+}
+
 function generateFullMapImage(mapState, factions, namedCells, alliances, mode) {
   const TILE_SIZE = 2; // 500x500タイルの場合、2pxで1000px
   const isSimple = mode === "faction_simple";
@@ -3958,110 +4391,10 @@ function generateFullMapImage(mapState, factions, namedCells, alliances, mode) {
         `[FullMapImage] Drawing faction labels, ${Object.keys(factionCenters).length} factions found`,
       );
 
-      // 配置済みラベルの矩形リスト（衝突検出用）
-      const placedLabels = [];
-
-      // ラベル矩形の衝突判定
-      function isOverlapping(rect1, rect2) {
-        return !(
-          rect1.right < rect2.left ||
-          rect1.left > rect2.right ||
-          rect1.bottom < rect2.top ||
-          rect1.top > rect2.bottom
-        );
-      }
-
-      // 衝突を回避するための位置調整 (より積極的なオフセット)
-      function findNonOverlappingPosition(x, y, width, height, placed) {
-        const offsets = [
-          { dx: 0, dy: 0 },
-          { dx: 0, dy: -height * 1.5 },
-          { dx: 0, dy: height * 1.5 },
-          { dx: width * 0.8, dy: 0 },
-          { dx: -width * 0.8, dy: 0 },
-          { dx: width * 0.7, dy: -height * 1.0 },
-          { dx: -width * 0.7, dy: -height * 1.0 },
-          { dx: width * 0.7, dy: height * 1.0 },
-          { dx: -width * 0.7, dy: height * 1.0 },
-          { dx: 0, dy: -height * 2.5 },
-          { dx: 0, dy: height * 2.5 },
-          { dx: width * 1.2, dy: 0 },
-          { dx: -width * 1.2, dy: 0 },
-        ];
-
-        for (const offset of offsets) {
-          const testX = x + offset.dx;
-          const testY = y + offset.dy;
-          const testRect = {
-            left: testX - width / 2,
-            right: testX + width / 2,
-            top: testY - height / 2,
-            bottom: testY + height / 2,
-          };
-
-          let hasCollision = false;
-          for (const p of placed) {
-            if (isOverlapping(testRect, p)) {
-              hasCollision = true;
-              break;
-            }
-          }
-
-          if (!hasCollision) {
-            return { x: testX, y: testY };
-          }
-        }
-        return { x, y };
-      }
-
-      // タイル数の多い順にソート（大きな勢力を優先配置）
-      // 最小タイル数を5に引き上げて小さな勢力のラベルを省略
-      const sortedFactions = Object.entries(factionCenters)
-        .filter(([fid, center]) => center.count >= 5 && factions[fid])
-        .sort((a, b) => b[1].count - a[1].count);
-
-      sortedFactions.forEach(([fid, center]) => {
-        const faction = factions[fid];
-
-        const baseCenterX =
-          curPaddingX + (center.sumX / center.count) * TILE_SIZE;
-        const baseCenterY =
-          curPaddingY + (center.sumY / center.count) * TILE_SIZE;
-
-        // フォントサイズを縮小（最大6、最大12）
-        const fontSize = Math.min(
-          12,
-          Math.max(6, Math.floor(Math.sqrt(center.count) * 1.2)),
-        );
-        ctx.font = `bold ${fontSize}px NotoSansJP, NotoEmoji, sans-serif`;
-
-        const displayName = removeEmoji(faction.name);
-        const textMetrics = ctx.measureText(displayName);
-        const textWidth = textMetrics.width;
-        const textHeight = fontSize;
-
-        const { x: centerX, y: centerY } = findNonOverlappingPosition(
-          baseCenterX,
-          baseCenterY,
-          textWidth,
-          textHeight,
-          placedLabels,
-        );
-
-        placedLabels.push({
-          left: centerX - textWidth / 2,
-          right: centerX + textWidth / 2,
-          top: centerY - textHeight / 2,
-          bottom: centerY + textHeight / 2,
-        });
-
-        // [MODIFIED] High Contrast Label (Black Outline + White Text)
-        ctx.lineWidth = 3;
-        ctx.strokeStyle = "#000000"; // Black outline
-        ctx.strokeText(displayName, centerX, centerY);
-
-        ctx.fillStyle = "#ffffff"; // White text
-        ctx.fillText(displayName, centerX, centerY);
+      drawFactionLabels(ctx, factionCenters, factions, {
+        paddingX: curPaddingX,
+        paddingY: curPaddingY,
+        tileSize: TILE_SIZE,
       });
     }
   }
@@ -4082,6 +4415,82 @@ function generateFullMapImage(mapState, factions, namedCells, alliances, mode) {
   return canvas.toBuffer("image/png");
 }
 
+// タイムラプス書き出し用の日時表示 (YYYY/MM/DD HH:mm)
+function formatTimelapseTime(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}/${pad(d.getMonth() + 1)}/${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * タイムラプスの1フレームを描画 (勢力ラベル + 日時オーバーレイ)
+ * @param {Canvas} canvas - MAP_SIZE * scale 四方のキャンバス (フレーム間で使い回す)
+ * @param {Object} state - createTimelapseDecoder の applyFrame が返す盤面
+ * @returns {Uint8ClampedArray} RGBA
+ */
+function renderTimelapseFrame(canvas, state, scale) {
+  const ctx = canvas.getContext("2d");
+  const size = MAP_SIZE * scale;
+  const image = ctx.createImageData(size, size);
+  const pixels = image.data;
+  pixels.fill(255); // 無所属は白
+
+  const { view, factionIds, factions } = state;
+  const factionCenters = {};
+  for (let y = 0; y < MAP_SIZE; y++) {
+    for (let x = 0; x < MAP_SIZE; x++) {
+      const offset = (y * MAP_SIZE + x) * TILE_BYTE_SIZE;
+      const fidIdx = view.getUint16(offset, true);
+      if (fidIdx === 65535) continue;
+
+      const colorInt = view.getUint32(offset + 2, true);
+      const r = (colorInt >> 16) & 0xff;
+      const g = (colorInt >> 8) & 0xff;
+      const b = colorInt & 0xff;
+      for (let dy = 0; dy < scale; dy++) {
+        let p = ((y * scale + dy) * size + x * scale) * 4;
+        for (let dx = 0; dx < scale; dx++, p += 4) {
+          pixels[p] = r;
+          pixels[p + 1] = g;
+          pixels[p + 2] = b;
+        }
+      }
+
+      const fid = factionIds[fidIdx];
+      if (!factionCenters[fid]) {
+        factionCenters[fid] = { sumX: 0, sumY: 0, count: 0 };
+      }
+      factionCenters[fid].sumX += x;
+      factionCenters[fid].sumY += y;
+      factionCenters[fid].count++;
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+
+  const fontScale = Math.max(1, scale / 2);
+  drawFactionLabels(ctx, factionCenters, factions || {}, {
+    paddingX: 0,
+    paddingY: 0,
+    tileSize: scale,
+    fontScale,
+  });
+
+  // 日時オーバーレイ (左上)
+  const label = formatTimelapseTime(state.timestamp);
+  const fontSize = Math.round(14 * fontScale);
+  const pad = Math.round(4 * fontScale);
+  ctx.font = `bold ${fontSize}px NotoSansJP, sans-serif`;
+  ctx.textAlign = "left";
+  ctx.textBaseline = "top";
+  const labelWidth = ctx.measureText(label).width;
+  ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+  ctx.fillRect(pad, pad, labelWidth + pad * 2, fontSize + pad * 2);
+  ctx.fillStyle = "#ffffff";
+  ctx.fillText(label, pad * 2, pad * 2);
+
+  return ctx.getImageData(0, 0, size, size).data;
+}
+
 function generateLiteMap(mapState, playerNames = {}) {
   const liteTiles = {};
   Object.entries(mapState.tiles).forEach(([key, tile]) => {